@@ -4,6 +4,16 @@ import { AUTH } from "./auth.js";
 import { DEST } from "./destinations.js";
 import { MediaStore } from "./mediaStore.js";
 import { LST_STORE, LST_UTILS } from "./lstRoutes.js";
+import { POSTCODES } from "./postcodes.js";
+import { HOURS } from "./hours.js";
+import { HOLIDAYS } from "./holidays.js";
+import { DUPLICATES } from "./duplicates.js";
+import { REVISIONS } from "./revisions.js";
+import { QUALITY } from "./quality.js";
+import { CSV_IMPORT } from "./csvImport.js";
+import { BRIDGE_IMPORT } from "./bridgeImport.js";
+import { VISITS } from "./visits.js";
+import { downloadFile, formatAgo } from "./utils.js";
 
 
 function escapeHtml(s=""){
@@ -134,6 +144,12 @@ function makeRouteId(start="", end=""){
 const AVG_TIP_TIME_OPTIONS = [
   "10–15 mins","15–30 mins","30–45 mins","45–60 mins","1–2 hours","2–3 hours","3–4 hours","4+ hours"
 ];
+// Upper bound in minutes of each AVG_TIP_TIME_OPTIONS entry (for publishing logged visit times).
+const AVG_TIP_TIME_MAX_MINS = [15, 30, 45, 60, 120, 180, 240, Infinity];
+
+function avgTipTimeOption(mins){
+  return AVG_TIP_TIME_OPTIONS[AVG_TIP_TIME_MAX_MINS.findIndex(max=>mins <= max)];
+}
 
 const FACILITIES = [
   "Driver parking area","Restroom facilities","Gate Check-In Office","Showers","Canteen / food","Vending machines","Overnight parking","Weighbridge","Fuel station","Secure parking","Toilet access","Waiting room"
@@ -501,11 +517,8 @@ function recordRecentEdit(destId){
   arr.unshift({id: destId, t: now});
   setRecentEdits(arr);
 }
-function formatAgo(ms){
-  const s=Math.floor(ms/1000); if(s<60) return `${s}s ago`;
-  const m=Math.floor(s/60); if(m<60) return `${m}m ago`;
-  const h=Math.floor(m/60); if(h<48) return `${h}h ago`;
-  const d=Math.floor(h/24); return `${d}d ago`;
+function mergeEditedFields(prev, fields){
+  return Array.from(new Set([...(Array.isArray(prev) ? prev : []), ...fields]));
 }
 
 
@@ -535,6 +548,593 @@ function renderRecentEdits(container){
   `).join("");
 }
 
+function renderGeocodeResults(container, geo){
+  const host = container.querySelector("#geoResults");
+  if(!host) return;
+  const localCount = POSTCODES.localCentroidCount();
+  if(!geo){
+    host.innerHTML = `<div class="small" style="opacity:.8">Not scanned yet.${localCount ? ` ${localCount} imported postcode centroids on this device.` : ""}</div>`;
+    return;
+  }
+  const c = geo.counts;
+  const problems = geo.results.filter(r=>r.status!=="matched").slice(0,30);
+  host.innerHTML = `
+    <div style="display:flex; gap:.45rem; flex-wrap:wrap">
+      <span class="pill approved">Matched ${c.matched}</span>
+      <span class="pill pending">Ambiguous ${c.ambiguous}</span>
+      <span class="pill rejected">Unmatched ${c.unmatched}</span>
+      <span class="pill">Already set ${c.skipped}</span>
+    </div>
+    <div style="display:flex; gap:.6rem; align-items:center; flex-wrap:wrap; margin-top:.75rem">
+      <label class="small" style="display:flex; align-items:center; gap:.4rem; user-select:none">
+        <input type="checkbox" id="geoIncludeAmbiguous" ${geo.includeAmbiguous?"checked":""}>
+        Include ambiguous (approximate)
+      </label>
+      <button class="btn btn-primary" id="geoAcceptBtn" ${(c.matched + (geo.includeAmbiguous?c.ambiguous:0)) ? "" : "disabled"}>
+        Accept ${c.matched + (geo.includeAmbiguous?c.ambiguous:0)} result${(c.matched + (geo.includeAmbiguous?c.ambiguous:0))===1?"":"s"}
+      </button>
+    </div>
+    ${problems.length ? `
+      <div class="small" style="margin-top:.75rem; opacity:.85">Needs attention (first ${problems.length}):</div>
+      <div style="display:grid; gap:.35rem; margin-top:.4rem">
+        ${problems.map(r=>`
+          <div class="small" style="display:flex; gap:.5rem; align-items:center">
+            <span class="pill ${r.status==="ambiguous"?"pending":"rejected"}">${r.status}</span>
+            <button class="btn btn-ghost" data-edit-dest="${escapeHtml(r.id)}" style="padding:.3rem .55rem; border-radius:10px">Edit</button>
+            <span style="white-space:nowrap; overflow:hidden; text-overflow:ellipsis">${escapeHtml(r.id)} — ${escapeHtml(r.postcode || "no postcode")} • ${escapeHtml(r.reason)}</span>
+          </div>
+        `).join("")}
+      </div>
+    ` : ""}
+  `;
+}
+
+function renderDuplicateClusters(container, dup){
+  const host = container.querySelector("#dupResults");
+  if(!host) return;
+  if(!dup){
+    host.innerHTML = `<div class="small" style="opacity:.8">Not scanned yet.</div>`;
+    return;
+  }
+  const byId = new Map((DB.getDestinations() || []).map(d=>[d.id, d]));
+  const clusters = dup.clusters
+    .map((c, i)=>({c, i, members: c.ids.map(id=>byId.get(id)).filter(Boolean)}))
+    .filter(x=>x.members.length > 1);
+  if(!clusters.length){
+    host.innerHTML = `<div class="small" style="opacity:.8">No likely duplicates found.</div>`;
+    return;
+  }
+  host.innerHTML = `
+    <div class="small" style="opacity:.85; margin-bottom:.6rem">${clusters.length} cluster${clusters.length===1?"":"s"} to review${clusters.length > 50 ? " (showing 50)" : ""}.</div>
+    <div style="display:grid; gap:.6rem">
+      ${clusters.slice(0,50).map(({c, i, members})=>`
+        <div class="card dupCluster" style="padding:.8rem">
+          <div style="display:flex; justify-content:space-between; gap:.6rem; flex-wrap:wrap; align-items:center">
+            <div style="display:flex; gap:.4rem; flex-wrap:wrap">
+              ${c.reasons.map(r=>`<span class="pill pending">${escapeHtml(r)}</span>`).join("")}
+            </div>
+            <div class="filterRow" style="gap:.4rem">
+              <button class="btn btn-primary" data-dup-merge="${i}" style="padding:.45rem .7rem; border-radius:12px">Review &amp; merge</button>
+              <button class="btn btn-ghost" data-dup-dismiss="${i}" style="padding:.45rem .7rem; border-radius:12px">Not duplicates</button>
+            </div>
+          </div>
+          <div style="display:grid; gap:.3rem; margin-top:.55rem">
+            ${members.map(d=>`
+              <div class="small" style="display:flex; gap:.5rem; align-items:center">
+                <button class="btn btn-ghost" data-edit-dest="${escapeHtml(d.id)}" style="padding:.25rem .5rem; border-radius:10px">Edit</button>
+                <span style="white-space:nowrap; overflow:hidden; text-overflow:ellipsis"><b>${escapeHtml(d.name||"")}</b> — ${escapeHtml(d.address||"")}</span>
+              </div>
+            `).join("")}
+          </div>
+        </div>
+      `).join("")}
+    </div>
+  `;
+}
+
+// Merge dialog: pick the surviving id, a source per field, and which photos/tags/facilities to keep.
+function openMergeDialog(members, onMerge){
+  const isBlank = (v)=> v == null || v === "" || (Array.isArray(v) && !v.length);
+  const fieldValue = (d, f)=> f === "coords"
+    ? (d.lat != null && d.lon != null && d.lat !== "" ? `${d.lat}, ${d.lon}` : "")
+    : (d[f] ?? "");
+  const fieldLabels = { name:"Name", address:"Address", category:"Category", hours:"Hours", gateInfo:"Gate info", notes:"Notes", avgTipTime:"Avg tip time", coords:"Coordinates" };
+  const keep = members[0];
+  // Default to the kept record's value, else the first member that has one.
+  const defaultSource = (f)=> (isBlank(fieldValue(keep, f)) ? (members.find(d=>!isBlank(fieldValue(d, f))) || keep) : keep).id;
+
+  const photos = [];
+  for(const d of members){
+    for(const ph of (d.photos || [])){
+      if(ph?.url && !photos.some(p=>p.url === ph.url)) photos.push(ph);
+    }
+  }
+  const tags = Array.from(new Set(members.flatMap(d=>d.tags || [])));
+  const facilities = Array.from(new Set(members.flatMap(d=>d.facilities || [])));
+
+  const overlay = document.createElement("div");
+  overlay.className = "modalOverlay";
+  overlay.innerHTML = `
+    <div class="modal" style="max-width: 860px">
+      <div class="modalHeader">
+        <div class="h2">Merge ${members.length} destinations</div>
+        <div class="small" style="margin-top:.2rem">The kept record's id survives; the others are removed and their favourites/links redirected.</div>
+      </div>
+      <div class="modalBody">
+        <div class="label">Keep id</div>
+        <div style="display:grid; gap:.3rem; margin-bottom:.9rem">
+          ${members.map((d, i)=>`
+            <label class="small" style="display:flex; gap:.45rem; align-items:center">
+              <input type="radio" name="dupKeep" value="${escapeHtml(d.id)}" ${i===0?"checked":""}>
+              <b>${escapeHtml(d.name||"")}</b> <span style="opacity:.7">${escapeHtml(d.id)}</span>
+            </label>
+          `).join("")}
+        </div>
+
+        <div class="label">Fields</div>
+        <div class="dupFieldGrid" style="display:grid; gap:.55rem; margin-bottom:.9rem">
+          ${DUPLICATES.MERGE_FIELDS.map(f=>{
+            const def = defaultSource(f);
+            return `
+            <div>
+              <div class="small" style="font-weight:900">${fieldLabels[f] || f}</div>
+              ${members.map(d=>`
+                <label class="small" style="display:flex; gap:.45rem; align-items:flex-start">
+                  <input type="radio" name="dupField_${f}" value="${escapeHtml(d.id)}" ${d.id===def?"checked":""}>
+                  <span style="opacity:${isBlank(fieldValue(d, f))?".5":"1"}">${escapeHtml(String(fieldValue(d, f) || "— empty —")).slice(0,160)}</span>
+                </label>
+              `).join("")}
+            </div>`;
+          }).join("")}
+        </div>
+
+        ${photos.length ? `
+          <div class="label">Photos</div>
+          <div style="display:flex; gap:.5rem; flex-wrap:wrap; margin-bottom:.9rem">
+            ${photos.map((ph, i)=>`
+              <label class="small" style="display:grid; gap:.25rem; width:96px">
+                <img data-media="${escapeHtml(ph.url)}" src="assets/images/placeholders/entrance-1.png" alt="" style="width:96px; height:64px; object-fit:cover; border-radius:10px">
+                <span style="display:flex; gap:.3rem; align-items:center"><input type="checkbox" data-dup-photo="${i}" checked> ${escapeHtml(ph.caption||"Photo").slice(0,14)}</span>
+              </label>
+            `).join("")}
+          </div>
+        ` : ""}
+
+        ${tags.length ? `
+          <div class="label">Tags</div>
+          <div style="display:flex; gap:.5rem; flex-wrap:wrap; margin-bottom:.9rem">
+            ${tags.map((t, i)=>`<label class="pill" style="display:flex; gap:.3rem; align-items:center"><input type="checkbox" data-dup-tag="${i}" checked> ${escapeHtml(t)}</label>`).join("")}
+          </div>
+        ` : ""}
+
+        ${facilities.length ? `
+          <div class="label">Facilities</div>
+          <div style="display:flex; gap:.5rem; flex-wrap:wrap">
+            ${facilities.map((f, i)=>`<label class="pill" style="display:flex; gap:.3rem; align-items:center"><input type="checkbox" data-dup-fac="${i}" checked> ${escapeHtml(f)}</label>`).join("")}
+          </div>
+        ` : ""}
+      </div>
+      <div class="modalFooter">
+        <button class="btn btn-ghost" id="dupCancel">Cancel</button>
+        <button class="btn btn-primary" id="dupMergeBtn">Merge</button>
+      </div>
+    </div>
+  `;
+  document.body.appendChild(overlay);
+  document.body.classList.add("modal-open");
+  MediaStore.hydrate(overlay);
+
+  const close = ()=>{ overlay.remove(); document.body.classList.remove("modal-open"); };
+  overlay.addEventListener("click", (e)=>{ if(e.target===overlay) close(); });
+  overlay.querySelector("#dupCancel").addEventListener("click", close);
+  overlay.querySelector("#dupMergeBtn").addEventListener("click", ()=>{
+    const picked = (sel)=> Array.from(overlay.querySelectorAll(sel)).filter(i=>i.checked);
+    const choice = {
+      keepId: overlay.querySelector('input[name="dupKeep"]:checked')?.value || keep.id,
+      fields: Object.fromEntries(DUPLICATES.MERGE_FIELDS.map(f=>[f, overlay.querySelector(`input[name="dupField_${f}"]:checked`)?.value])),
+      photos: picked("[data-dup-photo]").map(i=>photos[Number(i.dataset.dupPhoto)]),
+      tags: picked("[data-dup-tag]").map(i=>tags[Number(i.dataset.dupTag)]),
+      facilities: picked("[data-dup-fac]").map(i=>facilities[Number(i.dataset.dupFac)])
+    };
+    close();
+    onMerge(choice);
+  });
+}
+
+// Merge `ids` into one record and save; removed ids are tombstoned and redirected.
+function mergeDestinations(ids, choice){
+  const all = DB.getDestinations() || [];
+  const records = ids.map(id=>all.find(d=>d.id===id)).filter(Boolean);
+  const keep = records.find(d=>d.id===choice.keepId) || records[0];
+  const merged = HOURS.withSpec(DUPLICATES.merge(records, choice));
+  const changed = Object.keys(merged).filter(k=>k!=="editedFields" && k!=="hoursSpec" && JSON.stringify(merged[k]) !== JSON.stringify(keep[k]));
+  merged.editedFields = mergeEditedFields(keep.editedFields, changed);
+
+  const removed = records.filter(d=>d.id !== keep.id).map(d=>d.id);
+  const removedSet = new Set(removed);
+  DB.saveDestinations(all.filter(d=>!removedSet.has(d.id)).map(d=>d.id===keep.id ? merged : d));
+  removed.forEach(id=>DB.markDestinationDeleted(id));
+  REVISIONS.recordMany([
+    { destId: keep.id, action: "merge", prev: keep, next: merged, note: `Merged ${removed.join(", ")}` },
+    ...records.filter(d=>removedSet.has(d.id)).map(d=>({ destId: d.id, action: "delete", prev: d, next: null, note: `Merged into ${keep.id}` }))
+  ]);
+
+  // Redirect removed ids (and anything already pointing at them) to the survivor.
+  const redirects = DB.getDestinationRedirects();
+  for(const [from, to] of Object.entries(redirects)){
+    if(removedSet.has(to)) redirects[from] = keep.id;
+  }
+  removed.forEach(id=>{ redirects[id] = keep.id; });
+  DB.saveDestinationRedirects(redirects);
+  const favs = DB.getFavouriteLists();
+  favs.lists.forEach(l=>{ l.ids = DUPLICATES.redirectIds(l.ids, redirects); });
+  DB.saveFavouriteLists(favs);
+  recordRecentEdit(keep.id);
+  return { keepId: keep.id, removed: removed.length };
+}
+
+function fmtRevisionValue(v){
+  if(v === undefined) return "—";
+  if(v == null || v === "") return "(empty)";
+  if(Array.isArray(v)){
+    if(!v.length) return "(none)";
+    return v.map(x=>x && typeof x === "object" ? (x.caption || x.date || x.url || JSON.stringify(x)) : String(x)).join(", ");
+  }
+  if(typeof v === "object") return JSON.stringify(v);
+  return String(v);
+}
+
+function revisionChangesHtml(rev){
+  const rows = Object.entries(rev.changes || {});
+  // Creates/deletes touch every field; the field names are enough there.
+  if(rev.action === "delete" || rev.action === "create" || rows.length > 12){
+    return `<div class="small" style="opacity:.8">${rows.map(([k])=>escapeHtml(k)).join(", ")}</div>`;
+  }
+  return rows.map(([k, c])=>`
+    <div class="small revChange">
+      <b>${escapeHtml(k)}</b>:
+      <span class="revFrom">${escapeHtml(fmtRevisionValue(c.from).slice(0,200))}</span>
+      →
+      <span class="revTo">${escapeHtml(fmtRevisionValue(c.to).slice(0,200))}</span>
+    </div>
+  `).join("");
+}
+
+const CSV_PREVIEW_ROWS = 200;
+
+// Preview rows with the admin's per-row choices applied.
+function csvImportRows(csv){
+  const rows = CSV_IMPORT.rows(csv.parsed, csv.mapping, DB.getDestinations() || []);
+  rows.forEach((r, i)=>{
+    const pick = csv.actions[i] || csv.bulk;
+    if(!pick || r.errors.length) return;
+    if(pick === "skip" || r.matches.some(m=>`update:${m.id}` === pick)) r.action = pick;
+    else if(pick === "create" && r.fields.name && r.newAddress) r.action = pick;
+  });
+  return rows;
+}
+
+// Result of a low bridge file import: { fileName, format, added, updated, unchanged, rejected: [{ref, reason}] }
+function bridgeImportHtml(r){
+  return `
+    <div class="small" style="margin-bottom:.6rem"><b>${escapeHtml(r.fileName)}</b> • ${escapeHtml(r.format)}</div>
+    <div style="display:flex; gap:.5rem; flex-wrap:wrap">
+      <span class="pill approved">New ${r.added}</span>
+      <span class="pill approved">Updated ${r.updated}</span>
+      <span class="pill">Unchanged ${r.unchanged}</span>
+      <span class="pill ${r.rejected.length ? "rejected" : ""}">Rejected ${r.rejected.length}</span>
+    </div>
+    ${r.rejected.length ? `
+      <div class="small" style="font-weight:900; margin-top:.8rem">Rejected</div>
+      <div style="display:grid; gap:.2rem; margin-top:.3rem">
+        ${r.rejected.slice(0,100).map(x=>`<div class="small">${escapeHtml(x.ref)}: ${escapeHtml(x.reason)}</div>`).join("")}
+        ${r.rejected.length > 100 ? `<div class="small" style="opacity:.8">…and ${r.rejected.length - 100} more</div>` : ""}
+      </div>
+    ` : ""}
+    <div style="margin-top:.8rem">
+      <button class="btn btn-ghost" id="bridgeImportDoneBtn">Done</button>
+    </div>
+  `;
+}
+
+function csvImportHtml(csv){
+  if(csv.report){
+    const r = csv.report;
+    return `
+      <div style="display:flex; gap:.5rem; flex-wrap:wrap">
+        <span class="pill approved">Created ${r.created.length}</span>
+        <span class="pill approved">Updated ${r.updated.length}</span>
+        <span class="pill ${r.skipped.length ? "rejected" : ""}">Skipped ${r.skipped.length}</span>
+      </div>
+      ${[...r.created, ...r.updated].length ? `
+        <div style="display:grid; gap:.3rem; margin-top:.8rem">
+          ${[...r.created.map(x=>({...x, how:"Created"})), ...r.updated.map(x=>({...x, how:"Updated"}))].slice(0,50).map(x=>`
+            <div class="small" style="display:flex; gap:.5rem; align-items:center">
+              <button class="btn btn-ghost" data-edit-dest="${escapeHtml(x.id)}" style="padding:.25rem .5rem; border-radius:10px">Edit</button>
+              <span>${x.how}: <b>${escapeHtml(x.name)}</b></span>
+            </div>
+          `).join("")}
+        </div>
+      ` : ""}
+      ${r.skipped.length ? `
+        <div class="small" style="font-weight:900; margin-top:.8rem">Skipped rows</div>
+        <div style="display:grid; gap:.2rem; margin-top:.3rem">
+          ${r.skipped.slice(0,100).map(x=>`<div class="small">Line ${x.line}: ${escapeHtml(x.reason)}</div>`).join("")}
+          ${r.skipped.length > 100 ? `<div class="small" style="opacity:.8">…and ${r.skipped.length - 100} more</div>` : ""}
+        </div>
+      ` : ""}
+      <div style="margin-top:.8rem">
+        <button class="btn btn-ghost" id="csvDoneBtn">Done</button>
+      </div>
+    `;
+  }
+
+  const rows = csvImportRows(csv);
+  const count = (pred)=> rows.filter(pred).length;
+  const fieldOptions = (selected)=>`
+    <option value="">— ignore —</option>
+    ${CSV_IMPORT.FIELDS.map(f=>`<option value="${f.key}" ${selected===f.key?"selected":""}>${escapeHtml(f.label)}</option>`).join("")}
+  `;
+  const sample = csv.parsed.rows[0] || [];
+  return `
+    <div class="small" style="margin-bottom:.6rem"><b>${escapeHtml(csv.fileName)}</b> • ${rows.length} row${rows.length===1?"":"s"}</div>
+
+    <div class="label">Column mapping</div>
+    <div class="csvMapGrid">
+      ${csv.parsed.headers.map((h, i)=>`
+        <label class="small csvMapItem">
+          <span style="font-weight:900">${escapeHtml(h || `Column ${i+1}`)}</span>
+          <span style="opacity:.7; white-space:nowrap; overflow:hidden; text-overflow:ellipsis">${escapeHtml(String(sample[i] ?? "").slice(0,40))}</span>
+          <select class="input" data-csv-map="${i}">${fieldOptions(csv.mapping[i] || "")}</select>
+        </label>
+      `).join("")}
+    </div>
+
+    <div class="hr" style="margin:1rem 0"></div>
+
+    <div style="display:flex; justify-content:space-between; gap:.6rem; flex-wrap:wrap; align-items:center">
+      <div style="display:flex; gap:.45rem; flex-wrap:wrap">
+        <span class="pill approved">Create ${count(r=>r.action==="create")}</span>
+        <span class="pill approved">Update ${count(r=>r.action.startsWith("update:"))}</span>
+        <span class="pill">Skip ${count(r=>r.action==="skip")}</span>
+        <span class="pill ${count(r=>r.errors.length) ? "rejected" : ""}">Invalid ${count(r=>r.errors.length)}</span>
+        <span class="pill pending">Warnings ${count(r=>r.warnings.length)}</span>
+      </div>
+      <label class="small" style="display:flex; gap:.4rem; align-items:center">
+        All rows
+        <select class="input" id="csvBulk" style="width:auto">
+          <option value="" ${!csv.bulk?"selected":""}>Update matches, create the rest</option>
+          <option value="create" ${csv.bulk==="create"?"selected":""}>Create new</option>
+          <option value="skip" ${csv.bulk==="skip"?"selected":""}>Skip</option>
+        </select>
+      </label>
+    </div>
+
+    <div class="csvPreview" style="margin-top:.7rem">
+      <table>
+        <thead><tr><th>Line</th><th>Action</th><th>Name</th><th>Address</th><th>Coordinates</th><th>Problems</th></tr></thead>
+        <tbody>
+          ${rows.slice(0, CSV_PREVIEW_ROWS).map((r, i)=>`
+            <tr class="${r.errors.length ? "csvBad" : r.warnings.length ? "csvWarn" : ""}">
+              <td>${r.line}</td>
+              <td>
+                <select class="input" data-csv-action="${i}" ${r.errors.length ? "disabled" : ""}>
+                  ${r.fields.name && r.newAddress ? `<option value="create" ${r.action==="create"?"selected":""}>Create new</option>` : ""}
+                  ${r.matches.map(m=>`<option value="update:${escapeHtml(m.id)}" ${r.action===`update:${m.id}`?"selected":""}>Update ${escapeHtml(m.name||m.id)} (${m.by})</option>`).join("")}
+                  <option value="skip" ${r.action==="skip"?"selected":""}>Skip</option>
+                </select>
+              </td>
+              <td>${escapeHtml(r.fields.name || "")}</td>
+              <td>${escapeHtml((r.action === "create" ? r.newAddress : r.fields.address) || "")}</td>
+              <td>${r.fields.lat != null ? `${r.fields.lat}, ${r.fields.lon}` : ""}</td>
+              <td>${[...r.errors, ...r.warnings].map(x=>escapeHtml(x)).join("<br>")}</td>
+            </tr>
+          `).join("")}
+        </tbody>
+      </table>
+    </div>
+    ${rows.length > CSV_PREVIEW_ROWS ? `<div class="small" style="margin-top:.4rem; opacity:.8">Showing the first ${CSV_PREVIEW_ROWS}; the other ${rows.length - CSV_PREVIEW_ROWS} rows use the "All rows" choice.</div>` : ""}
+
+    <div style="display:flex; gap:.6rem; justify-content:flex-end; flex-wrap:wrap; margin-top:.9rem">
+      <button class="btn btn-ghost" id="csvCancelBtn">Cancel</button>
+      <button class="btn btn-primary" id="csvApplyBtn">Import</button>
+    </div>
+  `;
+}
+
+const QUALITY_PAGE = 100;
+
+function qualityTabHtml(q){
+  const report = QUALITY.report(DB.getDestinations() || []);
+  const checkLabel = Object.fromEntries(QUALITY.CHECKS.map(c=>[c.key, c.label]));
+  let rows = report.rows;
+  if(q.check) rows = rows.filter(r=>r.issues.includes(q.check));
+  if(q.category) rows = rows.filter(r=>(r.d.category || "Destination") === q.category);
+  const sorters = {
+    score: (a,b)=>a.score - b.score,
+    name: (a,b)=>(a.d.name||"").localeCompare(b.d.name||""),
+    category: (a,b)=>(a.d.category||"").localeCompare(b.d.category||""),
+    issues: (a,b)=>a.issues.length - b.issues.length
+  };
+  const cmp = sorters[q.sort] || sorters.score;
+  rows = rows.slice().sort((a,b)=>(cmp(a,b) * q.dir) || (a.d.name||"").localeCompare(b.d.name||""));
+  const sortBtn = (key, label)=>`
+    <button class="chip ${q.sort===key?"active":""}" data-q-sort="${key}">${label}${q.sort===key ? (q.dir > 0 ? " ↑" : " ↓") : ""}</button>
+  `;
+
+  return `
+    <div style="display:flex; gap:.5rem; flex-wrap:wrap; margin-bottom:.8rem">
+      <span class="pill approved">Average score ${report.avgScore}</span>
+      <span class="pill">${report.complete} of ${report.rows.length} complete</span>
+    </div>
+
+    <div class="qualityTotals">
+      ${QUALITY.CHECKS.map(c=>`
+        <button class="card qualityTotal ${q.check===c.key?"active":""}" data-q-check="${c.key}">
+          <div style="font-weight:950; font-size:1.3rem">${report.byCheck[c.key]}</div>
+          <div class="small">${escapeHtml(c.label)}</div>
+        </button>
+      `).join("")}
+    </div>
+
+    <div class="hr" style="margin:1rem 0"></div>
+
+    <div class="small" style="font-weight:900; margin-bottom:.4rem">By category</div>
+    <div style="display:flex; gap:.45rem; flex-wrap:wrap">
+      ${report.categories.map(c=>`
+        <button class="chip ${q.category===c.category?"active":""}" data-q-cat="${escapeHtml(c.category)}">
+          ${escapeHtml(c.category)} • ${c.count} • avg ${c.avgScore}${c.complete ? ` • ${c.complete} complete` : ""}
+        </button>
+      `).join("")}
+    </div>
+
+    <div class="hr" style="margin:1rem 0"></div>
+
+    <div style="display:flex; justify-content:space-between; gap:.6rem; flex-wrap:wrap; align-items:center; margin-bottom:.6rem">
+      <div class="small">
+        ${rows.length} destination${rows.length===1?"":"s"}${q.check ? ` • ${escapeHtml(checkLabel[q.check])}` : ""}${q.category ? ` • ${escapeHtml(q.category)}` : ""}
+        ${(q.check || q.category) ? `<button class="btn btn-ghost" id="qClear" style="padding:.3rem .6rem; border-radius:10px; margin-left:.4rem">Clear filters</button>` : ""}
+      </div>
+      <div class="filterRow" style="gap:.4rem">
+        ${sortBtn("score","Score")}
+        ${sortBtn("issues","Issues")}
+        ${sortBtn("name","Name")}
+        ${sortBtn("category","Category")}
+      </div>
+    </div>
+
+    <div style="display:grid; gap:.5rem">
+      ${rows.slice(0, q.limit).map(r=>`
+        <div class="listItem qualityRow" style="align-items:center">
+          <div class="qualityScore ${r.score >= 80 ? "good" : r.score >= 50 ? "fair" : "poor"}">${r.score}</div>
+          <div style="flex:1; min-width:0">
+            <div style="font-weight:950; white-space:nowrap; overflow:hidden; text-overflow:ellipsis">${escapeHtml(r.d.name||"")}</div>
+            <div class="small" style="white-space:nowrap; overflow:hidden; text-overflow:ellipsis">${escapeHtml(r.d.category||"")} • ${escapeHtml(r.d.address||"")}</div>
+            ${r.issues.length ? `<div style="display:flex; gap:.35rem; flex-wrap:wrap; margin-top:.35rem">${r.issues.map(k=>`<span class="badge">${escapeHtml(checkLabel[k])}</span>`).join("")}</div>` : ""}
+          </div>
+          <button class="btn btn-ghost" data-edit-dest="${escapeHtml(r.d.id)}" style="padding:.55rem .75rem; border-radius:12px">Edit</button>
+        </div>
+      `).join("") || `<div class="small" style="opacity:.8">Nothing to fix here.</div>`}
+    </div>
+    ${rows.length > q.limit ? `
+      <div style="margin-top:.8rem; text-align:center">
+        <button class="btn btn-ghost" id="qMore">Show ${Math.min(QUALITY_PAGE, rows.length - q.limit)} more</button>
+      </div>
+    ` : ""}
+  `;
+}
+
+function historyListHtml(){
+  const names = new Map((DB.getDestinations() || []).map(d=>[d.id, d.name]));
+  return REVISIONS.recent(60).map(({destId, rev})=>`
+    <div class="listItem" style="align-items:center">
+      <div style="flex:1; min-width:0">
+        <div style="display:flex; gap:.5rem; align-items:center; flex-wrap:wrap">
+          <div style="font-weight:950; white-space:nowrap; overflow:hidden; text-overflow:ellipsis">${escapeHtml(names.get(destId) || rev.changes?.name?.from || destId)}</div>
+          <span class="pill ${rev.action==="delete"?"rejected":"approved"}">${escapeHtml(REVISIONS.ACTION_LABELS[rev.action] || rev.action)}</span>
+        </div>
+        <div class="small">${escapeHtml(new Date(rev.at).toLocaleString())} • ${escapeHtml(rev.by || "unknown")} • ${escapeHtml(Object.keys(rev.changes || {}).slice(0,6).join(", "))}</div>
+      </div>
+      <button class="btn btn-ghost" data-history-dest="${escapeHtml(destId)}" style="padding:.55rem .75rem; border-radius:12px">History</button>
+    </div>
+  `).join("") || `<div class="small" style="opacity:.8">No changes recorded yet.</div>`;
+}
+
+// Put an earlier version of a destination back (re-adding it if it was deleted).
+function restoreDestinationVersion(destId, version, note){
+  const all = DB.getDestinations() || [];
+  const idx = all.findIndex(x=>x.id===destId);
+  const prev = idx >= 0 ? all[idx] : null;
+  const next = HOURS.withSpec({ ...version, id: destId });
+  const changed = Object.keys(REVISIONS.diff(prev, next));
+  next.editedFields = mergeEditedFields(prev ? prev.editedFields : version.editedFields, changed);
+  if(idx >= 0) all[idx] = next;
+  else all.push(next);
+  DB.saveDestinations(all);
+  DB.unmarkDestinationDeleted(destId);
+  const redirects = DB.getDestinationRedirects();
+  if(redirects[destId]){
+    delete redirects[destId];
+    DB.saveDestinationRedirects(redirects);
+  }
+  REVISIONS.record(destId, "restore", prev, next, { note });
+  recordRecentEdit(destId);
+}
+
+function openHistoryDialog(destId, onRestore){
+  const current = (DB.getDestinations() || []).find(x=>x.id===destId) || null;
+  const revs = REVISIONS.list(destId);
+  const oldest = revs[revs.length - 1];
+  const title = current?.name
+    || revs.map(r=>r.changes?.name?.from ?? r.changes?.name?.to).find(Boolean)
+    || destId;
+
+  const overlay = document.createElement("div");
+  overlay.className = "modalOverlay";
+  overlay.innerHTML = `
+    <div class="modal" style="max-width: 760px">
+      <div class="modalHeader">
+        <div class="h2">History: ${escapeHtml(title)}</div>
+        <div class="small" style="margin-top:.2rem">${current ? "" : "Deleted • "}${revs.length} recorded change${revs.length===1?"":"s"} on this device.</div>
+      </div>
+      <div class="modalBody" style="display:grid; gap:.6rem">
+        ${revs.map((rev, i)=>`
+          <div class="card revItem" style="padding:.75rem">
+            <div style="display:flex; justify-content:space-between; gap:.6rem; flex-wrap:wrap; align-items:center">
+              <div>
+                <span class="pill ${rev.action==="delete"?"rejected":"approved"}">${escapeHtml(REVISIONS.ACTION_LABELS[rev.action] || rev.action)}</span>
+                <span class="small" style="margin-left:.35rem">${escapeHtml(new Date(rev.at).toLocaleString())} • ${escapeHtml(rev.by || "unknown")}</span>
+              </div>
+              ${rev.action === "delete"
+                ? (current ? "" : `<button class="btn btn-ghost" data-rev-restore="${escapeHtml(rev.id)}" data-rev-before="1" style="padding:.4rem .65rem; border-radius:12px">Restore deleted record</button>`)
+                : (i === 0 && current ? `<span class="small" style="opacity:.7">Current version</span>` : `<button class="btn btn-ghost" data-rev-restore="${escapeHtml(rev.id)}" style="padding:.4rem .65rem; border-radius:12px">Restore this version</button>`)}
+            </div>
+            ${rev.note ? `<div class="small" style="margin-top:.3rem; opacity:.8">${escapeHtml(rev.note)}</div>` : ""}
+            <div style="margin-top:.45rem; display:grid; gap:.2rem">${revisionChangesHtml(rev)}</div>
+          </div>
+        `).join("") || `<div class="small" style="opacity:.8">No changes recorded yet.</div>`}
+        ${oldest && !["create","approve"].includes(oldest.action) ? `
+          <div class="card revItem" style="padding:.75rem; display:flex; justify-content:space-between; gap:.6rem; align-items:center; flex-wrap:wrap">
+            <div class="small">Original version (before the first recorded change)</div>
+            <button class="btn btn-ghost" data-rev-restore="${escapeHtml(oldest.id)}" data-rev-before="1" style="padding:.4rem .65rem; border-radius:12px">Restore original</button>
+          </div>
+        ` : ""}
+      </div>
+      <div class="modalFooter">
+        <button class="btn btn-ghost" id="revClose">Close</button>
+      </div>
+    </div>
+  `;
+  document.body.appendChild(overlay);
+  document.body.classList.add("modal-open");
+
+  const close = ()=>{ overlay.remove(); document.body.classList.remove("modal-open"); };
+  overlay.addEventListener("click", (e)=>{ if(e.target===overlay) close(); });
+  overlay.querySelector("#revClose").addEventListener("click", close);
+  overlay.querySelectorAll("[data-rev-restore]").forEach(b=>{
+    b.addEventListener("click", async ()=>{
+      const before = b.dataset.revBefore === "1";
+      const rev = revs.find(r=>r.id === b.dataset.revRestore);
+      const version = REVISIONS.versionAt(destId, rev?.id, current, { before });
+      if(!version){
+        UI.showToast("That version can't be rebuilt.", "danger");
+        return;
+      }
+      close();
+      const ok = await UI.confirm({
+        title:"Restore this version?",
+        body:`<div class="small">${escapeHtml(version.name || destId)} goes back to how it was ${before ? "before" : "after"} the change on ${escapeHtml(new Date(rev.at).toLocaleString())}. The current version stays in the history.</div>`,
+        okText:"Restore",
+        cancelText:"Cancel"
+      });
+      if(!ok) return;
+      restoreDestinationVersion(destId, version, `From ${new Date(rev.at).toLocaleString()}${before ? " (before change)" : ""}`);
+      UI.showToast("Version restored.", "ok");
+      onRestore?.();
+    });
+  });
+}
+
 export const ADMIN = {
   async _promptChangePassword(){
     const body = `
@@ -643,6 +1243,7 @@ export const ADMIN = {
       };
     }
     const tabState = ADMIN._state;
+    if(!tabState.quality) tabState.quality = { sort:"score", dir:1, check:"", category:"", limit:QUALITY_PAGE };
     const locQuery = (tabState.locQuery || "").trim();
     const qNorm = locQuery.toUpperCase().replace(/\s+/g, "");
     const allLocations = DB.getDestinations() || [];
@@ -735,6 +1336,9 @@ export const ADMIN = {
             <div class="filterRow">
               ${tabBtn("submissions","New Submissions")}
               ${tabBtn("locations","Locations Management")}
+              ${tabBtn("duplicates","Duplicates")}
+              ${tabBtn("history","History")}
+              ${tabBtn("quality","Data quality")}
               ${tabBtn("lstRoutes","LST Routes")}
               ${tabBtn("admins","Admins")}
               ${tabBtn("settings","Settings")}
@@ -793,6 +1397,21 @@ export const ADMIN = {
                 <div id="recentEditsList" class="recentEditsList" style="margin-top:.8rem"></div>
               </div>
 
+              <div class="card geoToolCard" style="margin-bottom:1rem">
+                <div style="display:flex; justify-content:space-between; align-items:center; gap:1rem; flex-wrap:wrap">
+                  <div>
+                    <div style="font-weight:950; font-size:1.05rem">Postcode geocoding</div>
+                    <div class="small" style="opacity:.85">Fill missing coordinates from each address postcode using the bundled centroid data (works offline).</div>
+                  </div>
+                  <div class="filterRow" style="gap:.5rem">
+                    <button class="btn btn-ghost" id="geoRunBtn">Scan addresses</button>
+                    <button class="btn btn-ghost" id="geoCsvBtn">Load centroid CSV</button>
+                    <button class="btn btn-ghost" id="geoExportBtn">Export centroids</button>
+                  </div>
+                </div>
+                <div id="geoResults" style="margin-top:.8rem"></div>
+              </div>
+
               <div style="display:grid; gap:.6rem">
                 ${filtered.slice(0,200).map(d=>`
                   <div class="listItem adminDestRow">
@@ -803,6 +1422,7 @@ export const ADMIN = {
                     </div>
                     <div class="actions">
                       <button class="btn btn-ghost" data-edit-dest="${d.id}" style="padding:.55rem .75rem; border-radius:12px">Edit</button>
+                      <button class="btn btn-ghost" data-history-dest="${d.id}" style="padding:.55rem .75rem; border-radius:12px">History</button>
                       <button class="btn btn-ghost" data-delete-dest="${d.id}" style="padding:.55rem .75rem; border-radius:12px">Delete</button>
                     </div>
                   </div>
@@ -811,6 +1431,47 @@ export const ADMIN = {
             </div>
           ` : ""}
 
+          ${tabState.tab==="duplicates" ? `
+            <div class="card-soft" style="padding:1rem">
+              <div style="display:flex; justify-content:space-between; gap:1rem; flex-wrap:wrap; align-items:flex-end">
+                <div>
+                  <div class="h2">Duplicates</div>
+                  <div class="small">Sites listed twice: same postcode or nearby coordinates with similar names, or near-identical names.</div>
+                </div>
+                <div class="filterRow" style="gap:.5rem">
+                  <button class="btn btn-ghost" id="dupScanBtn">${tabState.dup ? "Rescan" : "Scan for duplicates"}</button>
+                  ${DB.getDismissedDuplicates().length ? `<button class="btn btn-ghost" id="dupResetDismissed">Show dismissed (${DB.getDismissedDuplicates().length})</button>` : ""}
+                </div>
+              </div>
+              <div class="hr" style="margin:1rem 0"></div>
+              <div id="dupResults"></div>
+            </div>
+          ` : ""}
+
+          ${tabState.tab==="quality" ? `
+            <div class="card-soft" style="padding:1rem">
+              <div>
+                <div class="h2">Data quality</div>
+                <div class="small">Completeness score per destination (100 = nothing missing). Click a total to list just those records, then Edit to fix them.</div>
+              </div>
+              <div class="hr" style="margin:1rem 0"></div>
+              ${qualityTabHtml(tabState.quality)}
+            </div>
+          ` : ""}
+
+          ${tabState.tab==="history" ? `
+            <div class="card-soft" style="padding:1rem">
+              <div>
+                <div class="h2">History</div>
+                <div class="small">Latest destination changes on this device. Open a destination's history to compare or restore an earlier version.</div>
+              </div>
+              <div class="hr" style="margin:1rem 0"></div>
+              <div style="display:grid; gap:.5rem">
+                ${historyListHtml()}
+              </div>
+            </div>
+          ` : ""}
+
           ${tabState.tab==="lstRoutes" ? `
             <div class="card-soft" style="padding:1rem">
               <div style="display:flex; justify-content:space-between; gap:1rem; flex-wrap:wrap; align-items:flex-end">
@@ -1038,6 +1699,28 @@ ${tabState.tab==="settings" ? `
                 Tip: Use <b>Export seed (GitHub)</b> to download an updated <code>destinations.seed.json</code> you can commit to your repo so all users get the changes.
               </div>
             </div>
+
+            <div class="card-soft" style="padding:1rem; margin-top:1rem">
+              <div style="display:flex; justify-content:space-between; gap:1rem; flex-wrap:wrap; align-items:flex-end">
+                <div>
+                  <div class="h2">Import site list (CSV / TSV)</div>
+                  <div class="small" style="margin-top:.25rem">Map the spreadsheet's columns, check the preview, then create or update destinations (matched by id or postcode).</div>
+                </div>
+                ${tabState.csv ? "" : `<button class="btn btn-ghost" id="csvPickBtn">Choose file</button>`}
+              </div>
+              ${tabState.csv ? `<div class="hr" style="margin:1rem 0"></div>${csvImportHtml(tabState.csv)}` : ""}
+            </div>
+
+            <div class="card-soft" style="padding:1rem; margin-top:1rem">
+              <div style="display:flex; justify-content:space-between; gap:1rem; flex-wrap:wrap; align-items:flex-end">
+                <div>
+                  <div class="h2">Import low bridges</div>
+                  <div class="small" style="margin-top:.25rem">Preload a region without Overpass: an OSM XML extract, saved Overpass JSON, GeoJSON, or CSV with latitude, longitude and height columns. Bridges already stored are matched by OSM id or position and updated.</div>
+                </div>
+                ${tabState.bridgeImport ? "" : `<button class="btn btn-ghost" id="bridgeImportBtn">Choose file</button>`}
+              </div>
+              ${tabState.bridgeImport ? `<div class="hr" style="margin:1rem 0"></div>${bridgeImportHtml(tabState.bridgeImport)}` : ""}
+            </div>
           ` : ""}
         </div>
       </div>
@@ -1092,6 +1775,7 @@ ${tabState.tab==="settings" ? `
         }
         await DEST.ensureLoaded();
         const id = name.toLowerCase().replace(/[^a-z0-9]+/g,"-").replace(/(^-|-$)/g,"").slice(0,60) || `dest-${Date.now()}`;
+        const existing = DEST.state.destinations.find(x=>x.id===id) || null;
         DEST.upsertDestination({
           id, name, address, lat, lon,
           category: "Admin",
@@ -1102,6 +1786,7 @@ ${tabState.tab==="settings" ? `
           photos: [{caption:"Main entrance", url:"assets/images/placeholders/entrance-1.png"}],
           notes: ""
         });
+        REVISIONS.record(id, existing ? "save" : "create", existing, DEST.state.destinations.find(x=>x.id===id));
         UI.showToast("Destination added.", "ok");
         ADMIN.render(container);
       });
@@ -1129,6 +1814,200 @@ ${tabState.tab==="settings" ? `
 
     renderRecentEdits(container);
 
+    // Postcode geocoding (bundled centroids, no network)
+    if(tabState.tab === "locations"){
+      renderGeocodeResults(container, tabState.geo);
+
+      const geoRunBtn = container.querySelector("#geoRunBtn");
+      if(geoRunBtn){
+        geoRunBtn.addEventListener("click", async ()=>{
+          geoRunBtn.disabled = true;
+          try{
+            const centroids = await POSTCODES.loadCentroids();
+            if(!Object.keys(centroids.postcodes).length && !Object.keys(centroids.outcodes).length){
+              UI.showToast("No centroid data yet. Load a centroid CSV first.", "danger");
+              return;
+            }
+            const {results, counts} = POSTCODES.geocodeAll(DB.getDestinations() || [], centroids);
+            tabState.geo = { results, counts, includeAmbiguous: false };
+            ADMIN.render(container);
+          }finally{
+            geoRunBtn.disabled = false;
+          }
+        });
+      }
+
+      const geoIncl = container.querySelector("#geoIncludeAmbiguous");
+      if(geoIncl){
+        geoIncl.addEventListener("change", ()=>{
+          tabState.geo.includeAmbiguous = !!geoIncl.checked;
+          ADMIN.render(container);
+        });
+      }
+
+      const geoAcceptBtn = container.querySelector("#geoAcceptBtn");
+      if(geoAcceptBtn){
+        geoAcceptBtn.addEventListener("click", async ()=>{
+          const geo = tabState.geo;
+          if(!geo) return;
+          const n = geo.counts.matched + (geo.includeAmbiguous ? geo.counts.ambiguous : 0);
+          const ok = await UI.confirm({
+            title:"Apply coordinates?",
+            body:`<div class="small">Set lat/lon on ${n} destination${n===1?"":"s"} from their postcode centroid. Existing coordinates are not touched.</div>`,
+            okText:"Apply",
+            cancelText:"Cancel"
+          });
+          if(!ok) return;
+          const before = DB.getDestinations() || [];
+          const {destinations: updated, applied} = POSTCODES.applyResults(before, geo.results, {includeAmbiguous: geo.includeAmbiguous});
+          DB.saveDestinations(updated);
+          // applyResults only replaces the records it geocoded.
+          REVISIONS.recordMany(updated
+            .map((d, i)=>({ destId: d.id, action: "save", prev: before[i], next: d, note: "Postcode geocoding" }))
+            .filter((e)=>e.next !== e.prev));
+          tabState.geo = null;
+          UI.showToast(`Coordinates added to ${applied} destination${applied===1?"":"s"}.`, "ok");
+          ADMIN.render(container);
+        });
+      }
+
+      const geoCsvBtn = container.querySelector("#geoCsvBtn");
+      if(geoCsvBtn){
+        geoCsvBtn.addEventListener("click", ()=>{
+          const input = document.createElement("input");
+          input.type = "file";
+          input.accept = ".csv,.tsv,.txt,text/csv";
+          input.onchange = async ()=>{
+            const file = input.files?.[0];
+            if(!file) return;
+            try{
+              const wanted = new Set();
+              (DB.getDestinations() || []).forEach(d=>POSTCODES.extract(d.address).forEach(pc=>wanted.add(pc)));
+              const res = POSTCODES.importCentroidCsv(await file.text(), wanted);
+              UI.showToast(`Read ${res.rows} rows: kept ${res.kept} postcodes, ${res.outcodes} districts.`, "ok", 3200);
+              ADMIN.render(container);
+            }catch(err){
+              console.error(err);
+              UI.showToast(err?.message || "Could not read centroid file.", "danger");
+            }
+          };
+          input.click();
+        });
+      }
+
+      const geoExportBtn = container.querySelector("#geoExportBtn");
+      if(geoExportBtn){
+        geoExportBtn.addEventListener("click", async ()=>{
+          const centroids = await POSTCODES.loadCentroids();
+          const payload = { version: 1, exportedAt: Date.now(), ...centroids };
+          downloadFile("postcode_centroids.json", JSON.stringify(payload), "application/json");
+          UI.showToast("Centroids exported (postcode_centroids.json)", "ok");
+        });
+      }
+    }
+
+    // Data-quality worklist
+    if(tabState.tab === "quality"){
+      const q = tabState.quality;
+      container.querySelectorAll("[data-q-check]").forEach(b=>{
+        b.addEventListener("click", ()=>{
+          q.check = q.check === b.dataset.qCheck ? "" : b.dataset.qCheck;
+          q.limit = QUALITY_PAGE;
+          ADMIN.render(container);
+        });
+      });
+      container.querySelectorAll("[data-q-cat]").forEach(b=>{
+        b.addEventListener("click", ()=>{
+          q.category = q.category === b.dataset.qCat ? "" : b.dataset.qCat;
+          q.limit = QUALITY_PAGE;
+          ADMIN.render(container);
+        });
+      });
+      container.querySelectorAll("[data-q-sort]").forEach(b=>{
+        b.addEventListener("click", ()=>{
+          if(q.sort === b.dataset.qSort) q.dir = -q.dir;
+          else{ q.sort = b.dataset.qSort; q.dir = 1; }
+          ADMIN.render(container);
+        });
+      });
+      const qClear = container.querySelector("#qClear");
+      if(qClear){
+        qClear.addEventListener("click", ()=>{
+          q.check = "";
+          q.category = "";
+          q.limit = QUALITY_PAGE;
+          ADMIN.render(container);
+        });
+      }
+      const qMore = container.querySelector("#qMore");
+      if(qMore){
+        qMore.addEventListener("click", ()=>{
+          q.limit += QUALITY_PAGE;
+          ADMIN.render(container);
+        });
+      }
+    }
+
+    // Duplicate detection + merge
+    if(tabState.tab === "duplicates"){
+      renderDuplicateClusters(container, tabState.dup);
+
+      const dupScanBtn = container.querySelector("#dupScanBtn");
+      if(dupScanBtn){
+        dupScanBtn.addEventListener("click", ()=>{
+          dupScanBtn.disabled = true;
+          dupScanBtn.textContent = "Scanning…";
+          // Let the button repaint before the (roughly one second) scan.
+          setTimeout(()=>{
+            tabState.dup = { clusters: DUPLICATES.findClusters(DB.getDestinations() || [], { dismissed: DB.getDismissedDuplicates() }) };
+            ADMIN.render(container);
+          }, 30);
+        });
+      }
+
+      const dupResetDismissed = container.querySelector("#dupResetDismissed");
+      if(dupResetDismissed){
+        dupResetDismissed.addEventListener("click", ()=>{
+          DB.saveDismissedDuplicates([]);
+          tabState.dup = null;
+          ADMIN.render(container);
+        });
+      }
+
+      container.querySelectorAll("[data-dup-dismiss]").forEach(b=>{
+        b.addEventListener("click", ()=>{
+          const c = tabState.dup?.clusters?.[Number(b.dataset.dupDismiss)];
+          if(!c) return;
+          DB.saveDismissedDuplicates([...DB.getDismissedDuplicates(), c.key]);
+          tabState.dup.clusters = tabState.dup.clusters.filter(x=>x !== c);
+          ADMIN.render(container);
+        });
+      });
+
+      container.querySelectorAll("[data-dup-merge]").forEach(b=>{
+        b.addEventListener("click", ()=>{
+          const c = tabState.dup?.clusters?.[Number(b.dataset.dupMerge)];
+          if(!c) return;
+          const all = DB.getDestinations() || [];
+          const members = c.ids.map(id=>all.find(d=>d.id===id)).filter(Boolean);
+          if(members.length < 2) return;
+          openMergeDialog(members, async (choice)=>{
+            const ok = await UI.confirm({
+              title:"Merge destinations?",
+              body:`<div class="small">${members.length - 1} record${members.length===2?"":"s"} will be removed and merged into <b>${escapeHtml(choice.keepId)}</b>.</div>`,
+              okText:"Merge",
+              cancelText:"Cancel"
+            });
+            if(!ok) return;
+            const res = mergeDestinations(c.ids, choice);
+            tabState.dup.clusters = tabState.dup.clusters.filter(x=>x !== c);
+            UI.showToast(`Merged ${res.removed + 1} records into one.`, "ok");
+            ADMIN.render(container);
+          });
+        });
+      });
+    }
+
     // LST Routes editor
 
     // LST Routes admin list/search + editor
@@ -1829,6 +2708,10 @@ ${tabState.tab==="settings" ? `
         const d = all.find(x=>x.id===id);
         if(!d) return;
 
+        // Tip time computed from driver-logged visits (visits.js), offered for avgTipTime.
+        const visitStats = VISITS.stats(d.id);
+        const loggedTipOption = visitStats.tip ? avgTipTimeOption(visitStats.tip.avg) : "";
+
         // Build facilities checkboxes
         const facSet = new Set(d.facilities||[]);
         const facHtml = FACILITIES.map(f=>`
@@ -1848,6 +2731,7 @@ ${tabState.tab==="settings" ? `
           </div>
         `).join("");
 
+        const bhCustom = !!d.bankHolidayHours && !["normal","closed"].includes(d.bankHolidayHours);
         const body = `
           <div class="adminEditForm">
             <div class="field">
@@ -1873,6 +2757,30 @@ ${tabState.tab==="settings" ? `
               </div>
             </div>
 
+            <div class="field">
+              <div class="label">Bank holidays &amp; exceptions</div>
+              <div class="small" style="margin-top:-.15rem">Dated exceptions override the weekly hours. Bank holidays use the ${escapeHtml(HOLIDAYS.regionLabel(HOLIDAYS.regionFor(d)))} calendar unless a region is chosen.</div>
+              <div class="hoursGrid">
+                <div class="row2">
+                  <div style="display:flex; gap:.5rem; align-items:center">
+                    <select class="input" id="e_bhRule">
+                      <option value="" ${!d.bankHolidayHours?"selected":""}>Bank holidays: not confirmed</option>
+                      <option value="normal" ${d.bankHolidayHours==="normal"?"selected":""}>Bank holidays: normal hours</option>
+                      <option value="closed" ${d.bankHolidayHours==="closed"?"selected":""}>Bank holidays: closed</option>
+                      <option value="custom" ${bhCustom?"selected":""}>Bank holidays: custom hours</option>
+                    </select>
+                    <input class="input" id="e_bhHours" placeholder="08:00–14:00" value="${bhCustom ? escapeHtml(d.bankHolidayHours) : ""}" style="max-width:140px" ${bhCustom?"":"disabled"}>
+                  </div>
+                  <select class="input" id="e_holRegion">
+                    <option value="">Region: auto (from postcode)</option>
+                    ${HOLIDAYS.REGIONS.map(r=>`<option value="${r.value}" ${d.holidayRegion===r.value?"selected":""}>Region: ${escapeHtml(r.label)}</option>`).join("")}
+                  </select>
+                </div>
+                <div id="e_excList" style="display:grid; gap:.5rem"></div>
+                <div><button class="btn btn-ghost" type="button" id="e_addExc">Add dated exception</button></div>
+              </div>
+            </div>
+
             <div class="field">
               <div class="label">Average tip time</div>
               <div class="dd" id="avgTipDD">
@@ -1880,6 +2788,12 @@ ${tabState.tab==="settings" ? `
                 <div class="ddMenu" id="e_avgTipMenu"></div>
                 <input type="hidden" id="e_avgTipTime">
               </div>
+              ${visitStats.tip ? `
+                <div class="small loggedTip">
+                  Logged visits: tipping ${escapeHtml(VISITS.fmtMinutes(visitStats.tip.avg))} on average, median ${escapeHtml(VISITS.fmtMinutes(visitStats.tip.median))} (last ${visitStats.tip.count})${visitStats.wait ? ` • wait ${escapeHtml(VISITS.fmtMinutes(visitStats.wait.avg))}` : ""}.
+                  <button class="btn btn-ghost" type="button" id="e_useLoggedTip">Use ${escapeHtml(loggedTipOption)}</button>
+                </div>
+              ` : ""}
             </div>
 
             <div class="row2">
@@ -1973,20 +2887,28 @@ ${tabState.tab==="settings" ? `
         const DAYS = ["Mon","Tue","Wed","Thu","Fri","Sat","Sun"];
         const hoursGrid = overlay.querySelector("#e_hoursGrid");
         const existingHours = (d.hours||"").trim();
-        const initAll24 = /24\s*\/\s*7|24\s*-\s*7|open\s*24/i.test(existingHours);
+        const existingSpec = HOURS.specFor(d);
 
         function renderHoursGrid(){
           if(!hoursGrid) return;
-          hoursGrid.innerHTML = DAYS.map((day,i)=>`
+          // Prefill from the structured hours (the grid holds one span per day).
+          hoursGrid.innerHTML = DAYS.map((day,i)=>{
+            const spans = existingSpec?.days?.[day];
+            const closed = !!spans && !spans.length;
+            const is24 = !!spans?.length && spans[0][0]==="00:00" && spans[0][1]==="24:00";
+            const open = is24 ? "00:00" : (spans?.[0]?.[0] || "");
+            const close = is24 ? "23:59" : (spans?.[0]?.[1] === "24:00" ? "23:59" : (spans?.[0]?.[1] || ""));
+            return `
             <div class="hoursRow" data-day="${day}">
               <div class="day">${day}</div>
-              <label class="pill"><input type="checkbox" class="chk24" ${initAll24?"checked":""}> 24h</label>
-              <label class="pill"><input type="checkbox" class="chkClosed"> Closed</label>
-              <input type="time" class="tOpen" value="${initAll24?"00:00":""}" ${initAll24?"disabled":""}>
+              <label class="pill"><input type="checkbox" class="chk24" ${is24?"checked":""}> 24h</label>
+              <label class="pill"><input type="checkbox" class="chkClosed" ${closed?"checked":""}> Closed</label>
+              <input type="time" class="tOpen" value="${open}" ${is24||closed?"disabled":""}>
               <span class="to">–</span>
-              <input type="time" class="tClose" value="${initAll24?"23:59":""}" ${initAll24?"disabled":""}>
+              <input type="time" class="tClose" value="${close}" ${is24||closed?"disabled":""}>
             </div>
-          `).join("");
+          `;
+          }).join("");
 
           hoursGrid.querySelectorAll(".hoursRow").forEach(row=>{
             const chk24 = row.querySelector(".chk24");
@@ -2027,7 +2949,8 @@ ${tabState.tab==="settings" ? `
         }
 
         function buildHoursString(){
-          if(!hoursGrid) return existingHours || "Hours unknown";
+          // Untouched grid keeps the stored string (the grid's 06:00–18:00 defaults aren't real hours).
+          if(!hoursGrid || !hoursTouched) return existingHours || "Hours unknown";
           const rows = Array.from(hoursGrid.querySelectorAll(".hoursRow"));
           const dayStates = rows.map(r=>{
             const day = r.dataset.day;
@@ -2050,7 +2973,55 @@ ${tabState.tab==="settings" ? `
           }).join("; ");
         }
 
+        // Dated exceptions (closed / custom hours) + bank-holiday rule
+        const excList = overlay.querySelector("#e_excList");
+        const exceptions = (d.hoursExceptions || []).map(x=>({...x}));
+        function readExceptionRows(){
+          excList.querySelectorAll("[data-exc]").forEach(row=>{
+            const x = exceptions[Number(row.dataset.exc)];
+            if(!x) return;
+            x.date = row.querySelector(".excDate").value;
+            x.closed = row.querySelector(".excClosed").checked;
+            x.hours = row.querySelector(".excHours").value.trim();
+            x.note = row.querySelector(".excNote").value.trim();
+          });
+        }
+        function renderExceptions(){
+          excList.innerHTML = exceptions.map((x, i)=>`
+            <div class="hoursRow" data-exc="${i}" style="grid-template-columns:auto auto 1fr 1fr auto">
+              <input type="date" class="input excDate" value="${escapeHtml(x.date||"")}">
+              <label class="pill"><input type="checkbox" class="excClosed" ${x.closed?"checked":""}> Closed</label>
+              <input class="input excHours" placeholder="06:00–14:00" value="${escapeHtml(x.hours||"")}" ${x.closed?"disabled":""}>
+              <input class="input excNote" placeholder="Note (e.g. Christmas Eve)" value="${escapeHtml(x.note||"")}">
+              <button class="btn btn-ghost" type="button" data-remove-exc="${i}">Remove</button>
+            </div>
+          `).join("") || `<div class="small" style="opacity:.75">No dated exceptions.</div>`;
+          excList.querySelectorAll(".excClosed").forEach(chk=>{
+            chk.addEventListener("change", ()=>{
+              chk.closest("[data-exc]").querySelector(".excHours").disabled = chk.checked;
+            });
+          });
+          excList.querySelectorAll("[data-remove-exc]").forEach(btn=>{
+            btn.addEventListener("click", ()=>{
+              readExceptionRows();
+              exceptions.splice(Number(btn.dataset.removeExc), 1);
+              renderExceptions();
+            });
+          });
+        }
+        renderExceptions();
+        overlay.querySelector("#e_addExc").addEventListener("click", ()=>{
+          readExceptionRows();
+          exceptions.push({ date:"", closed:true, hours:"", note:"" });
+          renderExceptions();
+        });
+        const bhRule = overlay.querySelector("#e_bhRule");
+        const bhHours = overlay.querySelector("#e_bhHours");
+        bhRule.addEventListener("change", ()=>{ bhHours.disabled = bhRule.value !== "custom"; });
+
         renderHoursGrid();
+        let hoursTouched = false;
+        if(hoursGrid) hoursGrid.addEventListener("change", ()=>{ hoursTouched = true; });
 
         // Themed dropdown for Average tip time
         const ddBtn = overlay.querySelector("#e_avgTipBtn");
@@ -2090,6 +3061,14 @@ ${tabState.tab==="settings" ? `
 
         setDD(initial);
 
+        const useLoggedTip = overlay.querySelector("#e_useLoggedTip");
+        if(useLoggedTip){
+          useLoggedTip.addEventListener("click", ()=>{
+            setDD(loggedTipOption);
+            UI.showToast("Average tip time set from logged visits. Save to publish.", "ok");
+          });
+        }
+
 
         if(modalBody){
           modalBody.addEventListener("wheel", (e)=>{ e.stopPropagation(); }, {passive:true});
@@ -2107,8 +3086,10 @@ ${tabState.tab==="settings" ? `
             const allNow = DB.getDestinations() || [];
             const i = allNow.findIndex(x=>x.id===id);
             if(i>=0){
-              allNow[i] = {...allNow[i], photos};
+              const before = allNow[i];
+              allNow[i] = {...before, photos, editedFields: mergeEditedFields(before.editedFields, ["photos"])};
               DB.saveDestinations(allNow);
+              REVISIONS.record(id, "save", before, allNow[i]);
             }
           }catch(_e){ /* ignore */ }
         };
@@ -2283,8 +3264,24 @@ ${tabState.tab==="settings" ? `
             return;
           }
 
+          readExceptionRows();
+          const hoursExceptions = exceptions
+            .filter(x=>x.date)
+            .map(x=>({ date:x.date, closed:!!x.closed, hours:x.closed ? "" : x.hours, note:x.note }))
+            .sort((a,b)=>a.date.localeCompare(b.date));
+          if(hoursExceptions.some(x=>!x.closed && !HOURS.parseDayHours(x.hours))){
+            UI.showToast("Each exception needs Closed or hours like 06:00–14:00.", "danger");
+            return;
+          }
+          const bankHolidayHours = bhRule.value === "custom" ? bhHours.value.trim() : bhRule.value;
+          if(bhRule.value === "custom" && !HOURS.parseDayHours(bankHolidayHours)){
+            UI.showToast("Bank holiday hours should look like 08:00–14:00.", "danger");
+            return;
+          }
+          const holidayRegion = overlay.querySelector("#e_holRegion").value;
+
           const idx = all.findIndex(x=>x.id===id);
-          all[idx] = {
+          const next = HOURS.withSpec({
             ...d,
             name,
             address,
@@ -2297,9 +3294,23 @@ ${tabState.tab==="settings" ? `
             notes,
             tags,
             facilities,
-            photos
-          };
+            photos,
+            hoursExceptions,
+            bankHolidayHours
+          });
+          if(holidayRegion) next.holidayRegion = holidayRegion;
+          else delete next.holidayRegion;
+          // Remember which fields the admin changed so seed updates don't overwrite them.
+          const blank = (v)=> v == null || v === "" || (Array.isArray(v) && !v.length);
+          const changedFields = Object.keys(next).filter(k=>k!=="editedFields"
+            && !(blank(next[k]) && blank(d[k]))
+            && JSON.stringify(next[k]) !== JSON.stringify(d[k]));
+          next.editedFields = mergeEditedFields(d.editedFields, changedFields);
+          // Diff against the stored record: photo changes may already have been saved (and recorded).
+          const stored = (DB.getDestinations() || []).find(x=>x.id===id) || d;
+          all[idx] = next;
           DB.saveDestinations(all);
+          REVISIONS.record(id, "save", stored, next);
           recordRecentEdit(id);
           UI.showToast("Updated.", "ok");
           close();
@@ -2309,6 +3320,12 @@ ${tabState.tab==="settings" ? `
     });
 
 
+    container.querySelectorAll("[data-history-dest]").forEach(b=>{
+      b.addEventListener("click", ()=>{
+        openHistoryDialog(b.dataset.historyDest, ()=>ADMIN.render(container));
+      });
+    });
+
 container.querySelectorAll("[data-delete-dest]").forEach(b=>{
       b.addEventListener("click", async ()=>{
         const id = b.dataset.deleteDest;
@@ -2323,6 +3340,8 @@ container.querySelectorAll("[data-delete-dest]").forEach(b=>{
       return hay.includes(locQuery.toUpperCase()) || hayNoSpace.includes(qNorm);
     });
         DB.saveDestinations(all.filter(d=>d.id!==id));
+        DB.markDestinationDeleted(id);
+        REVISIONS.record(id, "delete", all.find(d=>d.id===id) || null, null);
         UI.showToast("Deleted.", "ok");
         ADMIN.render(container);
       });
@@ -2352,9 +3371,13 @@ container.querySelectorAll("[data-delete-dest]").forEach(b=>{
     const exportSeedBtn = container.querySelector("#exportSeedBtn");
     if(exportSeedBtn){
       exportSeedBtn.addEventListener("click", ()=>{
+        // Bump the version so devices merge this seed into their local data.
+        const destinations = (DB.getDestinations() || []).map(({editedFields, ...d})=>d);
         const seed = {
+          version: DB.getSeedVersion() + 1,
           exportedAt: Date.now(),
-          destinations: DB.getDestinations() || []
+          count: destinations.length,
+          destinations
         };
         const blob = new Blob([JSON.stringify(seed, null, 2)], {type:"application/json"});
         const url = URL.createObjectURL(blob);
@@ -2389,6 +3412,154 @@ container.querySelectorAll("[data-delete-dest]").forEach(b=>{
         input.click();
       });
     }
+    // CSV / TSV site list import
+    if(tabState.tab === "settings"){
+      const csvPickBtn = container.querySelector("#csvPickBtn");
+      if(csvPickBtn){
+        csvPickBtn.addEventListener("click", ()=>{
+          const input = document.createElement("input");
+          input.type = "file";
+          input.accept = ".csv,.tsv,.txt,text/csv,text/tab-separated-values";
+          input.onchange = async ()=>{
+            const file = input.files?.[0];
+            if(!file) return;
+            try{
+              const parsed = CSV_IMPORT.parse(await file.text());
+              tabState.csv = { fileName: file.name, parsed, mapping: CSV_IMPORT.guessMapping(parsed.headers), actions:{}, bulk:"" };
+              ADMIN.render(container);
+            }catch(e){
+              UI.showToast(e?.message || "Could not read that file.", "danger");
+            }
+          };
+          input.click();
+        });
+      }
+
+      container.querySelectorAll("[data-csv-map]").forEach(sel=>{
+        sel.addEventListener("change", ()=>{
+          const csv = tabState.csv;
+          const col = sel.dataset.csvMap;
+          // One column per field: taking a field away from another column.
+          if(sel.value){
+            for(const [c, f] of Object.entries(csv.mapping)){
+              if(f === sel.value && c !== col) delete csv.mapping[c];
+            }
+          }
+          if(sel.value) csv.mapping[col] = sel.value;
+          else delete csv.mapping[col];
+          csv.actions = {};
+          ADMIN.render(container);
+        });
+      });
+
+      container.querySelectorAll("[data-csv-action]").forEach(sel=>{
+        sel.addEventListener("change", ()=>{
+          tabState.csv.actions[sel.dataset.csvAction] = sel.value;
+          ADMIN.render(container);
+        });
+      });
+
+      const csvBulk = container.querySelector("#csvBulk");
+      if(csvBulk){
+        csvBulk.addEventListener("change", ()=>{
+          tabState.csv.bulk = csvBulk.value;
+          tabState.csv.actions = {};
+          ADMIN.render(container);
+        });
+      }
+
+      const csvCancelBtn = container.querySelector("#csvCancelBtn");
+      const csvDoneBtn = container.querySelector("#csvDoneBtn");
+      [csvCancelBtn, csvDoneBtn].forEach(btn=>{
+        if(!btn) return;
+        btn.addEventListener("click", ()=>{
+          tabState.csv = null;
+          ADMIN.render(container);
+        });
+      });
+
+      const bridgeImportBtn = container.querySelector("#bridgeImportBtn");
+      if(bridgeImportBtn){
+        bridgeImportBtn.addEventListener("click", ()=>{
+          const input = document.createElement("input");
+          input.type = "file";
+          input.accept = ".osm,.xml,.json,.geojson,.csv,.tsv,.txt,application/json,application/geo+json,text/csv,text/xml";
+          input.onchange = async ()=>{
+            const file = input.files?.[0];
+            if(!file) return;
+            let prepared;
+            try{
+              prepared = await BRIDGE_IMPORT.prepare(await file.text(), file.name);
+            }catch(e){
+              UI.showToast(e?.message || "Could not read that file.", "danger");
+              return;
+            }
+            const count = (action)=> prepared.items.filter(x=>x.action===action).length;
+            const writes = count("new") + count("update");
+            if(writes){
+              const ok = await UI.confirm({
+                title:"Import low bridges?",
+                body:`<div class="small">${escapeHtml(prepared.format)} file ${escapeHtml(file.name)}: ${count("new")} new, ${count("update")} updated, ${count("unchanged")} unchanged, ${prepared.rejected.length} rejected.</div>`,
+                okText:"Import",
+                cancelText:"Cancel"
+              });
+              if(!ok) return;
+            }
+            try{
+              const res = await BRIDGE_IMPORT.apply(prepared);
+              tabState.bridgeImport = { fileName: file.name, format: prepared.format, ...res, rejected: prepared.rejected };
+              UI.showToast(writes ? `Bridges imported: ${res.added} new, ${res.updated} updated.` : "No new or changed bridges in that file.", writes ? "ok" : "danger");
+            }catch(e){
+              console.warn(e);
+              UI.showToast("Saving bridges failed.", "danger");
+            }
+            ADMIN.render(container);
+          };
+          input.click();
+        });
+      }
+      const bridgeImportDoneBtn = container.querySelector("#bridgeImportDoneBtn");
+      if(bridgeImportDoneBtn){
+        bridgeImportDoneBtn.addEventListener("click", ()=>{
+          tabState.bridgeImport = null;
+          ADMIN.render(container);
+        });
+      }
+
+      const csvApplyBtn = container.querySelector("#csvApplyBtn");
+      if(csvApplyBtn){
+        csvApplyBtn.addEventListener("click", async ()=>{
+          const csv = tabState.csv;
+          const rows = csvImportRows(csv);
+          const creates = rows.filter(r=>r.action==="create").length;
+          const updates = rows.filter(r=>r.action.startsWith("update:")).length;
+          if(!creates && !updates){
+            UI.showToast("Nothing to import: every row is skipped.", "danger");
+            return;
+          }
+          const ok = await UI.confirm({
+            title:"Import site list?",
+            body:`<div class="small">Create ${creates} and update ${updates} destination${creates + updates===1?"":"s"} from ${escapeHtml(csv.fileName)}.</div>`,
+            okText:"Import",
+            cancelText:"Cancel"
+          });
+          if(!ok) return;
+          const res = CSV_IMPORT.apply(DB.getDestinations() || [], rows);
+          DB.saveDestinations(res.destinations);
+          const note = `CSV import (${csv.fileName})`;
+          REVISIONS.recordMany([
+            ...res.created.map(x=>({ destId: x.after.id, action: "create", prev: null, next: x.after, note })),
+            ...res.updated.map(x=>({ destId: x.after.id, action: "save", prev: x.before, next: x.after, note }))
+          ]);
+          [...res.updated, ...res.created].slice(0,4).reverse().forEach(x=>recordRecentEdit(x.after.id));
+          const brief = (x)=>({ id:x.after.id, name:x.after.name });
+          tabState.csv = { report: { created: res.created.map(brief), updated: res.updated.map(brief), skipped: res.skipped } };
+          UI.showToast(`Imported: ${res.created.length} created, ${res.updated.length} updated.`, "ok");
+          ADMIN.render(container);
+        });
+      }
+    }
+
     const resetBtn = container.querySelector("#resetBtn");
     if(resetBtn){
       resetBtn.addEventListener("click", async ()=>{
@@ -2520,6 +3691,7 @@ container.querySelectorAll("[data-delete-dest]").forEach(b=>{
         overlay.querySelector("#app").addEventListener("click", async ()=>{
           await DEST.ensureLoaded();
           const id = p.name.toLowerCase().replace(/[^a-z0-9]+/g,"-").replace(/(^-|-$)/g,"").slice(0,60) || `dest-${Date.now()}`;
+          const existing = DEST.state.destinations.find(x=>x.id===id) || null;
           const dest = {
             id,
             name: p.name,
@@ -2536,6 +3708,7 @@ container.querySelectorAll("[data-delete-dest]").forEach(b=>{
             notes: p.notes || ""
           };
           DEST.upsertDestination(dest);
+          REVISIONS.record(id, "approve", existing, DEST.state.destinations.find(x=>x.id===id), { note:`Submission ${subId}` });
 
           const all2 = DB.getSubmissions();
           const s2 = all2.find(x=>x.id===subId);
@@ -8,10 +8,20 @@ import { SUBMIT } from "./submit.js";
 import { ADMIN } from "./admin.js";
 import { AUTH } from "./auth.js";
 import { SETTINGS } from "./settings.js";
-import { debounce, escapeHtml } from "./utils.js";
+import { debounce, escapeHtml, fmtDistance, formatAgo, haversineKm } from "./utils.js";
 import { LST } from "./lstRoutes.js";
 import { BRIDGES } from "./lowBridges.js";
 import { MediaStore } from "./mediaStore.js";
+import { SEARCH } from "./search.js";
+import { HOURS } from "./hours.js";
+import { HOLIDAYS } from "./holidays.js";
+import { BRANDS } from "./brands.js";
+import { FACILITIES } from "./facilities.js";
+import { BRAND_VIEW } from "./brandView.js";
+import { EXPORT_DIALOG } from "./exportDialog.js";
+import { FAVOURITES } from "./favourites.js";
+import { HISTORY } from "./history.js";
+import { DRIVER_NOTES } from "./driverNotes.js";
 
 const ROUTES = {
   home: "home",
@@ -20,7 +30,8 @@ const ROUTES = {
   admin: "admin",
   lst: "lst",
   bridges: "bridges",
-  settings: "settings"
+  settings: "settings",
+  brand: "brand"
 };
 
 const state = {
@@ -43,13 +54,25 @@ function setRoute(route, params={}){
   if(state.route === ROUTES.admin && route !== ROUTES.admin && AUTH.isAdmin()){
     AUTH.logout();
   }
+  // Recently viewed (only sites that exist here, not shared-link fallbacks).
+  if(route === ROUTES.destination){
+    const d = DEST.getById(params.id);
+    if(d) HISTORY.recordView(d.id);
+  }
+  // Pages that hold state outside the DOM drop it when they're left.
+  if(state.route === ROUTES.destination && (route !== ROUTES.destination || params.id !== state.params.id)){
+    DEST_VIEW.leave();
+  }
+  if(state.route === ROUTES.bridges && route !== ROUTES.bridges) BRIDGES.leave();
   state.route = route;
   state.params = params;
   NAV.setActive(route);
   render();
   // Keep simple history:
   const url = new URL(window.location.href);
-  url.hash = route === ROUTES.destination ? `#destination/${params.id}` : `#${route}`;
+  url.hash = route === ROUTES.destination ? `#destination/${encodeURIComponent(params.id)}${params.shared ? `?s=${params.shared}` : ""}`
+    : route === ROUTES.brand ? `#brand/${encodeURIComponent(params.key)}`
+    : `#${route}`;
   history.replaceState({}, "", url);
 }
 
@@ -57,7 +80,13 @@ function parseHash(){
   const h = (location.hash || "").replace("#","");
   if(!h) return {route: ROUTES.home, params:{}};
   if(h.startsWith("destination/")){
-    return {route: ROUTES.destination, params:{id: h.split("/")[1]}};
+    // Shared links carry a fallback copy of the site: #destination/<id>?s=<payload>
+    const [path, query = ""] = h.slice("destination/".length).split("?");
+    const shared = new URLSearchParams(query).get("s");
+    return {route: ROUTES.destination, params: shared ? {id: decodeURIComponent(path), shared} : {id: decodeURIComponent(path)}};
+  }
+  if(h.startsWith("brand/")){
+    return {route: ROUTES.brand, params:{key: decodeURIComponent(h.slice("brand/".length))}};
   }
   if(Object.values(ROUTES).includes(h)) return {route:h, params:{}};
   return {route: ROUTES.home, params:{}};
@@ -87,6 +116,25 @@ let __userCircle = null;
 let __lastRawPos = null;
 let __lastSmoothPos = null;
 let __lastHeadingDeg = null;
+// Home "Near me" listens to the same watcher as the favourites map.
+let __onUserPosition = null;
+let __nearMeSortedAt = null;
+
+// Latest known position, or a one-shot fix when the map watcher hasn't produced one yet.
+function getUserPosition(){
+  if(__lastSmoothPos) return Promise.resolve(__lastSmoothPos);
+  if(!navigator.geolocation) return Promise.reject(new Error("Geolocation unavailable"));
+  return new Promise((resolve, reject)=>{
+    navigator.geolocation.getCurrentPosition(
+      (pos)=>{
+        __lastSmoothPos = { lat: pos.coords.latitude, lng: pos.coords.longitude };
+        resolve(__lastSmoothPos);
+      },
+      reject,
+      { enableHighAccuracy:true, maximumAge:60_000, timeout:10_000 }
+    );
+  });
+}
 
 function initFavMap(){
   const mapEl = document.getElementById("favMap");
@@ -219,6 +267,7 @@ function initUserLocation(){
     const sm = smoothPosition(raw);
     __lastRawPos = raw;
     __lastSmoothPos = { lat: sm.lat, lng: sm.lng };
+    if(__onUserPosition) __onUserPosition(__lastSmoothPos);
 
     if(Number.isFinite(raw.acc) && raw.acc > 0){
       if(__userCircle){
@@ -274,35 +323,62 @@ function initUserLocation(){
   );
 }
 
+// Favourite lists hidden on the map (legend toggles; not persisted).
+const __hiddenFavLists = new Set();
+
 function favPoints(){
-  // Favourites are stored as destination ids.
-  const ids = DB.getFavourites ? DB.getFavourites() : [];
-  const favs = (Array.isArray(ids) ? ids : [])
-    .map(id => DEST.getById(id))
-    .filter(Boolean);
-  return favs
-    .map(d => ({
-      d,
-      lat: Number(d.latitude ?? d.lat),
-      lng: Number(d.longitude ?? d.lng ?? d.lon)
-    }))
-    .filter(p => Number.isFinite(p.lat) && Number.isFinite(p.lng));
+  // Favourites are stored as destination ids, per named list.
+  const out = [];
+  FAVOURITES.lists().forEach((list, i)=>{
+    if(__hiddenFavLists.has(list.id)) return;
+    const colour = FAVOURITES.LIST_COLOURS[i % FAVOURITES.LIST_COLOURS.length];
+    list.ids
+      .map(id => DEST.getById(id))
+      .filter(Boolean)
+      .forEach((d, n)=>{
+        const pos = DEST.coordsOf(d);
+        if(pos) out.push({ d, ...pos, list, colour, n: n + 1 });
+      });
+  });
+  return out;
 }
 
 function refreshFavMap(){
   if(!__favMap || !__favLayer) return;
   __favLayer.clearLayers();
   const pts = favPoints();
-  pts.forEach(({d,lat,lng})=>{
-    const m=L.marker([lat,lng]).addTo(__favLayer);
-    m.bindPopup(`<b>${escapeHtml(d.name||"Destination")}</b><br>${escapeHtml(d.address||"")}`);
+  pts.forEach(({d,lat,lng,list,colour,n})=>{
+    const m=L.circleMarker([lat,lng], { radius:9, weight:2, color:"#10141a", fillColor:colour, fillOpacity:.95 }).addTo(__favLayer);
+    m.bindTooltip(String(n), { permanent:true, direction:"center", className:"favMapNum" });
+    m.bindPopup(`<b>${escapeHtml(d.name||"Destination")}</b><br>${escapeHtml(d.address||"")}<br><span style="color:${colour}">●</span> ${escapeHtml(list.name)} #${n}`);
   });
+  renderFavLegend();
   // If there are no markers, default to a UK overview.
   if(!pts.length){
     __favMap.setView([54.2,-2.5], 6);
   }
 }
 
+// One chip per list under the map; tap to show/hide that list's markers.
+function renderFavLegend(){
+  const legendEl = document.getElementById("favMapLegend");
+  if(!legendEl) return;
+  const lists = FAVOURITES.lists();
+  legendEl.innerHTML = lists.length > 1 ? lists.map((l, i)=>`
+    <button class="chip favLegendChip ${__hiddenFavLists.has(l.id) ? "" : "active"}" data-fav-legend="${escapeHtml(l.id)}">
+      <span style="color:${FAVOURITES.LIST_COLOURS[i % FAVOURITES.LIST_COLOURS.length]}">●</span> ${escapeHtml(l.name)}
+    </button>
+  `).join("") : "";
+  legendEl.querySelectorAll("[data-fav-legend]").forEach(b=>{
+    b.addEventListener("click", ()=>{
+      const id = b.dataset.favLegend;
+      if(__hiddenFavLists.has(id)) __hiddenFavLists.delete(id);
+      else __hiddenFavLists.add(id);
+      refreshFavMap();
+    });
+  });
+}
+
 function fitFavMap(){
   if(!__favMap) return;
   const pts=favPoints();
@@ -311,11 +387,53 @@ function fitFavMap(){
   __favMap.fitBounds(bounds.pad(0.25));
 }
 
+// Recent destinations / searches shown under an empty search box (history.js stores more).
+const RECENT_SHOWN = 8;
+
+// Small name dialog for favourite lists. Resolves to the trimmed name, or null when cancelled.
+function askListName({title, value = "", okText = "Save"}){
+  return new Promise(resolve=>{
+    const overlay = document.createElement("div");
+    overlay.className = "modalOverlay";
+    overlay.innerHTML = `
+      <div class="modal" style="max-width: 420px">
+        <div class="modalHeader">
+          <div class="h2">${escapeHtml(title)}</div>
+        </div>
+        <div class="modalBody">
+          <input class="input" id="favListName" maxlength="40" placeholder="e.g. Monday trunk" value="${escapeHtml(value)}" style="width:100%">
+        </div>
+        <div class="modalFooter">
+          <button class="btn btn-ghost" id="favListCancel">Cancel</button>
+          <button class="btn btn-primary" id="favListOk">${escapeHtml(okText)}</button>
+        </div>
+      </div>
+    `;
+    document.body.appendChild(overlay);
+    document.body.classList.add("modal-open");
+
+    const input = overlay.querySelector("#favListName");
+    const close = (val)=>{ overlay.remove(); document.body.classList.remove("modal-open"); resolve(val); };
+    const submit = ()=>{
+      const name = input.value.trim();
+      if(!name){ input.focus(); return; }
+      close(name);
+    };
+    overlay.addEventListener("click", (e)=>{ if(e.target===overlay) close(null); });
+    overlay.querySelector("#favListCancel").addEventListener("click", ()=>close(null));
+    overlay.querySelector("#favListOk").addEventListener("click", submit);
+    input.addEventListener("keydown", (e)=>{ if(e.key==="Enter") submit(); });
+    input.focus();
+    input.select();
+  });
+}
+
 function renderHome(container){
   // local paging to keep UI fast with large datasets
   let limit = 10;
 
   const categories = ["All", ...Array.from(new Set(DEST.state.destinations.map(d=>d.category).filter(Boolean))).sort()];
+  const brands = BRANDS.list(DEST.state.destinations);
 
   container.innerHTML = `
     <div class="hero">
@@ -330,19 +448,35 @@ function renderHome(container){
         </div>
 
         <div style="margin-top:1rem" class="searchBar">
-          <input class="input" id="searchInput" placeholder="Search name, address, tags, postcode…">
+          <input class="input" id="searchInput" placeholder="Search name, address, tags, postcode, your notes… or cat:RDC has:showers">
+          <button class="btn btn-ghost ${DEST.state.nearMe?"is-active":""}" id="nearMeBtn" title="Sort by distance from you">📍 Near me</button>
           <button class="btn btn-ghost" id="clearBtn">Clear</button>
         </div>
 
+        <div class="filterRow queryChips" style="margin-top:.6rem" id="queryChips"></div>
+
         <div class="filterRow" style="margin-top:.8rem" id="catChips">
           ${categories.map(c=>`<button class="chip ${DEST.state.category===c?"active":""}" data-cat="${c}">${c}</button>`).join("")}
         </div>
 
+        <div class="filterRow facilityChips" style="margin-top:.6rem" id="facilityChips"></div>
+
+        <div class="filterRow brandRow" style="margin-top:.6rem">
+          <select class="input" id="brandSelect" title="Filter by operator">
+            <option value="">All brands / operators</option>
+            ${brands.map(b=>`<option value="${escapeHtml(b.key)}">${escapeHtml(b.label)} (${b.ids.length})</option>`).join("")}
+          </select>
+          <button class="btn btn-ghost" id="brandPageBtn" type="button" style="display:none">🗺️ All sites</button>
+        </div>
+
         <!-- Results (inside Search card) -->
         <div style="margin-top:1rem" class="card-soft" id="resultsCard">
           <div style="padding: .9rem 1rem; display:flex; justify-content:space-between; gap:1rem; align-items:center; flex-wrap:wrap">
             <div class="h2">Results</div>
-            <div class="small" id="resultsMeta"></div>
+            <div style="display:flex; gap:.6rem; align-items:center">
+              <div class="small" id="resultsMeta"></div>
+              <button class="btn btn-ghost" id="exportResultsBtn" title="Export these results" style="display:none; padding:.4rem .7rem">⤓ Export</button>
+            </div>
           </div>
           <div class="hr"></div>
           <div style="padding: .8rem; display:grid; gap:.6rem" id="results"></div>
@@ -355,10 +489,16 @@ function renderHome(container){
         <div style="padding: .9rem 1rem; display:flex; justify-content:space-between; gap:1rem; align-items:center; flex-wrap:wrap">
           <div>
             <div class="h2">Favourites</div>
-            <div class="small" style="margin-top:.15rem">Save up to 5 destinations for quick access.</div>
+            <div class="small" style="margin-top:.15rem">Keep named lists, e.g. "Monday trunk" or "Aldi run". ☆ adds to the selected list.</div>
+          </div>
+          <div style="display:flex; gap:.5rem; flex-wrap:wrap">
+            <button class="btn btn-ghost" id="newFavListBtn" title="New list">+ List</button>
+            <button class="btn btn-ghost" id="renameFavListBtn" title="Rename this list">Rename</button>
+            <button class="btn btn-ghost" id="exportFavsBtn" title="Export this list">⤓ Export</button>
+            <button class="btn btn-ghost" id="clearFavsBtn" title="Clear or delete this list">Clear</button>
           </div>
-          <button class="btn btn-ghost" id="clearFavsBtn" title="Clear favourites">Clear</button>
         </div>
+        <div class="filterRow" style="padding: 0 1rem .8rem; gap:.45rem" id="favListChips"></div>
         <div class="hr"></div>
         <div style="padding: .8rem; display:grid; gap:.6rem" id="favsList"></div>
       </div>
@@ -368,7 +508,7 @@ function renderHome(container){
         <div style="padding:.9rem 1rem; display:flex; justify-content:space-between; gap:1rem; align-items:center; flex-wrap:wrap">
           <div>
             <div class="h2">Map</div>
-            <div class="small">Your favourites (markers shown where coordinates exist).</div>
+            <div class="small">Your favourite lists, numbered in list order (markers shown where coordinates exist).</div>
           </div>
           <button class="btn btn-ghost" id="fitFavMapBtn">Centre</button>
         </div>
@@ -380,6 +520,7 @@ function renderHome(container){
               <span class="locateFabIcon" aria-hidden="true">◎</span>
             </button>
           </div>
+          <div class="filterRow" style="gap:.45rem; margin-top:.6rem" id="favMapLegend"></div>
         </div>
       </div>
     </div>
@@ -397,57 +538,59 @@ function renderHome(container){
   const favCardEl = container.querySelector("#favCard");
   const clearFavsBtn = container.querySelector("#clearFavsBtn");
 
-  function getFavIds(){
-    // stored as array of destination ids
-    const ids = DB.getFavourites();
-    return Array.isArray(ids) ? ids : [];
-  }
-  function setFavIds(ids){
-    const unique = [];
-    for(const id of (ids||[])){
-      if(!unique.includes(id)) unique.push(id);
-      if(unique.length>=5) break;
-    }
-    DB.saveFavourites(unique);
-  }
+  const favListChipsEl = container.querySelector("#favListChips");
+
   function isFav(id){
-    return getFavIds().includes(id);
+    return FAVOURITES.has(id);
   }
-  function toggleFav(id){
-    const ids = getFavIds();
-    const idx = ids.indexOf(id);
-    if(idx>=0){
-      ids.splice(idx,1);
-    }else{
-      ids.unshift(id);
-    }
-    setFavIds(ids);
+  function favsChanged(){
     renderFavs();
     renderResults(false); // refresh stars
     refreshFavMap();
   }
+  function toggleFav(id){
+    const added = FAVOURITES.toggle(id);
+    favsChanged();
+    UI.showToast(`${added ? "Added to" : "Removed from"} ${escapeHtml(FAVOURITES.active().name)}.`, "ok", 1400);
+  }
 
   function renderFavs(){
-    const ids = getFavIds();
-    const items = ids.map(id=>DEST.getById(id)).filter(Boolean);
+    const lists = FAVOURITES.lists();
+    const active = FAVOURITES.active();
+    favListChipsEl.innerHTML = lists.map((l, i)=>`
+      <button class="chip ${l.id===active.id ? "active" : ""}" data-fav-list="${escapeHtml(l.id)}">
+        <span style="color:${FAVOURITES.LIST_COLOURS[i % FAVOURITES.LIST_COLOURS.length]}">●</span> ${escapeHtml(l.name)} (${l.ids.length})
+      </button>
+    `).join("");
+    favListChipsEl.querySelectorAll("[data-fav-list]").forEach(b=>{
+      b.addEventListener("click", ()=>{
+        FAVOURITES.setActive(b.dataset.favList);
+        favsChanged();
+      });
+    });
+    clearFavsBtn.textContent = (lists.length > 1 && !active.ids.length) ? "Delete list" : "Clear";
+
+    const items = active.ids.map(id=>DEST.getById(id)).filter(Boolean);
     if(!items.length){
-      favsEl.innerHTML = `<div class="small" style="opacity:.85">No favourites yet. Tap ☆ on a destination to save it.</div>`;
+      favsEl.innerHTML = `<div class="small" style="opacity:.85">Nothing in ${escapeHtml(active.name)} yet. Tap ☆ on a destination to add it.</div>`;
       favCardEl.style.display = "";
-      clearFavsBtn.disabled = true;
+      clearFavsBtn.disabled = lists.length <= 1;
       return;
     }
     clearFavsBtn.disabled = false;
-    favsEl.innerHTML = items.map(d=>`
+    favsEl.innerHTML = items.map((d, i)=>`
       <button class="listItem favItem" data-open="${d.id}" style="text-align:left">
         <div class="thumb">
           <img data-media="${(d.photos?.[0]?.url)||"assets/images/placeholders/entrance-1.png"}" src="assets/images/placeholders/entrance-1.png" alt="">
         </div>
         <div style="flex:1; min-width:0">
-          <div style="font-weight:950; white-space:nowrap; overflow:hidden; text-overflow:ellipsis">${d.name}</div>
+          <div style="font-weight:950; white-space:nowrap; overflow:hidden; text-overflow:ellipsis">${i + 1}. ${d.name}</div>
           <div class="small" style="white-space:nowrap; overflow:hidden; text-overflow:ellipsis">${d.address}</div>
         </div>
         <div class="listActions">
-          <span class="favStar" data-fav="${d.id}" title="Remove favourite">★</span>
+          <span class="favMove ${i===0 ? "disabled" : ""}" data-fav-move="-1" data-fav-id="${d.id}" title="Move up">↑</span>
+          <span class="favMove ${i===items.length-1 ? "disabled" : ""}" data-fav-move="1" data-fav-id="${d.id}" title="Move down">↓</span>
+          <span class="favStar" data-fav="${d.id}" title="Remove from ${escapeHtml(active.name)}">★</span>
           <span style="margin-left:.35rem; color:var(--muted); font-weight:900">›</span>
         </div>
       </button>
@@ -466,42 +609,237 @@ function renderHome(container){
         toggleFav(el.dataset.fav);
       });
     });
+    // reorder handlers
+    favsEl.querySelectorAll("[data-fav-move]").forEach(el=>{
+      el.addEventListener("click", (e)=>{
+        e.preventDefault(); e.stopPropagation();
+        FAVOURITES.move(active.id, el.dataset.favId, Number(el.dataset.favMove));
+        renderFavs();
+        refreshFavMap();
+      });
+    });
   }
 
-  clearFavsBtn.addEventListener("click", ()=>{
-    setFavIds([]);
-    renderFavs();
-    renderResults(false);
-    refreshFavMap();
+  container.querySelector("#newFavListBtn").addEventListener("click", async ()=>{
+    const name = await askListName({ title:"New favourites list", okText:"Create" });
+    if(!name) return;
+    FAVOURITES.create(name);
+    favsChanged();
+  });
+
+  container.querySelector("#renameFavListBtn").addEventListener("click", async ()=>{
+    const active = FAVOURITES.active();
+    const name = await askListName({ title:"Rename list", value: active.name, okText:"Rename" });
+    if(!name) return;
+    FAVOURITES.rename(active.id, name);
+    favsChanged();
   });
 
+  // Clears the selected list; an already-empty list (when there are others) is deleted.
+  clearFavsBtn.addEventListener("click", async ()=>{
+    const active = FAVOURITES.active();
+    const deleting = !active.ids.length;
+    const ok = await UI.confirm({
+      title: deleting ? `Delete ${escapeHtml(active.name)}?` : `Clear ${escapeHtml(active.name)}?`,
+      body: `<div class="small">${deleting ? "The list is removed." : `Removes all ${active.ids.length} destination${active.ids.length===1?"":"s"} from this list. Other lists are kept.`}</div>`,
+      okText: deleting ? "Delete" : "Clear",
+      cancelText: "Cancel"
+    });
+    if(!ok) return;
+    if(deleting) FAVOURITES.remove(active.id);
+    else FAVOURITES.clear(active.id);
+    favsChanged();
+  });
+
+  // Export: current results, favourites or everything (GeoJSON / KML / GPX).
+  const exportResultsBtn = container.querySelector("#exportResultsBtn");
+  const exportScopes = ()=>[
+    ((DEST.state.query || "").trim() || DEST.state.nearMe || DEST.state.facilities.length)
+      ? { key:"results", label:"Search results", title:"HGV search results", list: ()=>DEST.list() }
+      : null,
+    { key:"favourites", label:FAVOURITES.active().name, title:`HGV ${FAVOURITES.active().name}`, list: ()=>FAVOURITES.active().ids.map(id=>DEST.getById(id)).filter(Boolean) },
+    { key:"all", label:"All destinations", title:"HGV destinations", list: ()=>DEST.state.destinations }
+  ];
+  exportResultsBtn.addEventListener("click", ()=>EXPORT_DIALOG.open({scopes: exportScopes(), scope:"results"}));
+  container.querySelector("#exportFavsBtn").addEventListener("click", ()=>EXPORT_DIALOG.open({scopes: exportScopes(), scope:"favourites"}));
+
   const footerEl = container.querySelector("#resultsFooter");
+  const queryChipsEl = container.querySelector("#queryChips");
+  const brandSelect = container.querySelector("#brandSelect");
+  const facilityChipsEl = container.querySelector("#facilityChips");
+
+  // Multi-select facility filters (AND). Counts are for the current results,
+  // i.e. how many sites you'd still have after also ticking that facility.
+  function renderFacilityChips(list){
+    const counts = FACILITIES.counts(list);
+    const selected = new Set(DEST.state.facilities);
+    facilityChipsEl.innerHTML = FACILITIES.GROUPS.map(g=>`
+      <button class="chip facilityChip ${selected.has(g.key)?"active":""}" data-facility="${g.key}" ${!counts[g.key] && !selected.has(g.key) ? "disabled" : ""}>
+        ${g.icon} ${escapeHtml(g.label)} <span class="count">${counts[g.key]}</span>
+      </button>
+    `).join("");
+    facilityChipsEl.querySelectorAll("[data-facility]").forEach(btn=>{
+      btn.addEventListener("click", ()=>{
+        const key = btn.dataset.facility;
+        DEST.state.facilities = selected.has(key)
+          ? DEST.state.facilities.filter(k=>k!==key)
+          : [...DEST.state.facilities, key];
+        renderResults(true);
+      });
+    });
+  }
+  const brandPageBtn = container.querySelector("#brandPageBtn");
+
+  // Brand dropdown mirrors (and writes) the `brand:` filter in the search box.
+  function activeBrandKey(){
+    const f = SEARCH.parseQuery(DEST.state.query).filters.find(x=>x.key==="brand");
+    return f ? BRANDS.keyOf(f.value) : "";
+  }
+  function syncBrandControls(){
+    const key = activeBrandKey();
+    const known = !!BRANDS.get(DEST.state.destinations, key);
+    brandSelect.value = known ? key : "";
+    brandPageBtn.style.display = known ? "" : "none";
+  }
+
+  // Active `key:value` filters from the search box, each removable.
+  function renderQueryChips(){
+    const parsed = SEARCH.parseQuery(DEST.state.query);
+    const chips = parsed.parts
+      .map((p, i)=>({p, i}))
+      .filter(({p})=>p.type==="filter" && p.value);
+    queryChipsEl.style.display = chips.length ? "" : "none";
+    queryChipsEl.innerHTML = chips.map(({p, i})=>`
+      <button class="chip active queryChip" data-remove-part="${i}" title="Remove filter">
+        ${escapeHtml(SEARCH.filterLabel(p.key))}: ${escapeHtml(p.value)} <span aria-hidden="true">×</span>
+      </button>
+    `).join("");
+    queryChipsEl.querySelectorAll("[data-remove-part]").forEach(btn=>{
+      btn.addEventListener("click", ()=>{
+        DEST.state.query = SEARCH.removePart(DEST.state.query, Number(btn.dataset.removePart));
+        searchInput.value = DEST.state.query;
+        renderResults(true);
+      });
+    });
+  }
+
+  // Empty search box: recently viewed destinations and recent searches.
+  function renderRecent(){
+    const now = Date.now();
+    const viewed = HISTORY.viewed()
+      .map(v=>({ d: DEST.getById(v.id), at: v.at }))
+      .filter(v=>v.d)
+      .slice(0, RECENT_SHOWN);
+    const searches = HISTORY.searches().slice(0, RECENT_SHOWN);
+    if(!viewed.length && !searches.length){
+      resultsEl.innerHTML = `<div class="small" style="padding: .6rem; opacity:.9">Search for a destination. Sites you open and searches you make will show here.</div>`;
+      footerEl.innerHTML = "";
+      return;
+    }
+    resultsEl.innerHTML = `
+      ${searches.length ? `
+        <div class="recentHead"><span class="label">Recent searches</span></div>
+        <div class="filterRow" style="gap:.45rem">
+          ${searches.map(s=>`
+            <span class="chip recentSearch">
+              <button data-recent-search="${escapeHtml(s.q)}" title="${escapeHtml(formatAgo(now - s.at))}">🔍 ${escapeHtml(s.q)}</button>
+              <button class="recentRemove" data-recent-search-remove="${escapeHtml(s.q)}" title="Remove">×</button>
+            </span>
+          `).join("")}
+        </div>
+      ` : ""}
+      ${viewed.length ? `
+        <div class="recentHead"><span class="label">Recent</span></div>
+        ${viewed.map(({d, at})=>`
+          <button class="listItem" data-open="${d.id}" style="text-align:left">
+            <div style="flex:1; min-width:0">
+              <div style="font-weight:950; white-space:nowrap; overflow:hidden; text-overflow:ellipsis">${d.name}</div>
+              <div class="small" style="white-space:nowrap; overflow:hidden; text-overflow:ellipsis">${d.address}</div>
+            </div>
+            <div class="listActions">
+              <span class="small" style="white-space:nowrap">${formatAgo(now - at)}</span>
+              <span style="margin-left:.35rem; color:var(--muted); font-weight:900">›</span>
+            </div>
+          </button>
+        `).join("")}
+      ` : ""}
+    `;
+    footerEl.innerHTML = `<button class="btn btn-ghost" id="clearHistoryBtn" style="width:100%">Clear history</button>`;
+
+    resultsEl.querySelectorAll("[data-open]").forEach(btn=>{
+      btn.addEventListener("click", ()=>setRoute(ROUTES.destination, {id: btn.dataset.open}));
+    });
+    resultsEl.querySelectorAll("[data-recent-search]").forEach(btn=>{
+      btn.addEventListener("click", ()=>{
+        DEST.state.query = btn.dataset.recentSearch;
+        searchInput.value = DEST.state.query;
+        HISTORY.recordSearch(DEST.state.query);
+        renderResults(true);
+      });
+    });
+    resultsEl.querySelectorAll("[data-recent-search-remove]").forEach(btn=>{
+      btn.addEventListener("click", ()=>{
+        HISTORY.removeSearch(btn.dataset.recentSearchRemove);
+        renderRecent();
+      });
+    });
+    footerEl.querySelector("#clearHistoryBtn").addEventListener("click", async ()=>{
+      const ok = await UI.confirm({
+        title: "Clear history?",
+        body: `<div class="small">Removes recently viewed destinations and recent searches from this device.</div>`,
+        okText: "Clear",
+        cancelText: "Cancel"
+      });
+      if(!ok) return;
+      HISTORY.clear();
+      renderRecent();
+    });
+  }
 
   function renderResults(resetLimit=false){
     if(resetLimit) limit = 10;
+    syncBrandControls();
+    renderQueryChips();
 
-    // Only populate results when the user is actively searching.
+    // Only populate results when the user is actively searching (or in Near me mode).
     // When the search box is empty, keep the Results card visible with a prompt.
     const q = (DEST.state.query || "").trim();
-    const isSearching = q.length > 0;
+    const isSearching = q.length > 0 || DEST.state.nearMe || DEST.state.facilities.length > 0;
+    exportResultsBtn.style.display = isSearching ? "" : "none";
     if(!isSearching){
+      renderFacilityChips(DEST.list());
       resultsCardEl.style.display = "";
       metaEl.textContent = "";
-      resultsEl.innerHTML = `<div class="small" style="padding: .6rem; opacity:.9">Search For Results</div>`;
-      footerEl.innerHTML = "";
+      renderRecent();
       return;
     }
 
     resultsCardEl.style.display = "";
 
     const all = DEST.list();
-    const shown = all.slice(0, limit);
+    renderFacilityChips(all);
+    const units = DB.getSettings().units || "mi";
+
+    // Near me: nearest first, destinations without coordinates listed after.
+    let rows = all.map(d=>({d, km:null}));
+    let noCoordsFrom = -1;
+    if(DEST.state.nearMe && __lastSmoothPos){
+      const {near, noCoords} = DEST.byDistance(all, __lastSmoothPos);
+      rows = [...near, ...noCoords.map(d=>({d, km:null}))];
+      noCoordsFrom = near.length;
+      __nearMeSortedAt = __lastSmoothPos;
+    }
+    const shown = rows.slice(0, limit);
+    const now = new Date();
 
     // Always show the total results for the current search/category.
     // (Avoid "Showing X of Y" as requested.)
-    metaEl.textContent = `${all.length} result${all.length===1?"":"s"}`;
+    metaEl.textContent = `${all.length} result${all.length===1?"":"s"}${DEST.state.nearMe ? (__lastSmoothPos ? " • nearest first" : " • finding your location…") : ""}`;
 
-    resultsEl.innerHTML = shown.map(d=>`
+    resultsEl.innerHTML = shown.map(({d, km}, i)=>{
+      const open = HOLIDAYS.statusOf(d, now);
+      return `
+      ${i===noCoordsFrom ? `<div class="small resultsDivider">No coordinates yet (${rows.length - noCoordsFrom})</div>` : ""}
       <button class="listItem" data-open="${d.id}" style="text-align:left">
         <div class="thumb">
           <img data-media="${(d.photos?.[0]?.url)||"assets/images/placeholders/entrance-1.png"}" src="assets/images/placeholders/entrance-1.png" alt="">
@@ -510,8 +848,11 @@ function renderHome(container){
           <div style="font-weight:950; white-space:nowrap; overflow:hidden; text-overflow:ellipsis">${d.name}</div>
           <div class="small" style="white-space:nowrap; overflow:hidden; text-overflow:ellipsis">${d.address}</div>
           <div style="display:flex; gap:.45rem; flex-wrap:wrap; margin-top:.4rem">
+            ${km!=null ? `<span class="badge distBadge">🧭 ${fmtDistance(km, units)}</span>` : ""}
             <span class="badge">📍 ${d.category||"Destination"}</span>
             <span class="badge">🕒 ${d.hours||"Hours"}</span>
+            ${open.state !== "unknown" ? `<span class="badge ${HOURS.badgeClass(open.state)}">${open.label}</span>` : ""}
+            ${DRIVER_NOTES.count(d.id) ? `<span class="badge" title="You have notes on this site">📝 My notes</span>` : ""}
           </div>
         </div>
         <div class="listActions">
@@ -519,7 +860,8 @@ function renderHome(container){
           <span style="margin-left:.35rem; color:var(--muted); font-weight:900">›</span>
         </div>
       </button>
-    `).join("") || `<div class="small" style="padding: .6rem">No results. Try a different search.</div>`;
+    `;
+    }).join("") || `<div class="small" style="padding: .6rem">No results. Try a different search.</div>`;
 
     MediaStore.hydrate(resultsEl);
 
@@ -532,7 +874,10 @@ function renderHome(container){
     });
 
     resultsEl.querySelectorAll("[data-open]").forEach(btn=>{
-      btn.addEventListener("click", ()=>setRoute(ROUTES.destination, {id: btn.dataset.open}));
+      btn.addEventListener("click", ()=>{
+        HISTORY.recordSearch(DEST.state.query);
+        setRoute(ROUTES.destination, {id: btn.dataset.open});
+      });
     });
 
     if(all.length > shown.length){
@@ -552,16 +897,61 @@ function renderHome(container){
   }, 120);
 
   searchInput.addEventListener("input", onSearch);
+  // Enter (or the keyboard's "Go") counts as a submitted search.
+  searchInput.addEventListener("keydown", (e)=>{
+    if(e.key !== "Enter") return;
+    DEST.state.query = searchInput.value;
+    HISTORY.recordSearch(DEST.state.query);
+    renderResults(true);
+  });
+
+  // Re-sort when the driver has moved a meaningful distance since the last sort.
+  __nearMeSortedAt = null;
+  __onUserPosition = (pos)=>{
+    if(!DEST.state.nearMe || !container.isConnected) return;
+    if(__nearMeSortedAt && haversineKm(__nearMeSortedAt, pos) < 0.25) return;
+    renderResults(false);
+  };
+
+  const nearMeBtn = container.querySelector("#nearMeBtn");
+  nearMeBtn.addEventListener("click", async ()=>{
+    DEST.state.nearMe = !DEST.state.nearMe;
+    nearMeBtn.classList.toggle("is-active", DEST.state.nearMe);
+    renderResults(true);
+    if(!DEST.state.nearMe) return;
+    try{
+      await getUserPosition();
+      renderResults(true);
+    }catch(_e){
+      UI.showToast("Location not available. Allow location access to sort by distance.", "danger");
+    }
+  });
 
   container.querySelector("#clearBtn").addEventListener("click", ()=>{
     DEST.state.query = "";
     DEST.state.category = "All";
+    DEST.state.nearMe = false;
+    DEST.state.facilities = [];
+    nearMeBtn.classList.remove("is-active");
     searchInput.value = "";
     container.querySelectorAll("[data-cat]").forEach(ch=>ch.classList.toggle("active", ch.dataset.cat==="All"));
     renderResults(true);
     searchInput.focus();
   });
 
+  brandSelect.addEventListener("change", ()=>{
+    const parts = SEARCH.parseQuery(DEST.state.query).parts.filter(p=>!(p.type==="filter" && p.key==="brand"));
+    const brand = BRANDS.get(DEST.state.destinations, brandSelect.value);
+    if(brand) parts.push({raw: /\s/.test(brand.label) ? `brand:"${brand.label}"` : `brand:${brand.label}`});
+    DEST.state.query = parts.map(p=>p.raw).join(" ");
+    searchInput.value = DEST.state.query;
+    renderResults(true);
+  });
+  brandPageBtn.addEventListener("click", ()=>{
+    const key = activeBrandKey();
+    if(key) setRoute(ROUTES.brand, {key});
+  });
+
   container.querySelectorAll("[data-cat]").forEach(ch=>{
     ch.addEventListener("click", ()=>{
       DEST.state.category = ch.dataset.cat;
@@ -592,9 +982,11 @@ function render(){
     LST.render(view);
   }else if(state.route === ROUTES.bridges){
     view.innerHTML = "";
-    BRIDGES.render().then((html)=>{ view.innerHTML = html; }).catch((e)=>{ console.error(e); view.innerHTML = UI.card(`<div class="h2">Low Bridges</div><div class="small muted">Failed to load.</div>`); });
+    BRIDGES.render().then((html)=>{ view.innerHTML = html; }).catch((e)=>{ console.error(e); view.innerHTML = UI.card({ title: "Low Bridges", body: `<div class="small muted">Failed to load.</div>` }); });
   }else if(state.route === ROUTES.settings){
     SETTINGS.render(view);
+  }else if(state.route === ROUTES.brand){
+    BRAND_VIEW.render(view, state.params);
   }
 }
 
@@ -677,6 +1069,11 @@ async function showLoadingThenStart(){
   renderHeader();
   initHiddenAdmin();
 
+  const merged = DEST.state.seedMerge;
+  if(merged && (merged.added || merged.updated)){
+    UI.showToast(`Destinations updated: ${merged.added} new, ${merged.updated} changed.`, "ok", 4200);
+  }
+
   const parsed = parseHash();
   state.route = parsed.route;
   state.params = parsed.params;
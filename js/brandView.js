@@ -0,0 +1,108 @@
+// brandView.js
+// Every site for one operator, on a map and as a list (route: #brand/<key>).
+
+import { DEST } from "./destinations.js";
+import { BRANDS } from "./brands.js";
+import { HOLIDAYS } from "./holidays.js";
+import { HOURS } from "./hours.js";
+import { escapeHtml } from "./utils.js";
+import { EXPORT_DIALOG } from "./exportDialog.js";
+
+let __brandMap = null;
+
+export const BRAND_VIEW = {
+  render(container, {key}){
+    if(__brandMap){
+      try{ __brandMap.remove(); }catch(_e){ /* ignore */ }
+      __brandMap = null;
+    }
+    const brand = BRANDS.get(DEST.state.destinations, key);
+    if(!brand){
+      container.innerHTML = `<div class="card" style="padding:1rem">Brand not found.</div>`;
+      return;
+    }
+    const sites = brand.ids
+      .map(id=>DEST.getById(id))
+      .filter(Boolean)
+      .sort((a,b)=>(a.name||"").localeCompare(b.name||""));
+    const mapped = sites.filter(d=>DEST.coordsOf(d));
+    const now = new Date();
+
+    container.innerHTML = `
+      <div style="padding:1rem; display:grid; gap:1rem">
+        <section class="card" style="padding:1rem">
+          <div style="display:flex; justify-content:space-between; gap:1rem; align-items:flex-start; flex-wrap:wrap">
+            <div>
+              <div class="h1">${escapeHtml(brand.label)}</div>
+              <div class="small" style="margin-top:.25rem">${sites.length} site${sites.length===1?"":"s"} • ${mapped.length} on the map</div>
+            </div>
+            <div style="display:flex; gap:.5rem">
+              <button class="btn btn-ghost" id="brandExportBtn" type="button">⤓ Export</button>
+              <button class="btn btn-ghost" id="brandBackBtn" type="button">← Back</button>
+            </div>
+          </div>
+        </section>
+
+        <section class="card-soft">
+          <div style="padding:.8rem">
+            <div id="brandMap" class="favMap"></div>
+            ${mapped.length < sites.length ? `<div class="small" style="margin-top:.5rem; opacity:.8">${sites.length - mapped.length} site${sites.length - mapped.length===1?"":"s"} without coordinates are listed below only.</div>` : ""}
+          </div>
+        </section>
+
+        <section class="card-soft">
+          <div style="padding:.9rem 1rem" class="h2">Sites</div>
+          <div class="hr"></div>
+          <div style="padding:.8rem; display:grid; gap:.6rem">
+            ${sites.map(d=>{
+              const open = HOLIDAYS.statusOf(d, now);
+              return `
+              <button class="listItem" data-open="${escapeHtml(d.id)}" style="text-align:left">
+                <div style="flex:1; min-width:0">
+                  <div style="font-weight:950; white-space:nowrap; overflow:hidden; text-overflow:ellipsis">${escapeHtml(d.name||"")}</div>
+                  <div class="small" style="white-space:nowrap; overflow:hidden; text-overflow:ellipsis">${escapeHtml(d.address||"")}</div>
+                  <div style="display:flex; gap:.45rem; flex-wrap:wrap; margin-top:.4rem">
+                    <span class="badge">📍 ${escapeHtml(d.category||"Destination")}</span>
+                    ${DEST.coordsOf(d) ? "" : `<span class="badge">No coordinates</span>`}
+                    ${open.state !== "unknown" ? `<span class="badge ${HOURS.badgeClass(open.state)}">${escapeHtml(open.label)}</span>` : ""}
+                  </div>
+                </div>
+                <span style="color:var(--muted); font-weight:900">›</span>
+              </button>`;
+            }).join("")}
+          </div>
+        </section>
+      </div>
+    `;
+
+    container.querySelectorAll("[data-open]").forEach(btn=>{
+      btn.addEventListener("click", ()=>{ window.location.hash = `#destination/${btn.dataset.open}`; });
+    });
+    container.querySelector("#brandExportBtn").addEventListener("click", ()=>{
+      EXPORT_DIALOG.open({ scopes: [{ key:"brand", label:`${brand.label} sites`, title:`${brand.label} sites`, list: ()=>sites }] });
+    });
+    container.querySelector("#brandBackBtn").addEventListener("click", ()=>{
+      if(window.history.length > 1) window.history.back();
+      else window.location.hash = "#home";
+    });
+
+    const mapEl = container.querySelector("#brandMap");
+    if(!mapEl || typeof L === "undefined") return;
+    __brandMap = L.map(mapEl, { zoomControl:true }).setView([54.2,-2.5], 6);
+    L.tileLayer("https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png", {
+      maxZoom: 19,
+      attribution: "&copy; OpenStreetMap"
+    }).addTo(__brandMap);
+    const bounds = [];
+    for(const d of mapped){
+      const p = DEST.coordsOf(d);
+      bounds.push([p.lat, p.lng]);
+      L.marker([p.lat, p.lng])
+        .addTo(__brandMap)
+        .bindPopup(`<b>${escapeHtml(d.name||"")}</b><br><a href="#destination/${encodeURIComponent(d.id)}">Open</a>`);
+    }
+    if(bounds.length === 1) __brandMap.setView(bounds[0], 13);
+    else if(bounds.length) __brandMap.fitBounds(bounds, { padding:[24, 24] });
+    setTimeout(()=>{ try{ __brandMap?.invalidateSize(); }catch(_e){ /* ignore */ } }, 60);
+  }
+};
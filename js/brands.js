@@ -0,0 +1,93 @@
+// brands.js
+// Operator/brand facet derived from destination names and tags.
+//
+// Seed records carry the operator twice: "Aberdeen (Costco)" + tags ["Costco","RDC"].
+// Site-type suffixes are folded so "Tesco DC" and "Tesco" share a brand key.
+
+const GENERIC_TAGS = new Set([
+  "delivery","rdc","dc","ndc","port","depot","community","admin","market","collection","store"
+]);
+
+// Trailing words that describe the site rather than the operator.
+const SITE_SUFFIX_RE = /\s+(rdc|ndc|dc|rsu|store|stores|traywash|depot|hub|warehouse)$/i;
+
+// Per-list facet cache; DEST replaces the array on every save.
+const _cache = new WeakMap();
+
+function keyOf(label){
+  return String(label || "")
+    .toLowerCase()
+    .replace(/&/g, " and ")
+    .replace(/[^a-z0-9]+/g, " ")
+    .trim()
+    .replace(SITE_SUFFIX_RE, "")
+    .trim();
+}
+
+function cleanLabel(label){
+  return String(label || "").replace(/\s+/g, " ").trim().replace(SITE_SUFFIX_RE, "").trim();
+}
+
+export const BRANDS = {
+  keyOf,
+
+  // [{key, label}] operators for one destination (usually just one).
+  ofDestination(d){
+    const out = new Map();
+    const add = (raw)=>{
+      const label = cleanLabel(raw);
+      const key = keyOf(label);
+      if(key && !GENERIC_TAGS.has(key) && !out.has(key)) out.set(key, { key, label });
+    };
+    const m = String(d?.name || "").match(/\(([^)]+)\)\s*$/);
+    if(m) add(m[1]);
+    const category = keyOf(d?.category);
+    for(const t of (d?.tags || [])){
+      if(keyOf(t) !== category) add(t);
+    }
+    return [...out.values()];
+  },
+
+  // Map key -> {key, label, ids[]} across a destination list.
+  index(destinations){
+    let idx = _cache.get(destinations);
+    if(idx) return idx;
+    idx = new Map();
+    const labels = new Map();
+    for(const d of destinations || []){
+      for(const b of BRANDS.ofDestination(d)){
+        if(!idx.has(b.key)){
+          idx.set(b.key, { key:b.key, label:b.label, ids:[] });
+          labels.set(b.key, new Map());
+        }
+        idx.get(b.key).ids.push(d.id);
+        const seen = labels.get(b.key);
+        seen.set(b.label, (seen.get(b.label) || 0) + 1);
+      }
+    }
+    // Most common spelling wins ("B & Q" over "B&Q").
+    for(const [key, seen] of labels){
+      idx.get(key).label = [...seen.entries()].sort((a,b)=>b[1]-a[1])[0][0];
+    }
+    _cache.set(destinations, idx);
+    return idx;
+  },
+
+  // Brands with at least `min` sites, largest first.
+  list(destinations, {min = 2} = {}){
+    return [...BRANDS.index(destinations).values()]
+      .filter(b=>b.ids.length >= min)
+      .sort((a,b)=>(b.ids.length - a.ids.length) || a.label.localeCompare(b.label));
+  },
+
+  get(destinations, key){
+    return BRANDS.index(destinations).get(key) || null;
+  },
+
+  // Does `d` belong to the brand typed by the user? ("tesco" also covers "tesco express")
+  matches(d, value){
+    const want = keyOf(value);
+    if(!want) return false;
+    return BRANDS.ofDestination(d).some(b=>b.key === want || b.key.startsWith(want + " "));
+  }
+};
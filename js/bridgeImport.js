@@ -0,0 +1,383 @@
+// bridgeImport.js
+// Low bridge files -> BridgesStore, for the admin Settings tab, so a region can
+// be preloaded without Overpass (e.g. on depot Wi-Fi before a trip).
+//
+// Formats: OSM XML extracts, Overpass JSON saved earlier, GeoJSON, and CSV with
+// lat / lng / height columns. Flow: prepare() reads the file and plans every row
+// against the stored bridges (new / update / unchanged / rejected), then apply()
+// writes the plan. Heights go through parseMaxheight(); a row without a usable
+// height is rejected. Duplicates are matched by OSM id, else by position (not
+// across two different OSM ids); merged reports keep the lower clearance.
+
+import { BridgesStore } from "./bridgesStore.js";
+import { haversineKm, parseDelimited } from "./utils.js";
+
+// Rows this close together are the same bridge.
+const DEDUPE_M = 15;
+// ~55 m grid for the position lookups (DEDUPE_M must stay below one cell).
+const DEDUPE_CELL_DEG = 0.0005;
+// Anything outside this is a typo or a unit mix-up, not a bridge clearance.
+const MIN_HEIGHT_M = 1.5;
+const MAX_HEIGHT_M = 10;
+
+// CSV header aliases (lower-case, "_"/"-" read as spaces).
+const CSV_COLUMNS = {
+  lat: ["lat","latitude","y"],
+  lng: ["lng","lon","long","longitude","x"],
+  height: ["maxheight","max height","height","height m","max height m","clearance","headroom"],
+  heightFt: ["height ft","maxheight ft","max height ft","height feet"],
+  name: ["name","bridge","bridge name","description"],
+  road: ["road","ref","road ref","street","road name"],
+  id: ["@id","osm id","id"],
+  osmType: ["osm type","type"]
+};
+
+function parseMaxheight(raw){
+  const s = (raw||"").toString().trim();
+  if(!s) return { raw:"", m:null, ft:null, inch:null };
+  // Common patterns:
+  // "4.2 m", "4.2m", "4.2" (OSM's default unit is metres), "13'6"", "13 ft 6 in", "13-6", "13' 6"
+  let m = null, ft = null, inch = null;
+
+  const mMatch = s.match(/(\d+(?:\.\d+)?)\s*m\b/i) || s.match(/^(\d+(?:\.\d+)?)$/);
+  if(mMatch){
+    m = parseFloat(mMatch[1]);
+  }
+
+  const ftInMatch = s.match(/(\d+)\s*(?:ft|')\s*(\d+)?\s*(?:in|\")?/i);
+  if(ftInMatch){
+    ft = parseInt(ftInMatch[1],10);
+    inch = ftInMatch[2] ? parseInt(ftInMatch[2],10) : 0;
+  } else {
+    // "13-6"
+    const dash = s.match(/^(\d+)\s*[-–]\s*(\d+)$/);
+    if(dash){
+      ft = parseInt(dash[1],10);
+      inch = parseInt(dash[2],10);
+    }
+  }
+
+  if(m==null && ft!=null){
+    m = ((ft*12 + (inch||0)) * 0.0254);
+  }
+  if(m!=null && ft==null){
+    const totalIn = m / 0.0254;
+    ft = Math.floor(totalIn/12);
+    inch = Math.round(totalIn - ft*12);
+  }
+
+  return { raw:s, m: (m!=null && isFinite(m)) ? Math.round(m*100)/100 : null, ft, inch };
+}
+
+// Candidate row shared by every reader:
+//   { ref, osmId?, lat, lng, raw, name, road }   ref names the row in the report.
+function osmRow(type, id, tags, lat, lng){
+  return {
+    ref: `${type} ${id}`,
+    osmId: `osm:${type}:${id}`,
+    lat,
+    lng,
+    raw: tags.maxheight || "",
+    name: tags.name || tags["bridge:name"] || tags["tunnel:name"] || "",
+    road: tags.ref || tags["addr:street"] || tags.highway || tags["bridge:ref"] || ""
+  };
+}
+
+function average(points){
+  const ok = points.filter(p=>p && isFinite(p.lat) && isFinite(p.lng));
+  if(!ok.length) return null;
+  return {
+    lat: ok.reduce((s,p)=>s + p.lat, 0) / ok.length,
+    lng: ok.reduce((s,p)=>s + p.lng, 0) / ok.length
+  };
+}
+
+// Only elements tagged maxheight are read; untagged nodes are just way geometry.
+function readOsmXml(text){
+  const doc = new DOMParser().parseFromString(text, "application/xml");
+  if(doc.getElementsByTagName("parsererror").length) throw new Error("That OSM XML file could not be read.");
+  const tagsOf = (el)=>{
+    const tags = {};
+    for(const t of el.getElementsByTagName("tag")) tags[t.getAttribute("k")] = t.getAttribute("v");
+    return tags;
+  };
+  const nodes = new Map();
+  for(const n of doc.getElementsByTagName("node")){
+    nodes.set(n.getAttribute("id"), { lat: Number(n.getAttribute("lat")), lng: Number(n.getAttribute("lon")) });
+  }
+  const rows = [];
+  for(const n of doc.getElementsByTagName("node")){
+    const tags = tagsOf(n);
+    if(!tags.maxheight) continue;
+    const p = nodes.get(n.getAttribute("id"));
+    rows.push(osmRow("node", n.getAttribute("id"), tags, p.lat, p.lng));
+  }
+  for(const w of doc.getElementsByTagName("way")){
+    const tags = tagsOf(w);
+    if(!tags.maxheight) continue;
+    const center = w.getElementsByTagName("center")[0];
+    const p = center
+      ? { lat: Number(center.getAttribute("lat")), lng: Number(center.getAttribute("lon")) }
+      : average([...w.getElementsByTagName("nd")].map(nd=>nodes.get(nd.getAttribute("ref"))));
+    rows.push(osmRow("way", w.getAttribute("id"), tags, p ? p.lat : NaN, p ? p.lng : NaN));
+  }
+  return rows;
+}
+
+function readOverpassJson(data){
+  const els = data.elements.filter(el=>el && typeof el === "object");
+  const nodes = new Map(els.filter(el=>el.type === "node").map(el=>[el.id, { lat: el.lat, lng: el.lon }]));
+  const rows = [];
+  for(const el of els){
+    const tags = el.tags || {};
+    if(!tags.maxheight || (el.type !== "node" && el.type !== "way")) continue;
+    let p = null;
+    if(el.type === "node") p = { lat: el.lat, lng: el.lon };
+    else if(el.center) p = { lat: el.center.lat, lng: el.center.lon };
+    else if(Array.isArray(el.geometry)) p = average(el.geometry.map(g=>({ lat: g.lat, lng: g.lon })));
+    else if(Array.isArray(el.nodes)) p = average(el.nodes.map(id=>nodes.get(id)));
+    rows.push(osmRow(el.type, el.id, tags, p ? Number(p.lat) : NaN, p ? Number(p.lng) : NaN));
+  }
+  return rows;
+}
+
+// "node/123", "way/45" (osmtogeojson / Overpass turbo style ids).
+function osmIdOf(value){
+  const m = String(value || "").match(/^(node|way)\/(\d+)$/);
+  return m ? `osm:${m[1]}:${m[2]}` : "";
+}
+
+function readGeoJson(data){
+  const features = data.type === "FeatureCollection" ? (data.features || []) : [data];
+  return features.map((f, i)=>{
+    const props = f?.properties || {};
+    const g = f?.geometry || {};
+    // Points as-is; lines and polygons (a mapped bridge deck) by their average vertex.
+    const flat = [];
+    const walk = (c)=>{
+      if(Array.isArray(c) && typeof c[0] === "number") flat.push({ lat: Number(c[1]), lng: Number(c[0]) });
+      else if(Array.isArray(c)) c.forEach(walk);
+    };
+    walk(g.coordinates);
+    const p = average(flat);
+    const osmId = osmIdOf(props["@id"]) || osmIdOf(f?.id) || (props.osm_type && props.osm_id ? `osm:${props.osm_type}:${props.osm_id}` : "");
+    return {
+      ref: `Feature ${i + 1}`,
+      osmId,
+      lat: p ? p.lat : NaN,
+      lng: p ? p.lng : NaN,
+      raw: String(props.maxheight ?? props.max_height ?? props.height ?? ""),
+      name: props.name || props["bridge:name"] || "",
+      road: props.ref || props.road || props["addr:street"] || props.highway || ""
+    };
+  });
+}
+
+function readCsv(text){
+  const all = parseDelimited(text);
+  if(all.length < 2) throw new Error("The CSV needs a header row and at least one data row.");
+  const headers = all[0].map(h=>h.toLowerCase().replace(/[_-]+/g, " ").replace(/\s+/g, " ").trim());
+  const col = {};
+  for(const [key, aliases] of Object.entries(CSV_COLUMNS)){
+    col[key] = headers.findIndex(h=>aliases.includes(h));
+  }
+  if(col.lat < 0 || col.lng < 0 || (col.height < 0 && col.heightFt < 0)){
+    throw new Error("The CSV needs latitude, longitude and height columns.");
+  }
+  const cell = (cells, key)=> col[key] >= 0 ? String(cells[col[key]] ?? "").trim() : "";
+  return all.slice(1).map((cells)=>{
+    // Bare numbers are metres, except in a "height ft" column (13.5 -> 13'6").
+    let raw = cell(cells, "height");
+    if(!raw){
+      raw = cell(cells, "heightFt");
+      if(/^\d+(\.\d+)?$/.test(raw)){
+        const inches = Math.round(Number(raw) * 12);
+        raw = `${Math.floor(inches / 12)}'${inches % 12}"`;
+      }
+    }
+    const id = cell(cells, "id");
+    const type = cell(cells, "osmType").toLowerCase();
+    return {
+      ref: `Line ${cells.line}`,
+      osmId: osmIdOf(id) || ((type === "node" || type === "way") && /^\d+$/.test(id) ? `osm:${type}:${id}` : ""),
+      lat: cell(cells, "lat") === "" ? NaN : Number(cell(cells, "lat")),
+      lng: cell(cells, "lng") === "" ? NaN : Number(cell(cells, "lng")),
+      raw,
+      name: cell(cells, "name"),
+      road: cell(cells, "road")
+    };
+  });
+}
+
+// File text -> { format, rows }.
+function read(text){
+  const src = String(text || "").replace(/^\uFEFF/, "").trim();
+  if(!src) throw new Error("The file is empty.");
+  if(src.startsWith("<")) return { format: "OSM XML", rows: readOsmXml(src) };
+  if(src.startsWith("{")){
+    let data;
+    try{ data = JSON.parse(src); }catch(_e){ throw new Error("That JSON file could not be read."); }
+    if(Array.isArray(data?.elements)) return { format: "Overpass JSON", rows: readOverpassJson(data) };
+    if(data?.type === "FeatureCollection" || data?.type === "Feature") return { format: "GeoJSON", rows: readGeoJson(data) };
+    throw new Error("JSON files need Overpass \"elements\" or GeoJSON features.");
+  }
+  return { format: "CSV", rows: readCsv(src) };
+}
+
+// Candidate row -> { bridge } or { reason }.
+function toBridge(row, source, now){
+  const lat = Number(row.lat);
+  const lng = Number(row.lng);
+  if(!isFinite(lat) || !isFinite(lng) || Math.abs(lat) > 90 || Math.abs(lng) > 180) return { reason: "No valid coordinates" };
+  if(!row.raw) return { reason: "No maxheight" };
+  const parsed = parseMaxheight(row.raw);
+  if(parsed.m == null) return { reason: `Unrecognised maxheight "${row.raw}"` };
+  if(parsed.m < MIN_HEIGHT_M || parsed.m > MAX_HEIGHT_M) return { reason: `Implausible height ${parsed.m} m` };
+  return {
+    bridge: {
+      id: row.osmId || `import:${lat.toFixed(5)},${lng.toFixed(5)}`,
+      name: row.name || "",
+      road: row.road || "",
+      lat,
+      lng,
+      maxheight_raw: parsed.raw,
+      height_m: parsed.m,
+      height_ft: parsed.ft,
+      height_in: parsed.inch,
+      source,
+      updatedAt: now
+    }
+  };
+}
+
+function cellOf(lat, lng){
+  return [Math.floor(lat / DEDUPE_CELL_DEG), Math.floor(lng / DEDUPE_CELL_DEG)];
+}
+
+// Position lookup over stored and already-accepted bridges.
+function positionIndex(){
+  const cells = new Map();
+  return {
+    add(entry){
+      const [y, x] = cellOf(entry.bridge.lat, entry.bridge.lng);
+      const key = `${y}:${x}`;
+      if(!cells.has(key)) cells.set(key, []);
+      cells.get(key).push(entry);
+    },
+    // Closest entry within DEDUPE_M that passes `accept`, or null.
+    near(lat, lng, accept = ()=>true){
+      const [y, x] = cellOf(lat, lng);
+      let best = null, bestM = DEDUPE_M;
+      for(let dy = -1; dy <= 1; dy++){
+        for(let dx = -1; dx <= 1; dx++){
+          for(const e of cells.get(`${y + dy}:${x + dx}`) || []){
+            const m = haversineKm({ lat, lng }, e.bridge) * 1000;
+            if(m <= bestM && accept(e)){ best = e; bestM = m; }
+          }
+        }
+      }
+      return best;
+    }
+  };
+}
+
+function sameBridge(a, b){
+  return a.lat.toFixed(6) === b.lat.toFixed(6) && a.lng.toFixed(6) === b.lng.toFixed(6)
+    && a.height_m === b.height_m && a.maxheight_raw === b.maxheight_raw
+    && (a.name || "") === (b.name || "") && (a.road || "") === (b.road || "");
+}
+
+// "osm:node:1" style id, or "" for a bridge imported without one.
+function osmKey(b){
+  return /^osm:/.test(b.id) ? b.id : "";
+}
+
+// `base` with the clearance of `other` when that is lower.
+function lowerHeight(base, other){
+  if(!(other.height_m < base.height_m)) return base;
+  return { ...base, maxheight_raw: other.maxheight_raw, height_m: other.height_m, height_ft: other.height_ft, height_in: other.height_in };
+}
+
+// Rows vs stored bridges. Returns
+//   { items: [{ ref, action: "new"|"update"|"unchanged", bridge }], rejected: [{ ref, reason }] }
+function plan(rows, stored, source){
+  const now = Date.now();
+  const byId = new Map();
+  const byPos = positionIndex();
+  for(const b of stored){
+    if(typeof b.lat !== "number" || typeof b.lng !== "number") continue;
+    const e = { bridge: b, stored: true };
+    byId.set(b.id, e);
+    byPos.add(e);
+  }
+
+  const items = [];
+  const rejected = [];
+  for(const row of rows){
+    const res = toBridge(row, source, now);
+    if(res.reason){
+      rejected.push({ ref: row.ref, reason: res.reason });
+      continue;
+    }
+    const b = res.bridge;
+    const osmId = osmKey(b);
+    // Two OSM objects a few metres apart (a rail and a road bridge) stay separate.
+    const compatible = (e)=> !osmId || !osmKey(e.bridge) || osmKey(e.bridge) === osmId;
+    let match = (osmId && byId.get(osmId)) || byPos.near(b.lat, b.lng, compatible);
+    // A stored bridge already planned from an earlier row: merge into that plan.
+    if(match?.planned) match = match.planned;
+    if(match && !match.stored){
+      match.item.bridge = match.bridge = lowerHeight(match.item.bridge, b);
+      if(match.old) match.item.action = sameBridge(match.old, match.bridge) ? "unchanged" : "update";
+      rejected.push({ ref: row.ref, reason: `Duplicate of ${match.ref}` });
+      continue;
+    }
+    let item;
+    if(match){
+      const old = match.bridge;
+      let next = { ...old, ...b, id: old.id, name: b.name || old.name || "Low bridge", road: b.road || old.road || "" };
+      // Only a newer report of the same OSM object may raise a stored clearance.
+      if(!osmId || osmId !== old.id) next = lowerHeight(next, old);
+      item = { ref: row.ref, action: sameBridge(old, next) ? "unchanged" : "update", bridge: next };
+    }else{
+      item = { ref: row.ref, action: "new", bridge: { ...b, name: b.name || "Low bridge" } };
+    }
+    items.push(item);
+    const e = { bridge: item.bridge, ref: row.ref, stored: false, item, old: match ? match.bridge : null };
+    if(match) match.planned = e;
+    byId.set(item.bridge.id, e);
+    byPos.add(e);
+  }
+  return { items, rejected };
+}
+
+export const BRIDGE_IMPORT = {
+  // File text -> { fileName, format, items, rejected } (see plan()). Reads only
+  // the stored bridges around the file's rows.
+  async prepare(text, fileName){
+    const { format, rows } = read(text);
+    if(!rows.length) throw new Error(`No maxheight bridges found in that ${format} file.`);
+    const pad = DEDUPE_CELL_DEG * 2;
+    const box = { south: Infinity, north: -Infinity, west: Infinity, east: -Infinity };
+    for(const r of rows){
+      // Typos like 5212.3 are rejected later, but must not stretch the query first.
+      if(!isFinite(r.lat) || !isFinite(r.lng) || Math.abs(r.lat) > 90 || Math.abs(r.lng) > 180) continue;
+      box.south = Math.min(box.south, r.lat - pad);
+      box.north = Math.max(box.north, r.lat + pad);
+      box.west = Math.min(box.west, r.lng - pad);
+      box.east = Math.max(box.east, r.lng + pad);
+    }
+    const stored = isFinite(box.south) ? await BridgesStore.queryBBox(box) : [];
+    return { fileName, format, ...plan(rows, stored, `${format} import (${fileName})`) };
+  },
+
+  // Writes new and changed bridges. Returns { added, updated, unchanged, rejected } counts.
+  async apply(prepared){
+    const count = (action)=> prepared.items.filter(x=>x.action===action).length;
+    const changed = prepared.items.filter(x=>x.action !== "unchanged").map(x=>x.bridge);
+    if(changed.length) await BridgesStore.putMany(changed);
+    return { added: count("new"), updated: count("update"), unchanged: count("unchanged"), rejected: prepared.rejected.length };
+  },
+
+  parseMaxheight
+};
@@ -1,22 +1,63 @@
 // bridgesStore.js
 // Stores low bridge data in IndexedDB (to avoid localStorage quota).
-// Each record: { id, lat, lng, name, road, maxheight_raw, height_m, height_ft, height_in, source, updatedAt }
+// Each record: { id, lat, lng, name, road, maxheight_raw, height_m, height_ft, height_in, source, updatedAt, tile }
+//
+// `tile` is [row, col] on a TILE_DEG grid, set on every put. The "tile" index
+// lets location queries read one key range per grid row instead of the whole
+// store: a bounding box is rows y0..y1, each the range [y, x0]..[y, x1].
 
 const DB_NAME = "hgv-bridges";
-const DB_VERSION = 1;
+const DB_VERSION = 2;
 const STORE = "bridges";
 
+// ~11 km north-south, ~7 km east-west across the UK.
+const TILE_DEG = 0.1;
+const M_PER_DEG_LAT = 111320;
+// nearest() widens its search square up to this many tiles before scanning everything.
+const NEAREST_MAX_RING = 64;
+
 let _dbPromise = null;
 
+function tileRow(lat){ return Math.floor((lat + 90) / TILE_DEG); }
+function tileCol(lng){ return Math.floor((lng + 180) / TILE_DEG); }
+
+function hasCoords(b){
+  return typeof b?.lat === "number" && typeof b?.lng === "number" && isFinite(b.lat) && isFinite(b.lng);
+}
+
+function withTile(b){
+  if(!hasCoords(b)){
+    const { tile: _tile, ...rest } = b;
+    return rest;
+  }
+  return { ...b, tile: [tileRow(b.lat), tileCol(b.lng)] };
+}
+
 function openDb(){
   if(_dbPromise) return _dbPromise;
   _dbPromise = new Promise((resolve, reject) => {
     const req = indexedDB.open(DB_NAME, DB_VERSION);
-    req.onupgradeneeded = () => {
+    req.onupgradeneeded = (e) => {
       const db = req.result;
+      let os;
       if(!db.objectStoreNames.contains(STORE)){
-        const os = db.createObjectStore(STORE, { keyPath: "id" });
+        os = db.createObjectStore(STORE, { keyPath: "id" });
         os.createIndex("updatedAt", "updatedAt", { unique:false });
+      }else{
+        os = req.transaction.objectStore(STORE);
+      }
+      if(!os.indexNames.contains("tile")){
+        os.createIndex("tile", "tile", { unique:false });
+      }
+      // v1 -> v2: stamp tiles on bridges stored before the index existed.
+      if(e.oldVersion >= 1 && e.oldVersion < 2){
+        const cur = os.openCursor();
+        cur.onsuccess = () => {
+          const c = cur.result;
+          if(!c) return;
+          c.update(withTile(c.value));
+          c.continue();
+        };
       }
     };
     req.onsuccess = () => resolve(req.result);
@@ -33,13 +74,72 @@ function txDone(tx){
   });
 }
 
+function reqResult(req){
+  return new Promise((resolve,reject)=>{
+    req.onsuccess=()=>resolve(req.result);
+    req.onerror=()=>reject(req.error);
+  });
+}
+
+// Bridges in the given tile rows/column spans: [[row, col0, col1], …].
+async function getTileRanges(ranges){
+  if(!ranges.length) return [];
+  const db = await openDb();
+  const tx = db.transaction(STORE, "readonly");
+  const idx = tx.objectStore(STORE).index("tile");
+  const parts = await Promise.all(ranges.map(([y, x0, x1]) =>
+    reqResult(idx.getAll(IDBKeyRange.bound([y, x0], [y, x1])))
+  ));
+  await txDone(tx);
+  return parts.flat();
+}
+
+// Accepts a Leaflet LatLngBounds or { south, west, north, east }.
+function bboxOf(bounds){
+  if(typeof bounds?.getSouth === "function"){
+    return { south: bounds.getSouth(), west: bounds.getWest(), north: bounds.getNorth(), east: bounds.getEast() };
+  }
+  return { south: Number(bounds?.south), west: Number(bounds?.west), north: Number(bounds?.north), east: Number(bounds?.east) };
+}
+
+function bboxRanges({south, west, north, east}){
+  const ranges = [];
+  const x0 = tileCol(west), x1 = tileCol(east);
+  for(let y = tileRow(south); y <= tileRow(north); y++) ranges.push([y, x0, x1]);
+  return ranges;
+}
+
+// Local flat projection in metres around `lat0` (fine for a few hundred km).
+function toXY(lat, lng, lat0){
+  return { x: lng * M_PER_DEG_LAT * Math.cos(lat0 * Math.PI / 180), y: lat * M_PER_DEG_LAT };
+}
+
+function distToSegment(p, a, b){
+  const dx = b.x - a.x, dy = b.y - a.y;
+  const len2 = dx*dx + dy*dy;
+  const t = len2 ? Math.max(0, Math.min(1, ((p.x - a.x)*dx + (p.y - a.y)*dy) / len2)) : 0;
+  return Math.hypot(p.x - (a.x + t*dx), p.y - (a.y + t*dy));
+}
+
+function distanceM(lat1, lng1, lat2, lng2){
+  const toRad = (deg) => (deg * Math.PI) / 180;
+  const s1 = Math.sin(toRad(lat2 - lat1) / 2);
+  const s2 = Math.sin(toRad(lng2 - lng1) / 2);
+  const h = s1*s1 + Math.cos(toRad(lat1)) * Math.cos(toRad(lat2)) * s2*s2;
+  return 2 * 6371000 * Math.asin(Math.sqrt(h));
+}
+
+function toLatLng(c){
+  return Array.isArray(c) ? { lat: Number(c[0]), lng: Number(c[1]) } : { lat: Number(c?.lat), lng: Number(c?.lng ?? c?.lon) };
+}
+
 export const BridgesStore = {
   async putMany(items){
     const db = await openDb();
     const tx = db.transaction(STORE, "readwrite");
     const os = tx.objectStore(STORE);
     for(const it of items){
-      try{ os.put(it); }catch(_e){}
+      try{ os.put(withTile(it)); }catch(_e){}
     }
     await txDone(tx);
     return true;
@@ -63,6 +163,87 @@ export const BridgesStore = {
     await txDone(tx);
     return true;
   },
+  // Bridges inside a bounding box.
+  async queryBBox(bounds){
+    const b = bboxOf(bounds);
+    if(![b.south, b.west, b.north, b.east].every(isFinite)) return [];
+    // Clamped to the globe; a box crossing the antimeridian (west > east) isn't supported.
+    const box = {
+      south: Math.max(-90, b.south), north: Math.min(90, b.north),
+      west: Math.max(-180, b.west), east: Math.min(180, b.east)
+    };
+    if(box.south > box.north || box.west > box.east) return [];
+    const items = await getTileRanges(bboxRanges(box));
+    return items.filter(b => b.lat >= box.south && b.lat <= box.north && b.lng >= box.west && b.lng <= box.east);
+  },
+
+  // The k nearest bridges: [{ bridge, m }] nearest first. Widens a square of
+  // tiles around the point until the k-th hit is closer than the square's edge.
+  async nearest(lat, lng, k = 1){
+    if(!isFinite(lat) || !isFinite(lng) || k < 1) return [];
+    const rank = (list) => list
+      .filter(hasCoords)
+      .map(bridge => ({ bridge, m: distanceM(lat, lng, bridge.lat, bridge.lng) }))
+      .sort((a,b) => a.m - b.m);
+    const y = tileRow(lat), x = tileCol(lng);
+    for(let r = 1; r <= NEAREST_MAX_RING; r *= 2){
+      const ranges = [];
+      for(let row = y - r; row <= y + r; row++) ranges.push([row, x - r, x + r]);
+      const hits = rank(await getTileRanges(ranges));
+      // Anything outside the square is at least this far away.
+      const safeM = r * TILE_DEG * M_PER_DEG_LAT * Math.cos(Math.min(89, Math.abs(lat) + r * TILE_DEG) * Math.PI / 180);
+      if(hits.length >= k && hits[k - 1].m <= safeM) return hits.slice(0, k);
+    }
+    return rank(await BridgesStore.getAll()).slice(0, k);
+  },
+
+  // Bridges within `m` metres of a line ([[lat,lng], …] or [{lat,lng}, …]; a
+  // single point works too): [{ bridge, m }] nearest the line first.
+  async withinDistanceOfPolyline(coords, m){
+    const pts = (Array.isArray(coords) ? coords : []).map(toLatLng).filter(hasCoords);
+    const maxM = Number(m);
+    if(!pts.length || !(maxM >= 0)) return [];
+
+    // Tiles under each segment's padded box, merged into column spans per row.
+    const rows = new Map();
+    const padLat = maxM / M_PER_DEG_LAT;
+    const segs = pts.length > 1 ? pts.slice(1).map((p, i) => [pts[i], p]) : [[pts[0], pts[0]]];
+    for(const [a, b] of segs){
+      const south = Math.min(a.lat, b.lat) - padLat, north = Math.max(a.lat, b.lat) + padLat;
+      const padLng = maxM / (M_PER_DEG_LAT * Math.cos(Math.min(89, Math.max(Math.abs(south), Math.abs(north))) * Math.PI / 180));
+      for(const [y, x0, x1] of bboxRanges({ south, north, west: Math.min(a.lng, b.lng) - padLng, east: Math.max(a.lng, b.lng) + padLng })){
+        if(!rows.has(y)) rows.set(y, new Set());
+        for(let x = x0; x <= x1; x++) rows.get(y).add(x);
+      }
+    }
+    const ranges = [];
+    for(const [y, cols] of rows){
+      const sorted = [...cols].sort((a,b) => a - b);
+      let start = sorted[0], prev = sorted[0];
+      for(const x of sorted.slice(1)){
+        if(x === prev + 1){ prev = x; continue; }
+        ranges.push([y, start, prev]);
+        start = prev = x;
+      }
+      ranges.push([y, start, prev]);
+    }
+
+    const lat0 = pts.reduce((sum, p) => sum + p.lat, 0) / pts.length;
+    const line = pts.map(p => toXY(p.lat, p.lng, lat0));
+    const lineSegs = line.length > 1 ? line.slice(1).map((p, i) => [line[i], p]) : [[line[0], line[0]]];
+    const seen = new Set();
+    const out = [];
+    for(const bridge of await getTileRanges(ranges)){
+      if(seen.has(bridge.id)) continue;
+      seen.add(bridge.id);
+      const p = toXY(bridge.lat, bridge.lng, lat0);
+      let best = Infinity;
+      for(const [a, b] of lineSegs) best = Math.min(best, distToSegment(p, a, b));
+      if(best <= maxM) out.push({ bridge, m: best });
+    }
+    return out.sort((a,b) => a.m - b.m);
+  },
+
   async count(){
     const db = await openDb();
     const tx = db.transaction(STORE, "readonly");
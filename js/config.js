@@ -1,13 +1,24 @@
 export const CONFIG = {
   APP_NAME: "HGV Destinations Pro",
   DATA_URL: "assets/data/destinations.seed.json",
+  POSTCODE_CENTROIDS_URL: "assets/data/postcode_centroids.json",
   STORAGE_KEYS: {
     DESTINATIONS: "hgv.destinations",
     SUBMISSIONS: "hgv.submissions",
     ADMINS: "hgv.admins",
     SETTINGS: "hgv.settings",
     ADMIN_SESSION: "hgv.admin.session",
-    FAVOURITES: "hgv.favourites"
+    FAVOURITES: "hgv.favourites",
+    POSTCODE_CENTROIDS: "hgv.postcodeCentroids",
+    SEED_VERSION: "hgv.seedVersion",
+    SEED_MERGE: "hgv.seedMerge",
+    DELETED_DESTINATIONS: "hgv.destinations.deleted",
+    DESTINATION_REDIRECTS: "hgv.destinations.redirects",
+    DUPLICATES_DISMISSED: "hgv.duplicates.dismissed",
+    REVISIONS: "hgv.destinations.revisions",
+    HISTORY: "hgv.history",
+    DRIVER_NOTES: "hgv.driverNotes",
+    VISITS: "hgv.visits"
   },
   ADMIN_TAP_TO_OPEN_MS: 3500,
     ADMIN_TAP_COUNT: 7,
@@ -0,0 +1,210 @@
+// csvImport.js
+// Customer site lists (CSV/TSV) -> destinations, for the admin Settings tab.
+//
+// Flow: parse() the file, guessMapping() from the header row, build rows()
+// for the preview (each with a default action), then apply() the chosen actions.
+// Empty cells never blank an existing value on update.
+
+import { POSTCODES } from "./postcodes.js";
+import { HOURS } from "./hours.js";
+import { parseDelimited } from "./utils.js";
+
+// Destination fields a column can be mapped to (aliases are lower-case header names).
+const FIELDS = [
+  { key:"id", label:"Id", aliases:["id","site id","destination id"] },
+  { key:"name", label:"Name", aliases:["name","site","site name","destination","location"] },
+  { key:"address", label:"Address", aliases:["address","site address","full address","street"] },
+  { key:"postcode", label:"Postcode", aliases:["postcode","post code","postal code","zip","pcd"] },
+  { key:"lat", label:"Latitude", aliases:["lat","latitude"] },
+  { key:"lon", label:"Longitude", aliases:["lon","lng","long","longitude"] },
+  { key:"category", label:"Category", aliases:["category","type","site type"] },
+  { key:"hours", label:"Hours", aliases:["hours","opening hours","opening times","delivery hours"] },
+  { key:"gateInfo", label:"Gate info", aliases:["gate","gate info","gate information","entrance","access"] },
+  { key:"notes", label:"Notes", aliases:["notes","comments","instructions"] },
+  { key:"avgTipTime", label:"Avg tip time", aliases:["avg tip time","tip time","average tip time"] },
+  { key:"facilities", label:"Facilities (; separated)", aliases:["facilities","amenities"] },
+  { key:"tags", label:"Tags (; separated)", aliases:["tags","brand","operator","customer"] }
+];
+
+const LIST_FIELDS = new Set(["facilities","tags"]);
+
+// Generous UK + NI bounding box; anything outside is almost certainly swapped or wrong.
+const UK_BOUNDS = { minLat:49, maxLat:61, minLon:-9, maxLon:2.5 };
+
+function slug(s){
+  return String(s || "").toLowerCase().replace(/[^a-z0-9]+/g, "-").replace(/(^-|-$)/g, "").slice(0, 80);
+}
+
+function splitList(s){
+  return String(s || "").split(/\s*[;|]\s*/).map(x=>x.trim()).filter(Boolean);
+}
+
+// Mapped cells -> partial record + problems found in them. `newAddress` is the
+// address for a create, which may be just the postcode; `fields.address` is only
+// set from an address cell, so an update never swaps a full address for a postcode.
+function readRow(cells, mapping){
+  const raw = {};
+  for(const [col, field] of Object.entries(mapping)){
+    if(!field) continue;
+    const v = String(cells[Number(col)] ?? "").replace(/\s*\n\s*/g, ", ").trim();
+    if(v && !raw[field]) raw[field] = v;
+  }
+
+  const fields = {};
+  const errors = [];
+  const warnings = [];
+  for(const f of ["id","name","category","hours","gateInfo","notes","avgTipTime"]){
+    if(raw[f]) fields[f] = raw[f];
+  }
+  for(const f of LIST_FIELDS){
+    if(raw[f]) fields[f] = splitList(raw[f]);
+  }
+
+  // Postcode: a postcode column is normalised and added to the address when missing there.
+  let postcode = "";
+  if(raw.postcode){
+    postcode = POSTCODES.normalize(raw.postcode);
+    if(!postcode) warnings.push(`Invalid postcode "${raw.postcode}"`);
+  }
+  let address = raw.address || "";
+  if(!postcode) postcode = POSTCODES.extract(address)[0] || "";
+  else if(!POSTCODES.extract(address).includes(postcode)) address = address ? `${address}, ${postcode}` : postcode;
+  if(raw.address) fields.address = address;
+  if(!postcode && !raw.postcode) warnings.push("No valid postcode");
+
+  if(raw.lat || raw.lon){
+    const lat = Number(raw.lat);
+    const lon = Number(raw.lon);
+    if(!raw.lat || !raw.lon || !Number.isFinite(lat) || !Number.isFinite(lon)){
+      errors.push(`Invalid coordinates "${raw.lat || ""}, ${raw.lon || ""}"`);
+    }else if(lat < UK_BOUNDS.minLat || lat > UK_BOUNDS.maxLat || lon < UK_BOUNDS.minLon || lon > UK_BOUNDS.maxLon){
+      errors.push(`Coordinates outside the UK (${lat}, ${lon})`);
+    }else{
+      fields.lat = lat;
+      fields.lon = lon;
+    }
+  }
+  return { fields, postcode, newAddress: address, errors, warnings };
+}
+
+export const CSV_IMPORT = {
+  FIELDS,
+
+  // { headers: [], rows: [[cells]] }
+  parse(text){
+    const all = parseDelimited(text);
+    if(all.length < 2) throw new Error("The file needs a header row and at least one data row.");
+    return { headers: all[0].map(h=>h.trim()), rows: all.slice(1) };
+  },
+
+  // { columnIndex: fieldKey } from header names; unknown columns are left unmapped.
+  guessMapping(headers){
+    const out = {};
+    const used = new Set();
+    headers.forEach((h, i)=>{
+      const name = h.toLowerCase().replace(/[_-]+/g, " ").replace(/\s+/g, " ").trim();
+      const f = FIELDS.find(x=>!used.has(x.key) && x.aliases.includes(name));
+      if(f){
+        out[i] = f.key;
+        used.add(f.key);
+      }
+    });
+    return out;
+  },
+
+  // Preview rows: [{ line, fields, postcode, errors, warnings, matches: [{id, name, by}], action }]
+  // action: "create" | "update:<id>" | "skip"
+  rows(parsed, mapping, destinations){
+    const byId = new Map((destinations || []).map(d=>[d.id, d]));
+    const byPostcode = new Map();
+    for(const d of destinations || []){
+      for(const pc of POSTCODES.extract(d.address)){
+        if(!byPostcode.has(pc)) byPostcode.set(pc, []);
+        byPostcode.get(pc).push(d);
+      }
+    }
+    return parsed.rows.map((cells)=>{
+      const row = { line: cells.line, ...readRow(cells, mapping) };
+      const idHit = row.fields.id ? byId.get(row.fields.id) : null;
+      row.matches = idHit
+        ? [{ id:idHit.id, name:idHit.name, by:"id" }]
+        : (byPostcode.get(row.postcode) || []).map(d=>({ id:d.id, name:d.name, by:"postcode" }));
+      if(!idHit && row.matches.length > 1) row.warnings.push(`Postcode matches ${row.matches.length} destinations`);
+
+      if(row.errors.length) row.action = "skip";
+      else if(idHit || row.matches.length === 1) row.action = `update:${row.matches[0].id}`;
+      else if(row.fields.name && row.newAddress) row.action = "create";
+      else row.action = "skip";
+      if(!idHit && !(row.fields.name && row.newAddress)) row.warnings.push("Needs name and address to create");
+      return row;
+    });
+  },
+
+  // Apply row actions. Returns { destinations, created: [{before:null, after}], updated: [{before, after}], skipped: [{line, reason}] }
+  apply(destinations, rows){
+    const list = (destinations || []).slice();
+    const index = new Map(list.map((d, i)=>[d.id, i]));
+    const created = [];
+    const updated = [];
+    const skipped = [];
+    for(const row of rows){
+      if(row.errors.length){
+        skipped.push({ line:row.line, reason:row.errors.join("; ") });
+        continue;
+      }
+      if(row.action === "create"){
+        if(!row.fields.name || !row.newAddress){
+          skipped.push({ line:row.line, reason:"Name and address are required" });
+          continue;
+        }
+        let id = row.fields.id || slug(`${row.fields.name} ${row.postcode}`) || `dest-${Date.now()}`;
+        if(index.has(id)){
+          let n = 2;
+          while(index.has(`${id}-${n}`)) n++;
+          id = `${id}-${n}`;
+        }
+        const next = HOURS.withSpec({
+          category: "Destination",
+          hours: "Hours unknown",
+          gateInfo: "",
+          notes: "",
+          lat: null,
+          lon: null,
+          facilities: [],
+          tags: [],
+          photos: [{caption:"Main entrance", url:"assets/images/placeholders/entrance-1.png"}],
+          ...row.fields,
+          address: row.newAddress,
+          id
+        });
+        index.set(id, list.length);
+        list.push(next);
+        created.push({ before:null, after:next });
+      }else if(row.action?.startsWith("update:")){
+        const id = row.action.slice("update:".length);
+        const i = index.get(id);
+        if(i == null){
+          skipped.push({ line:row.line, reason:`No destination with id ${id}` });
+          continue;
+        }
+        const before = list[i];
+        const { id: _ignored, ...fields } = row.fields;
+        const changed = Object.keys(fields).filter(k=>JSON.stringify(fields[k]) !== JSON.stringify(before[k]));
+        if(!changed.length){
+          skipped.push({ line:row.line, reason:"No changes" });
+          continue;
+        }
+        const next = HOURS.withSpec({
+          ...before,
+          ...fields,
+          editedFields: Array.from(new Set([...(before.editedFields || []), ...changed]))
+        });
+        list[i] = next;
+        updated.push({ before, after:next });
+      }else{
+        skipped.push({ line:row.line, reason:"Skipped" });
+      }
+    }
+    return { destinations:list, created, updated, skipped };
+  }
+};
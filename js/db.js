@@ -26,8 +26,86 @@ export const DB = {
       window.dispatchEvent(new CustomEvent('hgv:destinations-changed'));
     }catch(_e){ /* ignore */ }
   },
-  
-  
+  // Version of destinations.seed.json last merged into local data (0 = never/unknown).
+  getSeedVersion(){
+    const v = Number(get(CONFIG.STORAGE_KEYS.SEED_VERSION, 0));
+    return Number.isFinite(v) ? v : 0;
+  },
+  saveSeedVersion(version){
+    set(CONFIG.STORAGE_KEYS.SEED_VERSION, Number(version) || 0);
+  },
+  getLastSeedMerge(){
+    return get(CONFIG.STORAGE_KEYS.SEED_MERGE, null);
+  },
+  saveLastSeedMerge(summary){
+    set(CONFIG.STORAGE_KEYS.SEED_MERGE, summary);
+  },
+  // Ids an admin deleted locally, so a newer seed doesn't bring them back.
+  getDeletedDestinationIds(){
+    const ids = get(CONFIG.STORAGE_KEYS.DELETED_DESTINATIONS, []);
+    return Array.isArray(ids) ? ids : [];
+  },
+  markDestinationDeleted(id){
+    const ids = DB.getDeletedDestinationIds();
+    if(!ids.includes(id)) ids.push(id);
+    set(CONFIG.STORAGE_KEYS.DELETED_DESTINATIONS, ids);
+  },
+  unmarkDestinationDeleted(id){
+    set(CONFIG.STORAGE_KEYS.DELETED_DESTINATIONS, DB.getDeletedDestinationIds().filter(x=>x!==id));
+  },
+  // Merged-away id -> surviving id (keeps old links and favourites working).
+  getDestinationRedirects(){
+    const r = get(CONFIG.STORAGE_KEYS.DESTINATION_REDIRECTS, {});
+    return (r && typeof r === "object" && !Array.isArray(r)) ? r : {};
+  },
+  saveDestinationRedirects(redirects){
+    set(CONFIG.STORAGE_KEYS.DESTINATION_REDIRECTS, redirects || {});
+  },
+  // Duplicate clusters an admin marked as "not duplicates".
+  getDismissedDuplicates(){
+    const k = get(CONFIG.STORAGE_KEYS.DUPLICATES_DISMISSED, []);
+    return Array.isArray(k) ? k : [];
+  },
+  saveDismissedDuplicates(keys){
+    set(CONFIG.STORAGE_KEYS.DUPLICATES_DISMISSED, Array.isArray(keys) ? keys : []);
+  },
+  // Destination id -> revision list (see revisions.js).
+  getRevisions(){
+    const r = get(CONFIG.STORAGE_KEYS.REVISIONS, {});
+    return (r && typeof r === "object" && !Array.isArray(r)) ? r : {};
+  },
+  saveRevisions(revisions){
+    set(CONFIG.STORAGE_KEYS.REVISIONS, revisions || {});
+  },
+  // Recently viewed destinations and searches (see history.js).
+  getHistory(){
+    const h = get(CONFIG.STORAGE_KEYS.HISTORY, {});
+    const obj = (h && typeof h === "object" && !Array.isArray(h)) ? h : {};
+    return {
+      viewed: Array.isArray(obj.viewed) ? obj.viewed : [],
+      searches: Array.isArray(obj.searches) ? obj.searches : []
+    };
+  },
+  saveHistory(history){
+    set(CONFIG.STORAGE_KEYS.HISTORY, history || {});
+  },
+  // Destination id -> the driver's private notes (see driverNotes.js).
+  getDriverNotes(){
+    const n = get(CONFIG.STORAGE_KEYS.DRIVER_NOTES, {});
+    return (n && typeof n === "object" && !Array.isArray(n)) ? n : {};
+  },
+  saveDriverNotes(notes){
+    set(CONFIG.STORAGE_KEYS.DRIVER_NOTES, notes || {});
+  },
+  // Destination id -> driver-logged visits (see visits.js).
+  getVisits(){
+    const v = get(CONFIG.STORAGE_KEYS.VISITS, {});
+    return (v && typeof v === "object" && !Array.isArray(v)) ? v : {};
+  },
+  saveVisits(visits){
+    set(CONFIG.STORAGE_KEYS.VISITS, visits || {});
+  },
+
   getAdmins(){
     const a = get(CONFIG.STORAGE_KEYS.ADMINS, null);
     return Array.isArray(a) ? a : null;
@@ -39,7 +117,9 @@ export const DB = {
     const def = {
       navApp: "tomtom", // tomtom | google | apple
       units: "mi",      // mi | km
-      theme: "dark"     // dark | light (light placeholder)
+      theme: "dark",    // dark | light (light placeholder)
+      bridgeAlerts: false,       // Low Bridges driving alerts
+      bridgeAlertDistance: 800   // metres ahead to warn about a low bridge
     };
     const s = get(CONFIG.STORAGE_KEYS.SETTINGS, def);
     // If localStorage contains "null" or invalid structure, fall back to defaults
@@ -65,12 +145,30 @@ export const DB = {
   clearAdminSession(){
     localStorage.removeItem(CONFIG.STORAGE_KEYS.ADMIN_SESSION);
   },
-  getFavourites(){
+  // Named favourite lists (see favourites.js). Older versions stored one flat
+  // array of ids; that becomes a single "Favourites" list.
+  getFavouriteLists(){
     const f = get(CONFIG.STORAGE_KEYS.FAVOURITES, []);
-    return Array.isArray(f) ? f : [];
+    const raw = Array.isArray(f)
+      ? [{ id:"favourites", name:"Favourites", ids:f }]
+      : (f && Array.isArray(f.lists) ? f.lists : []);
+    const lists = raw
+      .filter(l=>l && typeof l.id === "string")
+      .map(l=>({
+        id: l.id,
+        name: String(l.name || "Favourites"),
+        ids: [...new Set((Array.isArray(l.ids) ? l.ids : []).filter(id=>typeof id === "string"))]
+      }));
+    if(!lists.length) lists.push({ id:"favourites", name:"Favourites", ids:[] });
+    const active = lists.some(l=>l.id===f?.active) ? f.active : lists[0].id;
+    return { version: 2, active, lists };
+  },
+  saveFavouriteLists(data){
+    set(CONFIG.STORAGE_KEYS.FAVOURITES, { version: 2, active: data?.active, lists: Array.isArray(data?.lists) ? data.lists : [] });
   },
-  saveFavourites(favs){
-    set(CONFIG.STORAGE_KEYS.FAVOURITES, Array.isArray(favs) ? favs : []);
+  // Every favourited id across all lists (deduped, list order).
+  getFavourites(){
+    return [...new Set(DB.getFavouriteLists().lists.flatMap(l=>l.ids))];
   },
 
 };
@@ -1,8 +1,22 @@
 import { UI } from "./ui.js";
 import { DEST } from "./destinations.js";
 import { DB } from "./db.js";
-import { escapeHtml } from "./utils.js";
+import { escapeHtml, fmtDistance } from "./utils.js";
 import { MediaStore } from "./mediaStore.js";
+import { HOURS } from "./hours.js";
+import { HOLIDAYS } from "./holidays.js";
+import { BRANDS } from "./brands.js";
+import { SHARE } from "./share.js";
+import { DRIVER_NOTES } from "./driverNotes.js";
+import { VISITS } from "./visits.js";
+import { VEHICLE } from "./vehicle.js";
+import { BridgesStore } from "./bridgesStore.js";
+import { LST_STORE } from "./lstRoutes.js";
+import { POSTCODES } from "./postcodes.js";
+
+// Bridges this close to a site that are too low (or tight) for the active vehicle get listed.
+const NEARBY_BRIDGE_KM = 5;
+const NEARBY_BRIDGE_MAX = 5;
 
 function buildTomTomUrl(lat, lon, label){
   // Best effort: TomTom deep-linking varies by platform/app.
@@ -17,11 +31,406 @@ function buildAppleMapsUrl(lat, lon){
   return `http://maps.apple.com/?daddr=${encodeURIComponent(lat)},${encodeURIComponent(lon)}`;
 }
 
+function fmtExceptionDate(iso){
+  const [y, m, day] = iso.split("-").map(Number);
+  const date = new Date(y, m - 1, day);
+  return date.toLocaleDateString(undefined, { weekday:"short", day:"numeric", month:"short" });
+}
+
+function fmtNoteTime(ms){
+  return new Date(ms).toLocaleString(undefined, { day:"numeric", month:"short", year:"numeric", hour:"2-digit", minute:"2-digit" });
+}
+
+function showPhoto(url, caption){
+  UI.modal({
+    title: caption || "Photo",
+    body: `<img data-media="${escapeHtml(url)}" src="assets/images/placeholders/entrance-1.png" style="width:100%;border-radius:16px;border:1px solid rgba(255,255,255,.10)" alt="">`,
+    okText: "Close",
+    variant: "alert"
+  });
+  // hydrate inside modal
+  try{ MediaStore.hydrate(document.body); }catch(_e){ /* ignore */ }
+}
+
+function forgetPhotos(urls){
+  for(const url of urls) MediaStore.remove(url).catch(()=>{ /* ignore */ });
+}
+
+// The "My notes" composer of the destination on screen. It outlives re-renders of
+// that destination; `added` holds photos stored for it but not saved in a note yet,
+// which are deleted when the draft is dropped (DEST_VIEW.leave, another destination).
+let __draft = null;
+
+function discardDraft(){
+  if(!__draft) return;
+  forgetPhotos(__draft.added);
+  __draft = null;
+}
+
+// "My notes": the driver's private notes for this site (driverNotes.js), with photos.
+function renderMyNotes(host, d){
+  if(__draft?.destId !== d.id) discardDraft();
+  if(!__draft) __draft = { destId: d.id, editingId: null, photos: [], text: "", added: [] };
+  const draft = __draft;
+  const resetDraft = ()=>{
+    forgetPhotos(draft.added);
+    Object.assign(draft, { editingId: null, photos: [], text: "", added: [] });
+  };
+
+  const paint = ()=>{
+    const notes = DRIVER_NOTES.list(d.id);
+    host.innerHTML = `
+      <div class="h2">My notes</div>
+      <div class="small" style="margin-top:.2rem">Only on this device. Not shared with admins or other drivers.</div>
+      <div class="myNoteComposer">
+        <textarea class="input" id="myNoteText" rows="3" maxlength="2000" placeholder="e.g. Ask for Dave on goods-in. Bay 14 best."></textarea>
+        ${draft.photos.length ? `
+          <div class="myNotePhotos">
+            ${draft.photos.map((url, i)=>`
+              <span class="thumb myNoteThumb">
+                <img data-media="${escapeHtml(url)}" src="assets/images/placeholders/entrance-1.png" alt="">
+                <button class="myNotePhotoRemove" data-draft-photo-remove="${i}" title="Remove photo">×</button>
+              </span>
+            `).join("")}
+          </div>
+        ` : ""}
+        <div style="display:flex; gap:.5rem; flex-wrap:wrap">
+          <button class="btn btn-ghost" id="myNotePhotoBtn" type="button">📷 Add photo</button>
+          <input type="file" id="myNotePhotoInput" accept="image/*" multiple hidden>
+          <span style="flex:1"></span>
+          ${draft.editingId ? `<button class="btn btn-ghost" id="myNoteCancel" type="button">Cancel</button>` : ""}
+          <button class="btn btn-primary" id="myNoteSave" type="button">${draft.editingId ? "Save note" : "Add note"}</button>
+        </div>
+      </div>
+      <div class="myNoteList">
+        ${notes.map(n=>`
+          <div class="myNote">
+            <div class="small myNoteMeta">
+              ${escapeHtml(fmtNoteTime(n.at))}${n.editedAt ? ` • edited ${escapeHtml(fmtNoteTime(n.editedAt))}` : ""}
+              <span style="flex:1"></span>
+              <button class="myNoteAction" data-note-edit="${escapeHtml(n.id)}">Edit</button>
+              <button class="myNoteAction" data-note-delete="${escapeHtml(n.id)}">Delete</button>
+            </div>
+            ${n.text ? `<div class="myNoteText">${escapeHtml(n.text)}</div>` : ""}
+            ${n.photos?.length ? `
+              <div class="myNotePhotos">
+                ${n.photos.map(url=>`
+                  <button class="thumb myNoteThumb" data-note-photo="${escapeHtml(url)}">
+                    <img data-media="${escapeHtml(url)}" src="assets/images/placeholders/entrance-1.png" alt="Note photo">
+                  </button>
+                `).join("")}
+              </div>
+            ` : ""}
+          </div>
+        `).join("")}
+      </div>
+    `;
+    const textEl = host.querySelector("#myNoteText");
+    textEl.value = draft.text;
+    textEl.addEventListener("input", ()=>{ draft.text = textEl.value; });
+
+    const fileInput = host.querySelector("#myNotePhotoInput");
+    host.querySelector("#myNotePhotoBtn").addEventListener("click", ()=>fileInput.click());
+    fileInput.addEventListener("change", async ()=>{
+      for(const file of Array.from(fileInput.files || [])){
+        try{
+          const url = await MediaStore.saveFile(file);
+          draft.photos.push(url);
+          draft.added.push(url);
+        }catch(_e){
+          UI.showToast("Could not read that image.", "danger");
+        }
+      }
+      paint();
+    });
+
+    host.querySelectorAll("[data-draft-photo-remove]").forEach(btn=>{
+      btn.addEventListener("click", ()=>{
+        const [url] = draft.photos.splice(Number(btn.dataset.draftPhotoRemove), 1);
+        // A photo already in the saved note is only deleted when the edit is saved.
+        if(draft.added.includes(url)){
+          draft.added = draft.added.filter(x=>x!==url);
+          forgetPhotos([url]);
+        }
+        paint();
+      });
+    });
+
+    host.querySelector("#myNoteSave").addEventListener("click", async ()=>{
+      const text = textEl.value;
+      if(draft.editingId){
+        const { editingId, photos } = draft;
+        Object.assign(draft, { editingId: null, photos: [], text: "", added: [] });
+        await DRIVER_NOTES.update(d.id, editingId, { text, photos });
+      }else if(DRIVER_NOTES.add(d.id, { text, photos: draft.photos })){
+        Object.assign(draft, { editingId: null, photos: [], text: "", added: [] });
+      }else{
+        UI.showToast("Write something or add a photo first.", "danger");
+        return;
+      }
+      paint();
+      UI.showToast("Note saved.", "ok", 1400);
+    });
+
+    const cancelBtn = host.querySelector("#myNoteCancel");
+    if(cancelBtn){
+      cancelBtn.addEventListener("click", ()=>{
+        resetDraft();
+        paint();
+      });
+    }
+
+    host.querySelectorAll("[data-note-edit]").forEach(btn=>{
+      btn.addEventListener("click", ()=>{
+        const note = notes.find(n=>n.id===btn.dataset.noteEdit);
+        if(!note) return;
+        resetDraft();
+        Object.assign(draft, { editingId: note.id, photos: (note.photos || []).slice(), text: note.text || "" });
+        paint();
+        host.querySelector("#myNoteText").focus();
+      });
+    });
+
+    host.querySelectorAll("[data-note-delete]").forEach(btn=>{
+      btn.addEventListener("click", async ()=>{
+        const ok = await UI.confirm({
+          title: "Delete note?",
+          body: `<div class="small">The note and its photos are removed from this device.</div>`,
+          okText: "Delete",
+          cancelText: "Cancel"
+        });
+        if(!ok) return;
+        if(draft.editingId === btn.dataset.noteDelete) resetDraft();
+        await DRIVER_NOTES.remove(d.id, btn.dataset.noteDelete);
+        paint();
+      });
+    });
+
+    host.querySelectorAll("[data-note-photo]").forEach(btn=>{
+      btn.addEventListener("click", ()=>showPhoto(btn.dataset.notePhoto, "My note photo"));
+    });
+
+    MediaStore.hydrate(host);
+  };
+  paint();
+}
+
+function fmtClock(ms){
+  const d = new Date(ms);
+  return `${String(d.getHours()).padStart(2, "0")}:${String(d.getMinutes()).padStart(2, "0")}`;
+}
+
+// "Visit times": log arrived / tipping / departed, and the typical waits they add up to.
+function renderVisits(host, d){
+  const STEPS = [
+    { field:"arrivedAt", label:"Arrived" },
+    { field:"tipStartAt", label:"Tipping started" },
+    { field:"departedAt", label:"Departed" }
+  ];
+
+  const paint = ()=>{
+    const stats = VISITS.stats(d.id);
+    const open = VISITS.open(d.id);
+    const nowSlot = VISITS.slotOf(Date.now());
+    const recent = VISITS.list(d.id).filter(v=>v.departedAt).slice(0, 5);
+    const summary = (s)=> s ? `${VISITS.fmtMinutes(s.avg)} <span style="opacity:.75">(median ${VISITS.fmtMinutes(s.median)}, ${s.count} visit${s.count===1?"":"s"})</span>` : "—";
+    const nextStep = open ? STEPS.find(st=>!open[st.field]) : STEPS[0];
+
+    host.innerHTML = `
+      <div class="h2">Visit times</div>
+      <div class="small" style="margin-top:.25rem">Log your visits to see typical waits here. Based on the last ${VISITS.ROLLING_WINDOW} visits logged on this device.</div>
+
+      ${stats.wait || stats.tip ? `
+        <div class="visitStats">
+          <div class="small"><b>Wait to tip:</b> ${summary(stats.wait)}</div>
+          <div class="small"><b>Tipping:</b> ${summary(stats.tip)}</div>
+          ${stats.slots.filter(sl=>sl.wait).map(sl=>`
+            <div class="small ${sl.hour===nowSlot ? "visitSlotNow" : ""}">Typical wait at ${sl.label}: ${VISITS.fmtMinutes(sl.wait.median)}${sl.wait.count < 3 ? ` <span style="opacity:.7">(${sl.wait.count} visit${sl.wait.count===1?"":"s"})</span>` : ""}</div>
+          `).join("")}
+        </div>
+      ` : ""}
+
+      <div class="visitLog">
+        ${open ? STEPS.map(st=>`
+          <div class="visitStep">
+            <span class="small" style="flex:1">${st.label}</span>
+            ${open[st.field]
+              ? `<input class="input" type="time" data-visit-time="${st.field}" value="${fmtClock(open[st.field])}">`
+              : `<span class="small" style="opacity:.6">—</span>`}
+          </div>
+        `).join("") : ""}
+        <div style="display:flex; gap:.5rem; flex-wrap:wrap">
+          <button class="btn btn-primary" id="visitNextBtn" type="button">${open ? `${nextStep.label} now` : "🚚 Arrived now"}</button>
+          ${open ? `<button class="btn btn-ghost" id="visitCancelBtn" type="button">Discard visit</button>` : ""}
+        </div>
+      </div>
+
+      ${recent.length ? `
+        <div class="small" style="margin-top:.7rem; font-weight:900">Your recent visits</div>
+        ${recent.map(v=>`
+          <div class="small visitRow">
+            <span>${escapeHtml(new Date(v.arrivedAt).toLocaleDateString(undefined, { day:"numeric", month:"short" }))} ${fmtClock(v.arrivedAt)}</span>
+            <span style="opacity:.8">${v.tipStartAt ? `wait ${VISITS.fmtMinutes((v.tipStartAt - v.arrivedAt) / 60000)} • tip ${VISITS.fmtMinutes((v.departedAt - v.tipStartAt) / 60000)}` : `on site ${VISITS.fmtMinutes((v.departedAt - v.arrivedAt) / 60000)}`}</span>
+            <button class="myNoteAction" data-visit-delete="${escapeHtml(v.id)}">Delete</button>
+          </div>
+        `).join("")}
+      ` : ""}
+    `;
+
+    host.querySelector("#visitNextBtn").addEventListener("click", ()=>{
+      if(!open) VISITS.arrive(d.id);
+      else VISITS.set(d.id, open.id, nextStep.field);
+      if(nextStep.field === "departedAt") UI.showToast("Visit logged. Thanks!", "ok", 1400);
+      paint();
+    });
+
+    const cancelBtn = host.querySelector("#visitCancelBtn");
+    if(cancelBtn){
+      cancelBtn.addEventListener("click", ()=>{
+        VISITS.remove(d.id, open.id);
+        paint();
+      });
+    }
+
+    host.querySelectorAll("[data-visit-time]").forEach(inp=>{
+      inp.addEventListener("change", ()=>{
+        const at = VISITS.timeOn(open, inp.value, inp.dataset.visitTime);
+        if(at == null) return;
+        VISITS.set(d.id, open.id, inp.dataset.visitTime, at);
+        paint();
+      });
+    });
+
+    host.querySelectorAll("[data-visit-delete]").forEach(btn=>{
+      btn.addEventListener("click", async ()=>{
+        const ok = await UI.confirm({
+          title: "Delete visit?",
+          body: `<div class="small">It won't count towards the typical times any more.</div>`,
+          okText: "Delete",
+          cancelText: "Cancel"
+        });
+        if(!ok) return;
+        VISITS.remove(d.id, btn.dataset.visitDelete);
+        paint();
+      });
+    });
+  };
+  paint();
+}
+
+// Active vehicle profile vs this site: nearby low bridges, and LST route plans for LSTs.
+async function renderVehicleCheck(host, d){
+  const v = VEHICLE.active();
+  if(!v){
+    host.innerHTML = `<div class="vehicleCheck small">Add your vehicle in Settings to check low bridges near this site.</div>`;
+    return;
+  }
+  const units = DB.getSettings().units || "mi";
+  const pos = DEST.coordsOf(d);
+  const lines = [];
+  let warn = false;
+
+  if(v.lst){
+    const compact = (pc)=> String(pc || "").replace(/\s+/g, "").toUpperCase();
+    const sitePcs = POSTCODES.extract(d.address).map(compact);
+    const plans = (LST_STORE.get() || []).filter(r=>sitePcs.length && [r.startPostcode, r.endPostcode].some(pc=>pc && sitePcs.includes(compact(pc))));
+    if(plans.length){
+      lines.push(`✅ LST route plan${plans.length===1?"":"s"}: ${plans.map(r=>escapeHtml(r.title)).join(", ")}`);
+    }else{
+      warn = true;
+      lines.push("⚠ No LST route plan starts or ends at this postcode. Check access before bringing an LST.");
+    }
+  }
+
+  const paint = (bridgeHtml)=>{
+    host.innerHTML = `
+      <div class="vehicleCheck ${warn ? "warn" : ""}">
+        <div class="small"><b>${escapeHtml(v.name)}</b> • ${escapeHtml(VEHICLE.summary(v))}</div>
+        ${[...lines, bridgeHtml].filter(Boolean).map(l=>`<div class="small" style="margin-top:.3rem">${l}</div>`).join("")}
+      </div>
+    `;
+  };
+
+  if(!pos || !v.height_m){
+    paint(pos ? "" : "No coordinates for this site yet, so nearby low bridges can't be checked.");
+    return;
+  }
+  paint("Checking low bridges nearby…");
+  let near = [];
+  try{
+    near = (await BridgesStore.withinDistanceOfPolyline([pos], NEARBY_BRIDGE_KM * 1000))
+      .map(({bridge, m})=>({ b: bridge, km: m / 1000, check: VEHICLE.bridgeCheck(bridge, v) }))
+      .filter(x=>x.check === "low" || x.check === "tight");
+  }catch(_e){ /* bridges unavailable */ }
+  if(!host.isConnected) return;
+  if(!near.length){
+    paint(`✅ No stored low bridges under ${escapeHtml(VEHICLE.heightLabel(v.height_m, v.heightUnit))} within ${escapeHtml(fmtDistance(NEARBY_BRIDGE_KM, units))}.`);
+    return;
+  }
+  warn = warn || near.some(x=>x.check === "low");
+  paint(`⚠ ${near.length} low bridge${near.length===1?"":"s"} within ${escapeHtml(fmtDistance(NEARBY_BRIDGE_KM, units))}:
+    <ul class="vehicleBridges">
+      ${near.slice(0, NEARBY_BRIDGE_MAX).map(({b, km, check})=>`
+        <li><span class="bridgeWarn ${check}">${b.height_m} m</span> ${escapeHtml(b.name || "Low bridge")}${b.road ? ` (${escapeHtml(b.road)})` : ""} • ${escapeHtml(fmtDistance(km, units))}</li>
+      `).join("")}
+    </ul>
+    <a class="small" href="#bridges">Open Low Bridges</a>`);
+}
+
+// A shared link whose id isn't in this device's data: show the details it carried.
+function renderShared(container, s){
+  const hasCoords = Number.isFinite(s.lat) && Number.isFinite(s.lon);
+  container.innerHTML = `
+    <div style="padding:1rem">
+      <section class="card" style="padding:1rem">
+        <div style="display:flex; justify-content:space-between; gap:1rem; align-items:flex-start; flex-wrap:wrap">
+          <div>
+            <div class="h1">${escapeHtml(s.name)}</div>
+            <div class="small" style="margin-top:.2rem">${escapeHtml(s.address || "")}</div>
+          </div>
+          <button id="destBackBtn" class="btn btn-ghost" type="button">← Back</button>
+        </div>
+        <div class="small sharedNotice">Shared with you. This site isn't in the destinations on this device yet, so only the shared details are shown.</div>
+
+        <div style="display:flex; gap:.6rem; flex-wrap:wrap; margin-top: 1rem">
+          ${hasCoords ? `
+            <a class="btn btn-primary" href="${escapeHtml(buildTomTomUrl(s.lat, s.lon, s.name))}">Navigate with TomTom</a>
+            <a class="btn btn-ghost" href="${escapeHtml(buildGoogleMapsUrl(s.lat, s.lon))}" target="_blank" rel="noreferrer">Open in Google Maps</a>
+            <a class="btn btn-ghost" href="${escapeHtml(buildAppleMapsUrl(s.lat, s.lon))}" target="_blank" rel="noreferrer">Open in Apple Maps</a>
+          ` : `<div class="small" style="opacity:.9">No coordinates were shared for this site.</div>`}
+        </div>
+
+        <div class="hr" style="margin: 1rem 0"></div>
+
+        <div class="h2">Gate info</div>
+        <div class="small" style="margin-top:.35rem">${escapeHtml(s.gateInfo || "—")}</div>
+        ${hasCoords ? `
+          <div class="h2" style="margin-top:1rem">Coordinates</div>
+          <div class="small" style="margin-top:.25rem">${s.lat}, ${s.lon}</div>
+        ` : ""}
+      </section>
+    </div>
+  `;
+  container.querySelector("#destBackBtn").addEventListener("click", ()=>{
+    window.location.hash = "#home";
+  });
+}
+
 export const DEST_VIEW = {
-  render(container, {id}){
+  // Called by the router when this page is left: drops the unsaved notes draft.
+  leave(){
+    discardDraft();
+  },
+
+  render(container, {id, shared}){
     const d = DEST.getById(id);
     const hasCoords = Number.isFinite(d?.lat) && Number.isFinite(d?.lon);
     if(!d){
+      const s = SHARE.decode(shared);
+      if(s){
+        renderShared(container, s);
+        return;
+      }
       container.innerHTML = `<div class="card" style="padding:1rem">Destination not found.</div>`;
       return;
     }
@@ -30,6 +439,15 @@ export const DEST_VIEW = {
     const tomtomUrl = hasCoords ? buildTomTomUrl(d.lat, d.lon, d.name) : null;
     const gmapsUrl = buildGoogleMapsUrl(d.lat, d.lon);
     const amapsUrl = buildAppleMapsUrl(d.lat, d.lon);
+    const openStatus = HOLIDAYS.statusOf(d);
+    const brandLinks = BRANDS.ofDestination(d)
+      .map(b=>BRANDS.get(DEST.state.destinations, b.key))
+      .filter(b=>b && b.ids.length > 1);
+    // Bank holidays only matter once we know something about this site's hours.
+    const upcoming = HOLIDAYS.upcoming(d)
+      .filter(x=>x.source === "custom" || d.bankHolidayHours || HOURS.specFor(d));
+    const nextException = upcoming[0] || null;
+    const laterExceptions = upcoming.slice(1, 4);
 
     container.innerHTML = `
       <div class="grid2" style="padding: 1rem; gap: 1rem;">
@@ -44,10 +462,21 @@ export const DEST_VIEW = {
             <div style="display:flex; gap:.5rem; flex-wrap:wrap; margin-top:.8rem">
               <span class="badge">📍 ${escapeHtml(d.category || "Destination")}</span>
               <span class="badge">🕒 ${escapeHtml(d.hours || "Hours unknown")}</span>
+              ${brandLinks.map(b=>`<a class="badge brandBadge" href="#brand/${encodeURIComponent(b.key)}">🏷️ ${escapeHtml(b.label)} • all ${b.ids.length} sites</a>`).join("")}
+              ${openStatus.state !== "unknown" ? `<span class="badge ${HOURS.badgeClass(openStatus.state)}">${escapeHtml(openStatus.label)}</span>` : ""}
             </div>
 
+            ${nextException ? `
+              <div class="holidayNotice ${nextException.spans && !nextException.spans.length ? "closed" : ""}">
+                <div style="font-weight:900">📅 ${escapeHtml(fmtExceptionDate(nextException.date))} — ${escapeHtml(nextException.title)}</div>
+                <div class="small">${escapeHtml(nextException.label)}${nextException.source==="bank" ? ` • ${escapeHtml(HOLIDAYS.regionLabel(HOLIDAYS.regionFor(d)))} bank holiday` : ""}</div>
+                ${laterExceptions.length ? `<div class="small" style="margin-top:.35rem; opacity:.8">Later: ${laterExceptions.map(x=>`${escapeHtml(fmtExceptionDate(x.date))} ${escapeHtml(x.label)}`).join(" • ")}</div>` : ""}
+              </div>
+            ` : ""}
+
             <div style="display:flex; gap:.6rem; flex-wrap:wrap; margin-top: 1rem">
               <button class="btn btn-primary" id="btnPrimaryNav" ${hasCoords ? "" : "disabled"}>Navigate</button>
+              <button class="btn btn-ghost" id="shareBtn" type="button">Share</button>
               ${hasCoords ? `
               <a class="btn btn-ghost" href="${escapeHtml(gmapsUrl)}" target="_blank" rel="noreferrer">Open in Google Maps</a>
               <a class="btn btn-ghost" href="${escapeHtml(amapsUrl)}" target="_blank" rel="noreferrer">Open in Apple Maps</a>
@@ -56,6 +485,8 @@ export const DEST_VIEW = {
 
             <div class="hr" style="margin: 1rem 0"></div>
 
+            <div id="vehicleCheck"></div>
+
             <div class="h2">Gate info</div>
             <div class="small" style="margin-top:.35rem">${escapeHtml(d.gateInfo || "—")}</div>
 
@@ -73,6 +504,9 @@ export const DEST_VIEW = {
               <div style="margin-top:1rem; display:flex; gap:.45rem; flex-wrap:wrap">
                 ${d.tags.map(t=>`<span class="badge">#${escapeHtml(t)}</span>`).join("")}
               </div>` : ""}
+
+            <div class="hr" style="margin: 1rem 0"></div>
+            <div id="myNotes"></div>
           </div>
         </section>
 
@@ -87,6 +521,9 @@ export const DEST_VIEW = {
             `).join("")}
           </div>
 
+          <div class="hr" style="margin: 1rem 0"></div>
+          <div id="visitTimes"></div>
+
           <div class="hr" style="margin: 1rem 0"></div>
 
           <div class="h2">Coordinates</div>
@@ -112,6 +549,8 @@ export const DEST_VIEW = {
       UI.showToast(primary==="google"?"Opening Google Maps…":primary==="apple"?"Opening Apple Maps…":"Opening TomTom… If it doesn't open, use the other map buttons.");
     });
 
+    container.querySelector("#shareBtn").addEventListener("click", ()=>SHARE.open(d));
+
     // Back button (prefer browser history; fallback to home)
     const backBtn = container.querySelector("#destBackBtn");
     if(backBtn){
@@ -130,18 +569,14 @@ export const DEST_VIEW = {
         const idx = Number(btn.dataset.photo);
         const p = d.photos?.[idx];
         if(!p) return;
-        UI.modal({
-          title: p.caption || "Photo",
-          body: `<img data-media="${escapeHtml(p.url)}" src="assets/images/placeholders/entrance-1.png" style="width:100%;border-radius:16px;border:1px solid rgba(255,255,255,.10)" alt="">`,
-          okText: "Close",
-          variant: "alert"
-        });
-
-        // hydrate inside modal
-        try{ MediaStore.hydrate(document.body); }catch(_e){ /* ignore */ }
+        showPhoto(p.url, p.caption);
       });
     });
 
+    renderMyNotes(container.querySelector("#myNotes"), d);
+    renderVisits(container.querySelector("#visitTimes"), d);
+    renderVehicleCheck(container.querySelector("#vehicleCheck"), d);
+
     // hydrate any idb: images
     MediaStore.hydrate(container);
   }
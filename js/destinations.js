@@ -1,10 +1,17 @@
 import { DB } from "./db.js";
+import { SEARCH } from "./search.js";
+import { HOURS } from "./hours.js";
+import { FACILITIES } from "./facilities.js";
+import { haversineKm } from "./utils.js";
 
 export const DEST = {
   state: {
     destinations: [],
     query: "",
-    category: "All"
+    category: "All",
+    facilities: [],
+    nearMe: false,
+    seedMerge: null
   },
   async ensureLoaded(){
     let data = DB.getDestinations();
@@ -12,52 +19,138 @@ export const DEST = {
       const seed = await DB.loadSeed();
       data = seed.destinations || [];
       DB.saveDestinations(data);
+      DB.saveSeedVersion(seed.version || 1);
+    }else{
+      // A newer seed (higher `version`) is merged into local data so devices
+      // pick up new sites without a reset. Offline/failed fetch keeps local data.
+      try{
+        const seed = await DB.loadSeed();
+        const seedVersion = Number(seed.version) || 0;
+        const localVersion = DB.getSeedVersion();
+        if(seedVersion > localVersion && Array.isArray(seed.destinations)){
+          const res = DEST.mergeSeed(data, seed.destinations, {
+            legacy: localVersion === 0,
+            deletedIds: DB.getDeletedDestinationIds()
+          });
+          res.summary.fromVersion = localVersion;
+          res.summary.toVersion = seedVersion;
+          res.summary.at = Date.now();
+          data = res.destinations;
+          DB.saveDestinations(data);
+          DB.saveSeedVersion(seedVersion);
+          DB.saveLastSeedMerge(res.summary);
+          DEST.state.seedMerge = res.summary;
+        }
+      }catch(err){
+        console.warn("Seed update check failed", err);
+      }
     }
+    // Structured hours live next to the display string; fill in/refresh any
+    // that predate hoursSpec or whose string changed (e.g. via a seed update).
+    let specChanged = false;
+    data = data.map(d=>{
+      const spec = HOURS.parse(d.hours);
+      if(spec ? d.hoursSpec?.source === spec.source : !d.hoursSpec) return d;
+      specChanged = true;
+      return HOURS.withSpec(d);
+    });
+    if(specChanged) DB.saveDestinations(data);
     DEST.state.destinations = data;
     return data;
   },
+  // Merge seed records into local destinations.
+  // - New seed ids are added (unless an admin deleted that id on this device).
+  // - Existing records take seed values, except fields listed in `editedFields`
+  //   (set by the admin editor) and never blanking a value that is set locally.
+  // - `legacy` (no seed version stored yet, so no edit tracking): only fill
+  //   fields that are empty locally.
+  // - Local-only records (admin/community additions) are kept as-is.
+  mergeSeed(local, seedRecords, {legacy=false, deletedIds=[]} = {}){
+    const isEmpty = (v)=> v == null || v === "" || (Array.isArray(v) && !v.length);
+    const same = (a, b)=> JSON.stringify(a) === JSON.stringify(b);
+    const deleted = new Set(deletedIds);
+    const byId = new Map(local.map((d, i)=>[d.id, i]));
+    const out = local.slice();
+    const summary = { added:0, updated:0, keptEdits:0, skippedDeleted:0, addedNames:[], updatedNames:[] };
+    const note = (list, d)=>{ if(list.length < 20) list.push(d.name || d.id); };
+
+    for(const s of seedRecords){
+      if(!s?.id) continue;
+      if(!byId.has(s.id)){
+        if(deleted.has(s.id)){ summary.skippedDeleted++; continue; }
+        out.push(s);
+        summary.added++;
+        note(summary.addedNames, s);
+        continue;
+      }
+      const idx = byId.get(s.id);
+      const cur = out[idx];
+      const edited = new Set(cur.editedFields || []);
+      const next = { ...cur };
+      let changed = false;
+      for(const [k, v] of Object.entries(s)){
+        if(k === "id" || same(cur[k], v)) continue;
+        if(isEmpty(v) && !isEmpty(cur[k])) continue;
+        if(edited.has(k) || (legacy && !isEmpty(cur[k]))){
+          summary.keptEdits++;
+          continue;
+        }
+        next[k] = v;
+        changed = true;
+      }
+      if(changed){
+        out[idx] = next;
+        summary.updated++;
+        note(summary.updatedNames, next);
+      }
+    }
+    return { destinations: out, summary };
+  },
   list(){
     const raw = (DEST.state.query || "").trim();
-    const q = raw.toLowerCase();
-    const qNoSpaceUpper = raw.replace(/\s+/g,"").toUpperCase();
     const cat = DEST.state.category;
 
-    // heuristic: postcode-like if contains both letters and digits and length >= 5
-    const looksLikePostcode = (qNoSpaceUpper.length >= 5) && /[A-Z]/.test(qNoSpaceUpper) && /\d/.test(qNoSpaceUpper);
-
-    return DEST.state.destinations
-      .filter(d => cat==="All" ? true : (d.category===cat))
-      .filter(d => {
-        if(!raw) return true;
-
-        const name = (d.name||"").toLowerCase();
-        const address = (d.address||"").toLowerCase();
-        const tags = (d.tags||[]).join(" ").toLowerCase();
-        const notes = (d.notes||"").toLowerCase();
-        const category = (d.category||"").toLowerCase();
+    const pool = FACILITIES.filter(
+      DEST.state.destinations.filter(d => cat==="All" ? true : (d.category===cat)),
+      DEST.state.facilities
+    );
 
-        const textHit =
-          name.includes(q) ||
-          address.includes(q) ||
-          tags.includes(q) ||
-          notes.includes(q) ||
-          category.includes(q);
-
-        if(textHit) return true;
-
-        // postcode search without spaces
-        if(looksLikePostcode){
-          const addrNoSpace = (d.address||"").replace(/\s+/g,"").toUpperCase();
-          return addrNoSpace.includes(qNoSpaceUpper);
-        }
-        return false;
-      })
-      .sort((a,b)=>(a.name||"").localeCompare(b.name||""));
+    // `key:value` filters narrow the pool; remaining words are ranked by
+    // relevance (see search.js). No free text: alphabetical.
+    const parsed = SEARCH.parseQuery(raw);
+    const filtered = SEARCH.applyFilters(pool, parsed.filters);
+    if(!parsed.text) return filtered.sort((a,b)=>(a.name||"").localeCompare(b.name||""));
+    return SEARCH.rank(filtered, parsed.text);
+  },
+  // {lat, lng} for a destination, or null when coordinates aren't set.
+  coordsOf(d){
+    const lat = d?.lat ?? d?.latitude;
+    const lng = d?.lon ?? d?.lng ?? d?.longitude;
+    if(lat == null || lng == null || lat === "" || lng === "") return null;
+    const p = { lat: Number(lat), lng: Number(lng) };
+    return (Number.isFinite(p.lat) && Number.isFinite(p.lng)) ? p : null;
+  },
+  // Split a list into [{d, km}] nearest-first and the ones without coordinates.
+  byDistance(list, from){
+    const near = [];
+    const noCoords = [];
+    for(const d of list){
+      const p = DEST.coordsOf(d);
+      if(p) near.push({ d, km: haversineKm(from, p) });
+      else noCoords.push(d);
+    }
+    near.sort((a,b)=>a.km - b.km);
+    return { near, noCoords };
   },
   getById(id){
-    return DEST.state.destinations.find(d=>d.id===id) || null;
+    const d = DEST.state.destinations.find(d=>d.id===id);
+    if(d) return d;
+    // Merged duplicates: follow the redirect to the surviving record.
+    const to = DB.getDestinationRedirects()[id];
+    return to ? (DEST.state.destinations.find(d=>d.id===to) || null) : null;
   },
   upsertDestination(dest){
+    dest = HOURS.withSpec(dest);
     const idx = DEST.state.destinations.findIndex(d=>d.id===dest.id);
     if(idx>=0) DEST.state.destinations[idx] = dest;
     else DEST.state.destinations.push(dest);
@@ -0,0 +1,163 @@
+// driverNotes.js
+// The driver's own notes on a site ("ask for Dave on goods-in", "bay 14 best").
+//
+// Private to this device: kept apart from the shared `notes` field admins edit,
+// and never sent anywhere. Photos live in MediaStore as "idb:" references.
+//
+// Stored under CONFIG.STORAGE_KEYS.DRIVER_NOTES as
+//   { [destId]: [{ id, at, editedAt?, text, photos: ["idb:…"] }] }, oldest first.
+
+import { DB } from "./db.js";
+import { MediaStore } from "./mediaStore.js";
+
+const MAX_TEXT = 2000;
+
+// Bumped on every change so search can refresh its cached note tokens.
+let _version = 0;
+// Parsed copy of the stored notes (search reads them for every record).
+let _cache = null;
+
+function load(){
+  if(!_cache) _cache = DB.getDriverNotes();
+  return _cache;
+}
+
+function save(all){
+  DB.saveDriverNotes(all);
+  _cache = all;
+  _version++;
+}
+
+function noteId(){
+  return `note-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`;
+}
+
+function clean(text){
+  return String(text || "").trim().slice(0, MAX_TEXT);
+}
+
+export const DRIVER_NOTES = {
+  version(){
+    return _version;
+  },
+
+  // Notes for one destination, newest first.
+  list(destId){
+    const notes = load()[destId];
+    return Array.isArray(notes) ? notes.slice().reverse() : [];
+  },
+
+  count(destId){
+    const notes = load()[destId];
+    return Array.isArray(notes) ? notes.length : 0;
+  },
+
+  // All note text for a destination, for search.
+  textFor(destId){
+    const notes = load()[destId];
+    return Array.isArray(notes) ? notes.map(n=>n.text || "").join(" ") : "";
+  },
+
+  // Returns the new note, or null when there's neither text nor a photo.
+  add(destId, {text, photos = []} = {}){
+    const t = clean(text);
+    if(!t && !photos.length) return null;
+    const all = load();
+    const note = { id: noteId(), at: Date.now(), text: t, photos: photos.slice() };
+    all[destId] = [...(Array.isArray(all[destId]) ? all[destId] : []), note];
+    save(all);
+    return note;
+  },
+
+  // Photos dropped from the note are deleted from MediaStore.
+  async update(destId, id, {text, photos}){
+    const all = load();
+    const note = (all[destId] || []).find(n=>n.id===id);
+    if(!note) return;
+    const dropped = photos === undefined ? [] : (note.photos || []).filter(url=>!photos.includes(url));
+    if(text !== undefined) note.text = clean(text);
+    if(photos !== undefined) note.photos = photos.slice();
+    note.editedAt = Date.now();
+    save(all);
+    for(const url of dropped){
+      try{ await MediaStore.remove(url); }catch(_e){ /* ignore */ }
+    }
+  },
+
+  // Removes the note and its photos.
+  async remove(destId, id){
+    const all = load();
+    const note = (all[destId] || []).find(n=>n.id===id);
+    if(!note) return;
+    all[destId] = all[destId].filter(n=>n.id!==id);
+    if(!all[destId].length) delete all[destId];
+    save(all);
+    for(const url of note.photos || []){
+      try{ await MediaStore.remove(url); }catch(_e){ /* ignore */ }
+    }
+  },
+
+  // Backup payload: the notes plus their photos inlined as data URLs.
+  async exportAll(){
+    const notes = load();
+    const media = {};
+    for(const list of Object.values(notes)){
+      for(const n of list || []){
+        for(const url of n.photos || []){
+          if(media[url]) continue;
+          try{
+            const data = await MediaStore.toDataUrl(url);
+            if(data) media[url] = data;
+          }catch(_e){ /* skip unreadable photo */ }
+        }
+      }
+    }
+    return { version: 1, notes, media };
+  },
+
+  // Replaces all notes with a backup from exportAll(). Photos get new MediaStore ids.
+  async importAll(backup){
+    if(!backup || typeof backup.notes !== "object" || Array.isArray(backup.notes)) return 0;
+    const media = backup.media || {};
+    const fresh = new Map();
+    const next = {};
+    let count = 0;
+    for(const [destId, list] of Object.entries(backup.notes)){
+      if(!Array.isArray(list)) continue;
+      const kept = [];
+      for(const n of list){
+        if(!n || typeof n !== "object") continue;
+        const photos = [];
+        for(const url of Array.isArray(n.photos) ? n.photos : []){
+          if(!fresh.has(url) && media[url]){
+            try{ fresh.set(url, await MediaStore.saveDataUrl(media[url])); }catch(_e){ /* skip */ }
+          }
+          if(fresh.has(url)) photos.push(fresh.get(url));
+        }
+        const note = {
+          id: typeof n.id === "string" ? n.id : noteId(),
+          at: Number(n.at) || Date.now(),
+          text: clean(n.text),
+          photos
+        };
+        if(Number(n.editedAt)) note.editedAt = Number(n.editedAt);
+        if(note.text || note.photos.length) kept.push(note);
+      }
+      if(kept.length){
+        next[destId] = kept;
+        count += kept.length;
+      }
+    }
+
+    const old = load();
+    save(next);
+    for(const list of Object.values(old)){
+      for(const n of list || []){
+        for(const url of n.photos || []){
+          try{ await MediaStore.remove(url); }catch(_e){ /* ignore */ }
+        }
+      }
+    }
+    return count;
+  }
+};
@@ -0,0 +1,203 @@
+// duplicates.js
+// Find likely duplicate destinations and merge them into one record.
+//
+// Pairs are linked when the names are near-identical, or when they share a
+// postcode / sit within a few hundred metres AND the names are similar. Linked
+// pairs are grouped into clusters (union-find) for the admin to review.
+
+import { POSTCODES } from "./postcodes.js";
+import { haversineKm } from "./utils.js";
+
+// Names are compared as town + operator ("Aberdeen (Costco)"); similarity is 0..1.
+// Without any shared place, both parts must be near-identical.
+const NAME_ONLY_SIM = 0.92;
+const TOWN_SIM = 0.8;
+// With a shared postcode / nearby coordinates, the operator only has to be similar.
+const NAME_WITH_PLACE_SIM = 0.75;
+const NEAR_KM = 0.2;
+// Closer than this is a duplicate whatever the names say.
+const SAME_SPOT_KM = 0.025;
+
+// Grid cell for coordinate blocking (~1km).
+const CELL_DEG = 0.01;
+
+// Fields the admin picks a value for when merging.
+const MERGE_FIELDS = ["name","address","category","hours","gateInfo","notes","avgTipTime","coords"];
+
+function normName(s){
+  return String(s || "")
+    .toLowerCase()
+    .replace(/&/g, " and ")
+    .replace(/\b(ltd|limited|plc|the)\b/g, " ")
+    .replace(/[^a-z0-9]+/g, " ")
+    .trim();
+}
+
+function trigrams(s){
+  const t = ` ${s.replace(/\s+/g, " ")} `;
+  const out = new Map();
+  for(let i=0; i<t.length-2; i++){
+    const g = t.slice(i, i+3);
+    out.set(g, (out.get(g) || 0) + 1);
+  }
+  return out;
+}
+
+// Dice coefficient over character trigrams (order-insensitive enough for "A & C" vs "C & A").
+function similarity(a, b){
+  if(!a || !b) return 0;
+  if(a === b) return 1;
+  const ta = trigrams(a);
+  const tb = trigrams(b);
+  let inter = 0;
+  let total = 0;
+  for(const [g, n] of ta){
+    total += n;
+    if(tb.has(g)) inter += Math.min(n, tb.get(g));
+  }
+  for(const n of tb.values()) total += n;
+  return total ? (2 * inter) / total : 0;
+}
+
+function coordsOf(d){
+  const lat = Number(d?.lat);
+  const lng = Number(d?.lon ?? d?.lng);
+  if(d?.lat == null || d?.lat === "" || !Number.isFinite(lat) || !Number.isFinite(lng)) return null;
+  return { lat, lng };
+}
+
+function clusterKey(ids){
+  return ids.slice().sort().join("|");
+}
+
+export const DUPLICATES = {
+  MERGE_FIELDS,
+  similarity,
+  clusterKey,
+
+  // [{ key, ids[], reasons[] }] largest first. `dismissed` holds clusterKey()s to skip.
+  findClusters(destinations, {dismissed = []} = {}){
+    const list = destinations || [];
+    const info = list.map(d=>{
+      const raw = String(d.name || "");
+      const m = raw.match(/^([^(]*)\((.+)\)\s*$/);
+      const town = normName(m ? m[1] : "");
+      return {
+        town,
+        op: normName(m ? m[2] : raw),
+        pc: POSTCODES.extract(d.address).map(pc=>pc.replace(/\s+/g, "")),
+        pos: coordsOf(d)
+      };
+    });
+
+    // Blocks of candidates that are worth comparing pairwise.
+    const blocks = new Map();
+    const addTo = (key, i)=>{
+      if(!blocks.has(key)) blocks.set(key, []);
+      blocks.get(key).push(i);
+    };
+    info.forEach((x, i)=>{
+      for(const pc of x.pc) addTo(`pc:${pc}`, i);
+      if(x.op) addTo(`op:${x.op.split(" ")[0]}`, i);
+      if(x.pos) addTo(`cell:${Math.floor(x.pos.lat / CELL_DEG)}:${Math.floor(x.pos.lng / CELL_DEG)}`, i);
+    });
+
+    const parent = info.map((_, i)=>i);
+    const find = (i)=>{ while(parent[i] !== i){ parent[i] = parent[parent[i]]; i = parent[i]; } return i; };
+    const reasons = new Map();
+    const link = (i, j, why)=>{
+      const a = find(i);
+      const b = find(j);
+      if(a !== b) parent[b] = a;
+      const k = Math.min(i, j);
+      if(!reasons.has(k)) reasons.set(k, new Set());
+      reasons.get(k).add(why);
+    };
+
+    const compared = new Set();
+    for(const idxs of blocks.values()){
+      if(idxs.length < 2) continue;
+      for(let a=0; a<idxs.length; a++){
+        for(let b=a+1; b<idxs.length; b++){
+          const i = idxs[a];
+          const j = idxs[b];
+          const pairKey = i < j ? `${i}:${j}` : `${j}:${i}`;
+          if(compared.has(pairKey)) continue;
+          compared.add(pairKey);
+          const x = info[i];
+          const y = info[j];
+          const sim = similarity(x.op, y.op);
+          const samePc = x.pc.some(pc=>y.pc.includes(pc));
+          const km = (x.pos && y.pos) ? haversineKm(x.pos, y.pos) : null;
+          if(km != null && km <= SAME_SPOT_KM) link(i, j, "Same coordinates");
+          else if(sim >= NAME_ONLY_SIM && (x.town === y.town || similarity(x.town, y.town) >= TOWN_SIM)) link(i, j, "Near-identical names");
+          else if(samePc && sim >= NAME_WITH_PLACE_SIM) link(i, j, "Same postcode, similar names");
+          else if(km != null && km <= NEAR_KM && sim >= NAME_WITH_PLACE_SIM) link(i, j, `Within ${Math.round(km*1000)} m, similar names`);
+        }
+      }
+    }
+
+    const groups = new Map();
+    info.forEach((_, i)=>{
+      const r = find(i);
+      if(!groups.has(r)) groups.set(r, []);
+      groups.get(r).push(i);
+    });
+    const skip = new Set(dismissed);
+    const out = [];
+    for(const idxs of groups.values()){
+      if(idxs.length < 2) continue;
+      const ids = idxs.map(i=>list[i].id);
+      const key = clusterKey(ids);
+      if(skip.has(key)) continue;
+      const why = new Set();
+      idxs.forEach(i=>reasons.get(i)?.forEach(r=>why.add(r)));
+      out.push({ key, ids, reasons: [...why] });
+    }
+    return out.sort((a,b)=>b.ids.length - a.ids.length);
+  },
+
+  // Build the merged record.
+  // choice: { keepId, fields: { name: id, ... , coords: id }, photos: [{caption,url}], tags: [], facilities: [] }
+  merge(records, choice){
+    const byId = new Map(records.map(r=>[r.id, r]));
+    const keep = byId.get(choice.keepId) || records[0];
+    const from = (field)=> byId.get(choice.fields?.[field]) || keep;
+    const merged = { ...keep };
+    for(const f of MERGE_FIELDS){
+      const src = from(f);
+      if(f === "coords"){
+        merged.lat = src.lat ?? null;
+        merged.lon = src.lon ?? null;
+        if(src.coordsSource) merged.coordsSource = src.coordsSource;
+        else delete merged.coordsSource;
+      }else if(f === "hours"){
+        merged.hours = src.hours;
+        if(src.hoursSpec) merged.hoursSpec = src.hoursSpec;
+        else delete merged.hoursSpec;
+      }else{
+        merged[f] = src[f] ?? "";
+      }
+    }
+    merged.photos = choice.photos || keep.photos || [];
+    merged.tags = choice.tags || keep.tags || [];
+    merged.facilities = choice.facilities || keep.facilities || [];
+    // Dated exceptions from every record, first one per date wins (survivor first).
+    const seen = new Set();
+    merged.hoursExceptions = [keep, ...records.filter(r=>r !== keep)]
+      .flatMap(r=>r.hoursExceptions || [])
+      .filter(x=>!seen.has(x.date) && seen.add(x.date));
+    if(!merged.hoursExceptions.length) delete merged.hoursExceptions;
+    return merged;
+  },
+
+  // Favourite ids with removed ids pointed at the survivor (deduped, order kept).
+  redirectIds(ids, redirects){
+    const out = [];
+    for(const id of ids || []){
+      const next = redirects[id] || id;
+      if(!out.includes(next)) out.push(next);
+    }
+    return out;
+  }
+};
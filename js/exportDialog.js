@@ -0,0 +1,104 @@
+// exportDialog.js
+// "Export destinations" dialog: pick a scope (all / search results / favourites)
+// and a file format from GEO_EXPORT.FORMATS, then report what was skipped.
+// List order is kept, so a TomTom itinerary follows the favourites order.
+
+import { GEO_EXPORT } from "./geoExport.js";
+import { UI } from "./ui.js";
+import { escapeHtml } from "./utils.js";
+
+// Skipped names listed before "…and N more".
+const SKIPPED_LIST_MAX = 40;
+
+export const EXPORT_DIALOG = {
+  // scopes: [{ key, label, title, list: () => destinations[] }]; `scope` is the key selected first.
+  open({scopes, scope} = {}){
+    const available = (scopes || []).filter(Boolean);
+    if(!available.length) return;
+    let current = available.find(s=>s.key===scope) || available[0];
+    const lists = new Map(available.map(s=>[s.key, s.list() || []]));
+
+    const overlay = document.createElement("div");
+    overlay.className = "modalOverlay";
+    overlay.innerHTML = `
+      <div class="modal" style="max-width: 560px">
+        <div class="modalHeader">
+          <div class="h2">Export destinations</div>
+          <div class="small" style="margin-top:.25rem">For other mapping tools and satnavs. Sites without coordinates are left out.</div>
+        </div>
+        <div class="modalBody">
+          <div class="label">What</div>
+          <div class="filterRow" style="gap:.45rem; margin-bottom:.9rem">
+            ${available.map(s=>`<button class="chip ${s===current?"active":""}" data-export-scope="${escapeHtml(s.key)}">${escapeHtml(s.label)} (${lists.get(s.key).length})</button>`).join("")}
+          </div>
+          <div class="small" id="exportScopeMeta" style="margin-bottom:.9rem"></div>
+          <div class="label">Format</div>
+          <div style="display:flex; gap:.5rem; flex-wrap:wrap">
+            ${Object.entries(GEO_EXPORT.FORMATS).map(([key, f])=>`<button class="btn btn-ghost" data-export-format="${key}">${escapeHtml(f.label)}</button>`).join("")}
+          </div>
+          <div id="exportResult" style="margin-top:1rem"></div>
+        </div>
+        <div class="modalFooter">
+          <button class="btn btn-primary" id="exportClose">Done</button>
+        </div>
+      </div>
+    `;
+    document.body.appendChild(overlay);
+    document.body.classList.add("modal-open");
+
+    const metaEl = overlay.querySelector("#exportScopeMeta");
+    const resultEl = overlay.querySelector("#exportResult");
+    const renderMeta = ()=>{
+      const { mapped, skipped } = GEO_EXPORT.split(lists.get(current.key));
+      metaEl.textContent = `${mapped.length} with coordinates${skipped.length ? ` • ${skipped.length} without (skipped)` : ""}`;
+      overlay.querySelectorAll("[data-export-format]").forEach(b=>{ b.disabled = !mapped.length; });
+    };
+    renderMeta();
+
+    const close = ()=>{ overlay.remove(); document.body.classList.remove("modal-open"); };
+    overlay.addEventListener("click", (e)=>{ if(e.target===overlay) close(); });
+    overlay.querySelector("#exportClose").addEventListener("click", close);
+
+    overlay.querySelectorAll("[data-export-scope]").forEach(b=>{
+      b.addEventListener("click", ()=>{
+        current = available.find(s=>s.key===b.dataset.exportScope) || current;
+        overlay.querySelectorAll("[data-export-scope]").forEach(x=>x.classList.toggle("active", x===b));
+        resultEl.innerHTML = "";
+        renderMeta();
+      });
+    });
+
+    overlay.querySelectorAll("[data-export-format]").forEach(b=>{
+      b.addEventListener("click", ()=>{
+        let res;
+        try{
+          res = GEO_EXPORT.download(lists.get(current.key), b.dataset.exportFormat, { title: current.title || current.label });
+        }catch(e){
+          UI.showToast(e?.message || "Export failed.", "danger");
+          return;
+        }
+        if(!res.count){
+          UI.showToast("Nothing to export: none of these have coordinates.", "danger");
+          return;
+        }
+        resultEl.innerHTML = `
+          <div class="small"><b>${res.count}</b> destination${res.count===1?"":"s"} saved to <b>${escapeHtml(res.filename)}</b>.</div>
+          ${res.skipped.length ? `
+            <div class="small" style="margin-top:.5rem">Skipped ${res.skipped.length} without coordinates:</div>
+            <div class="small exportSkipped">
+              ${res.skipped.slice(0, SKIPPED_LIST_MAX).map(d=>`<div>${escapeHtml(d.name || d.id)}</div>`).join("")}
+              ${res.skipped.length > SKIPPED_LIST_MAX ? `<div style="opacity:.8">…and ${res.skipped.length - SKIPPED_LIST_MAX} more</div>` : ""}
+            </div>
+          ` : ""}
+          ${res.overLimit.length ? `
+            <div class="small" style="margin-top:.5rem">Left out ${res.overLimit.length} past the ${GEO_EXPORT.FORMATS[b.dataset.exportFormat].limit}-stop limit of this format:</div>
+            <div class="small exportSkipped">
+              ${res.overLimit.slice(0, SKIPPED_LIST_MAX).map(d=>`<div>${escapeHtml(d.name || d.id)}</div>`).join("")}
+              ${res.overLimit.length > SKIPPED_LIST_MAX ? `<div style="opacity:.8">…and ${res.overLimit.length - SKIPPED_LIST_MAX} more</div>` : ""}
+            </div>
+          ` : ""}
+        `;
+      });
+    });
+  }
+};
@@ -0,0 +1,69 @@
+// facilities.js
+// Canonical facility groups for filtering.
+//
+// The public submit form (submit.js FACILITY_OPTIONS) and the admin editor
+// (admin.js FACILITIES) use different wording for the same thing, so each
+// group lists every spelling that counts as a match.
+
+const FACILITY_GROUPS = [
+  { key:"overnight", label:"Overnight parking", icon:"🌙", aliases:["Overnight parking"] },
+  { key:"parking", label:"Driver parking", icon:"🅿️", aliases:["Driver parking","Driver parking area"] },
+  { key:"secure", label:"Secure parking", icon:"🔒", aliases:["Secure parking","Security gate"] },
+  { key:"showers", label:"Showers", icon:"🚿", aliases:["Showers"] },
+  { key:"toilets", label:"Toilets", icon:"🚻", aliases:["Restrooms","Restroom facilities","Toilet access"] },
+  { key:"food", label:"Canteen / food", icon:"🍽️", aliases:["Canteen","Canteen / food","Cafe nearby"] },
+  { key:"vending", label:"Vending", icon:"🥤", aliases:["Vending","Vending machines"] },
+  { key:"weighbridge", label:"Weighbridge", icon:"⚖️", aliases:["Weighbridge"] },
+  { key:"fuel", label:"Fuel", icon:"⛽", aliases:["Fuel nearby","Fuel station"] },
+  { key:"checkin", label:"Gate check-in", icon:"🛂", aliases:["Gate Check-In Office"] },
+  { key:"waiting", label:"Waiting room", icon:"🪑", aliases:["Waiting room"] }
+];
+
+const ALIAS_TO_KEY = new Map();
+for(const g of FACILITY_GROUPS){
+  for(const a of g.aliases) ALIAS_TO_KEY.set(a.toLowerCase(), g.key);
+}
+
+// "secure-parking" / "Toilet" -> "secure parking" / "toilets" style for loose lookups.
+const loose = (s)=> String(s || "").toLowerCase().replace(/[-_]+/g, " ").replace(/\s+/g, " ").trim().replace(/s$/, "");
+const LOOSE_TO_KEY = new Map();
+for(const g of FACILITY_GROUPS){
+  for(const name of [g.key, g.label, ...g.aliases]) LOOSE_TO_KEY.set(loose(name), g.key);
+}
+
+export const FACILITIES = {
+  GROUPS: FACILITY_GROUPS,
+
+  // Set of group keys a destination has.
+  keysOf(d){
+    const out = new Set();
+    for(const f of (d?.facilities || [])){
+      const key = ALIAS_TO_KEY.get(String(f).trim().toLowerCase());
+      if(key) out.add(key);
+    }
+    return out;
+  },
+
+  // Group key for a typed value ("toilets", "restroom", "secure-parking"), or null.
+  keyFor(value){
+    return LOOSE_TO_KEY.get(loose(value)) || null;
+  },
+
+  // Destinations that have every facility group in `keys`.
+  filter(destinations, keys){
+    if(!keys?.length) return destinations;
+    return destinations.filter(d=>{
+      const has = FACILITIES.keysOf(d);
+      return keys.every(k=>has.has(k));
+    });
+  },
+
+  // { key: number of destinations in `list` with that facility }
+  counts(list){
+    const out = Object.fromEntries(FACILITY_GROUPS.map(g=>[g.key, 0]));
+    for(const d of list){
+      for(const k of FACILITIES.keysOf(d)) out[k]++;
+    }
+    return out;
+  }
+};
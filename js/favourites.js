@@ -0,0 +1,131 @@
+// favourites.js
+// Named favourite lists ("Monday trunk", "Aldi run", …) of destination ids.
+//
+// Stored under CONFIG.STORAGE_KEYS.FAVOURITES as
+//   { version: 2, active: listId, lists: [{ id, name, ids: [destId, …] }] }
+// List and entry order is the user's own (it's also the .itn stop order).
+// The old flat id array is migrated by DB.getFavouriteLists().
+
+import { DB } from "./db.js";
+
+// Marker colours on the favourites map, by list position.
+const LIST_COLOURS = ["#ff9f2f", "#4da3ff", "#7ee2a0", "#ff6b8a", "#c58bff", "#ffd84d", "#4dd6d6", "#ff8a4d"];
+
+const MAX_NAME = 40;
+
+function load(){
+  return DB.getFavouriteLists();
+}
+
+function save(data){
+  DB.saveFavouriteLists(data);
+}
+
+function cleanName(name){
+  return String(name || "").replace(/\s+/g, " ").trim().slice(0, MAX_NAME);
+}
+
+function newListId(){
+  return `list-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`;
+}
+
+function activeOf(data){
+  return data.lists.find(l=>l.id===data.active) || data.lists[0];
+}
+
+export const FAVOURITES = {
+  LIST_COLOURS,
+
+  // [{ id, name, ids }] in display order.
+  lists(){
+    return load().lists;
+  },
+
+  colourOf(listId){
+    const i = load().lists.findIndex(l=>l.id===listId);
+    return LIST_COLOURS[Math.max(0, i) % LIST_COLOURS.length];
+  },
+
+  active(){
+    return activeOf(load());
+  },
+
+  setActive(listId){
+    const data = load();
+    if(!data.lists.some(l=>l.id===listId)) return;
+    data.active = listId;
+    save(data);
+  },
+
+  // New list (made active). Returns it, or null for a blank name.
+  create(name){
+    const n = cleanName(name);
+    if(!n) return null;
+    const data = load();
+    const list = { id: newListId(), name: n, ids: [] };
+    data.lists.push(list);
+    data.active = list.id;
+    save(data);
+    return list;
+  },
+
+  rename(listId, name){
+    const n = cleanName(name);
+    if(!n) return;
+    const data = load();
+    const list = data.lists.find(l=>l.id===listId);
+    if(!list) return;
+    list.name = n;
+    save(data);
+  },
+
+  // Removes a list; the last one left is emptied instead so there's always somewhere to save to.
+  remove(listId){
+    const data = load();
+    if(data.lists.length <= 1){
+      data.lists[0].ids = [];
+    }else{
+      data.lists = data.lists.filter(l=>l.id!==listId);
+      if(data.active === listId) data.active = data.lists[0].id;
+    }
+    save(data);
+  },
+
+  clear(listId){
+    const data = load();
+    const list = data.lists.find(l=>l.id===listId);
+    if(!list) return;
+    list.ids = [];
+    save(data);
+  },
+
+  has(destId, listId){
+    const data = load();
+    const list = listId ? data.lists.find(l=>l.id===listId) : activeOf(data);
+    return !!list && list.ids.includes(destId);
+  },
+
+  // Add to / remove from a list (the active one by default). Returns true when now in the list.
+  toggle(destId, listId){
+    const data = load();
+    const list = listId ? data.lists.find(l=>l.id===listId) : activeOf(data);
+    if(!list) return false;
+    const idx = list.ids.indexOf(destId);
+    if(idx >= 0) list.ids.splice(idx, 1);
+    else list.ids.push(destId);
+    save(data);
+    return idx < 0;
+  },
+
+  // Move an entry within its list by `delta` places (-1 = up, 1 = down).
+  move(listId, destId, delta){
+    const data = load();
+    const list = data.lists.find(l=>l.id===listId);
+    if(!list) return;
+    const from = list.ids.indexOf(destId);
+    const to = from + delta;
+    if(from < 0 || to < 0 || to >= list.ids.length) return;
+    list.ids.splice(to, 0, list.ids.splice(from, 1)[0]);
+    save(data);
+  }
+};
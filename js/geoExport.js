@@ -0,0 +1,124 @@
+// geoExport.js
+// Destinations -> GeoJSON / KML / GPX files for other mapping tools, and
+// TomTom .ov2 / .itn files for in-cab units (see tomtom.js).
+//
+// Every format carries name, address, category and gate info. Records without
+// coordinates can't be placed on a map, so they're left out and reported back.
+
+import { DEST } from "./destinations.js";
+import { TOMTOM } from "./tomtom.js";
+import { downloadFile } from "./utils.js";
+
+function xml(s){
+  return String(s ?? "").replace(/[<>&"']/g, c=>({ "<":"&lt;", ">":"&gt;", "&":"&amp;", '"':"&quot;", "'":"&apos;" }[c]));
+}
+
+function slug(s){
+  return String(s || "").toLowerCase().replace(/[^a-z0-9]+/g, "-").replace(/(^-|-$)/g, "") || "destinations";
+}
+
+// Plain-text description used by KML/GPX.
+function describe(d){
+  return [
+    d.address,
+    d.category ? `Category: ${d.category}` : "",
+    d.gateInfo ? `Gate: ${d.gateInfo}` : "",
+    d.hours && d.hours !== "Hours unknown" ? `Hours: ${d.hours}` : "",
+    d.notes ? `Notes: ${d.notes}` : ""
+  ].filter(Boolean).join("\n");
+}
+
+function toGeoJSON(list){
+  return JSON.stringify({
+    type: "FeatureCollection",
+    features: list.map(({d, pos})=>({
+      type: "Feature",
+      id: d.id,
+      geometry: { type:"Point", coordinates:[pos.lng, pos.lat] },
+      properties: {
+        id: d.id,
+        name: d.name || "",
+        address: d.address || "",
+        category: d.category || "",
+        gateInfo: d.gateInfo || "",
+        hours: d.hours || "",
+        notes: d.notes || "",
+        facilities: d.facilities || [],
+        tags: d.tags || []
+      }
+    }))
+  }, null, 2);
+}
+
+function toKML(list, {title}){
+  const data = (name, value)=> value ? `<Data name="${name}"><value>${xml(value)}</value></Data>` : "";
+  const placemarks = list.map(({d, pos})=>`    <Placemark id="${xml(d.id)}">
+      <name>${xml(d.name)}</name>
+      <address>${xml(d.address)}</address>
+      <description>${xml(describe(d))}</description>
+      <ExtendedData>${data("category", d.category)}${data("gateInfo", d.gateInfo)}${data("hours", d.hours)}</ExtendedData>
+      <Point><coordinates>${pos.lng},${pos.lat},0</coordinates></Point>
+    </Placemark>`).join("\n");
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<kml xmlns="http://www.opengis.net/kml/2.2">
+  <Document>
+    <name>${xml(title)}</name>
+${placemarks}
+  </Document>
+</kml>
+`;
+}
+
+function toGPX(list, {title}){
+  const wpts = list.map(({d, pos})=>`  <wpt lat="${pos.lat}" lon="${pos.lng}">
+    <name>${xml(d.name)}</name>
+    ${d.gateInfo ? `<cmt>${xml(`Gate: ${d.gateInfo}`)}</cmt>\n    ` : ""}<desc>${xml(describe(d))}</desc>
+    <type>${xml(d.category || "Destination")}</type>
+  </wpt>`).join("\n");
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<gpx version="1.1" creator="HGV Destinations Pro" xmlns="http://www.topografix.com/GPX/1/1">
+  <metadata><name>${xml(title)}</name><time>${new Date().toISOString()}</time></metadata>
+${wpts}
+</gpx>
+`;
+}
+
+// Formats offered by the export dialog. build(list, {title}) gets [{d, pos}] and returns file data.
+// `limit` caps how many points the format can hold (the rest are reported as left out).
+const FORMATS = {
+  geojson: { label:"GeoJSON", ext:"geojson", mime:"application/geo+json", build: toGeoJSON },
+  kml: { label:"KML (Google Earth)", ext:"kml", mime:"application/vnd.google-earth.kml+xml", build: toKML },
+  gpx: { label:"GPX", ext:"gpx", mime:"application/gpx+xml", build: toGPX },
+  ov2: { label:"TomTom POI (.ov2)", ext:"ov2", mime:"application/octet-stream", build: TOMTOM.toOV2 },
+  itn: { label:"TomTom itinerary (.itn)", ext:"itn", mime:"application/octet-stream", build: TOMTOM.toITN, limit: TOMTOM.ITN_MAX_STOPS }
+};
+
+export const GEO_EXPORT = {
+  FORMATS,
+
+  // { mapped: [{d, pos}], skipped: [d] } (records without coordinates are skipped)
+  split(destinations){
+    const mapped = [];
+    const skipped = [];
+    for(const d of destinations || []){
+      const pos = DEST.coordsOf(d);
+      if(pos) mapped.push({ d, pos });
+      else skipped.push(d);
+    }
+    return { mapped, skipped };
+  },
+
+  // Build and download one file.
+  // Returns { count, skipped: [d] (no coordinates), overLimit: [d] (past the format's limit), filename }.
+  download(destinations, format, {title = "HGV destinations"} = {}){
+    const f = FORMATS[format];
+    if(!f) throw new Error(`Unknown export format: ${format}`);
+    const { mapped, skipped } = GEO_EXPORT.split(destinations);
+    const kept = f.limit ? mapped.slice(0, f.limit) : mapped;
+    const overLimit = mapped.slice(kept.length).map(x=>x.d);
+    if(!kept.length) return { count:0, skipped, overLimit, filename:"" };
+    const filename = `${slug(title)}.${f.ext}`;
+    downloadFile(filename, f.build(kept, { title }), f.mime);
+    return { count: kept.length, skipped, overLimit, filename };
+  }
+};
@@ -0,0 +1,67 @@
+// history.js
+// Recently viewed destinations and submitted searches, newest first.
+//
+// Stored under CONFIG.STORAGE_KEYS.HISTORY as
+//   { viewed: [{ id, at }], searches: [{ q, at }] }
+// Repeats move to the top instead of being listed twice.
+
+import { DB } from "./db.js";
+
+// Caps on stored entries; the oldest are dropped first.
+const MAX_VIEWED = 30;
+const MAX_SEARCHES = 20;
+
+function push(list, entry, same, max){
+  return [entry, ...list.filter(x=>x && !same(x))].slice(0, max);
+}
+
+export const HISTORY = {
+  MAX_VIEWED,
+  MAX_SEARCHES,
+
+  recordView(id){
+    if(!id) return;
+    const h = DB.getHistory();
+    h.viewed = push(h.viewed, { id, at: Date.now() }, x=>x.id===id, MAX_VIEWED);
+    DB.saveHistory(h);
+  },
+
+  recordSearch(query){
+    const q = String(query || "").replace(/\s+/g, " ").trim();
+    if(q.length < 2) return;
+    const h = DB.getHistory();
+    const key = q.toLowerCase();
+    h.searches = push(h.searches, { q, at: Date.now() }, x=>String(x.q).toLowerCase()===key, MAX_SEARCHES);
+    DB.saveHistory(h);
+  },
+
+  // [{ id, at }]
+  viewed(){
+    return DB.getHistory().viewed.filter(x=>x && typeof x.id === "string");
+  },
+
+  // [{ q, at }]
+  searches(){
+    return DB.getHistory().searches.filter(x=>x && typeof x.q === "string");
+  },
+
+  removeView(id){
+    const h = DB.getHistory();
+    h.viewed = h.viewed.filter(x=>x && x.id!==id);
+    DB.saveHistory(h);
+  },
+
+  removeSearch(q){
+    const h = DB.getHistory();
+    h.searches = h.searches.filter(x=>x && x.q!==q);
+    DB.saveHistory(h);
+  },
+
+  // kind: "viewed" | "searches" | undefined (both)
+  clear(kind){
+    const h = DB.getHistory();
+    if(!kind || kind === "viewed") h.viewed = [];
+    if(!kind || kind === "searches") h.searches = [];
+    DB.saveHistory(h);
+  }
+};
@@ -0,0 +1,271 @@
+// holidays.js
+// UK bank holidays + per-destination dated hours exceptions.
+//
+// A destination can carry:
+//   hoursExceptions: [{ date:"2026-12-24", closed:false, hours:"06:00–14:00", note:"Christmas Eve" }]
+//   bankHolidayHours: "" (not confirmed) | "normal" | "closed" | "08:00–14:00"
+//   holidayRegion: optional override of the region derived from the postcode
+// A dated exception always wins over the bank-holiday rule for that day.
+
+import { HOURS } from "./hours.js";
+import { POSTCODES } from "./postcodes.js";
+import { isoDate } from "./utils.js";
+
+// gov.uk bank holidays (substitute days applied), 2025–2030.
+const BANK_HOLIDAYS = {
+  "england-wales": {
+    "2025-01-01": "New Year's Day",
+    "2025-04-18": "Good Friday",
+    "2025-04-21": "Easter Monday",
+    "2025-05-05": "Early May bank holiday",
+    "2025-05-26": "Spring bank holiday",
+    "2025-08-25": "Summer bank holiday",
+    "2025-12-25": "Christmas Day",
+    "2025-12-26": "Boxing Day",
+    "2026-01-01": "New Year's Day",
+    "2026-04-03": "Good Friday",
+    "2026-04-06": "Easter Monday",
+    "2026-05-04": "Early May bank holiday",
+    "2026-05-25": "Spring bank holiday",
+    "2026-08-31": "Summer bank holiday",
+    "2026-12-25": "Christmas Day",
+    "2026-12-28": "Boxing Day (substitute day)",
+    "2027-01-01": "New Year's Day",
+    "2027-03-26": "Good Friday",
+    "2027-03-29": "Easter Monday",
+    "2027-05-03": "Early May bank holiday",
+    "2027-05-31": "Spring bank holiday",
+    "2027-08-30": "Summer bank holiday",
+    "2027-12-27": "Christmas Day (substitute day)",
+    "2027-12-28": "Boxing Day (substitute day)",
+    "2028-01-03": "New Year's Day (substitute day)",
+    "2028-04-14": "Good Friday",
+    "2028-04-17": "Easter Monday",
+    "2028-05-01": "Early May bank holiday",
+    "2028-05-29": "Spring bank holiday",
+    "2028-08-28": "Summer bank holiday",
+    "2028-12-25": "Christmas Day",
+    "2028-12-26": "Boxing Day",
+    "2029-01-01": "New Year's Day",
+    "2029-03-30": "Good Friday",
+    "2029-04-02": "Easter Monday",
+    "2029-05-07": "Early May bank holiday",
+    "2029-05-28": "Spring bank holiday",
+    "2029-08-27": "Summer bank holiday",
+    "2029-12-25": "Christmas Day",
+    "2029-12-26": "Boxing Day",
+    "2030-01-01": "New Year's Day",
+    "2030-04-19": "Good Friday",
+    "2030-04-22": "Easter Monday",
+    "2030-05-06": "Early May bank holiday",
+    "2030-05-27": "Spring bank holiday",
+    "2030-08-26": "Summer bank holiday",
+    "2030-12-25": "Christmas Day",
+    "2030-12-26": "Boxing Day"
+  },
+  "scotland": {
+    "2025-01-01": "New Year's Day",
+    "2025-01-02": "2nd January",
+    "2025-04-18": "Good Friday",
+    "2025-05-05": "Early May bank holiday",
+    "2025-05-26": "Spring bank holiday",
+    "2025-08-04": "Summer bank holiday",
+    "2025-12-01": "St Andrew's Day (substitute day)",
+    "2025-12-25": "Christmas Day",
+    "2025-12-26": "Boxing Day",
+    "2026-01-01": "New Year's Day",
+    "2026-01-02": "2nd January",
+    "2026-04-03": "Good Friday",
+    "2026-05-04": "Early May bank holiday",
+    "2026-05-25": "Spring bank holiday",
+    "2026-08-03": "Summer bank holiday",
+    "2026-11-30": "St Andrew's Day",
+    "2026-12-25": "Christmas Day",
+    "2026-12-28": "Boxing Day (substitute day)",
+    "2027-01-01": "New Year's Day",
+    "2027-01-04": "2nd January (substitute day)",
+    "2027-03-26": "Good Friday",
+    "2027-05-03": "Early May bank holiday",
+    "2027-05-31": "Spring bank holiday",
+    "2027-08-02": "Summer bank holiday",
+    "2027-11-30": "St Andrew's Day",
+    "2027-12-27": "Christmas Day (substitute day)",
+    "2027-12-28": "Boxing Day (substitute day)",
+    "2028-01-03": "New Year's Day (substitute day)",
+    "2028-01-04": "2nd January (substitute day)",
+    "2028-04-14": "Good Friday",
+    "2028-05-01": "Early May bank holiday",
+    "2028-05-29": "Spring bank holiday",
+    "2028-08-07": "Summer bank holiday",
+    "2028-11-30": "St Andrew's Day",
+    "2028-12-25": "Christmas Day",
+    "2028-12-26": "Boxing Day",
+    "2029-01-01": "New Year's Day",
+    "2029-01-02": "2nd January",
+    "2029-03-30": "Good Friday",
+    "2029-05-07": "Early May bank holiday",
+    "2029-05-28": "Spring bank holiday",
+    "2029-08-06": "Summer bank holiday",
+    "2029-11-30": "St Andrew's Day",
+    "2029-12-25": "Christmas Day",
+    "2029-12-26": "Boxing Day",
+    "2030-01-01": "New Year's Day",
+    "2030-01-02": "2nd January",
+    "2030-04-19": "Good Friday",
+    "2030-05-06": "Early May bank holiday",
+    "2030-05-27": "Spring bank holiday",
+    "2030-08-05": "Summer bank holiday",
+    "2030-12-02": "St Andrew's Day (substitute day)",
+    "2030-12-25": "Christmas Day",
+    "2030-12-26": "Boxing Day"
+  },
+  "northern-ireland": {
+    "2025-01-01": "New Year's Day",
+    "2025-03-17": "St Patrick's Day",
+    "2025-04-18": "Good Friday",
+    "2025-04-21": "Easter Monday",
+    "2025-05-05": "Early May bank holiday",
+    "2025-05-26": "Spring bank holiday",
+    "2025-07-14": "Battle of the Boyne (Orangemen's Day) (substitute day)",
+    "2025-08-25": "Summer bank holiday",
+    "2025-12-25": "Christmas Day",
+    "2025-12-26": "Boxing Day",
+    "2026-01-01": "New Year's Day",
+    "2026-03-17": "St Patrick's Day",
+    "2026-04-03": "Good Friday",
+    "2026-04-06": "Easter Monday",
+    "2026-05-04": "Early May bank holiday",
+    "2026-05-25": "Spring bank holiday",
+    "2026-07-13": "Battle of the Boyne (Orangemen's Day) (substitute day)",
+    "2026-08-31": "Summer bank holiday",
+    "2026-12-25": "Christmas Day",
+    "2026-12-28": "Boxing Day (substitute day)",
+    "2027-01-01": "New Year's Day",
+    "2027-03-17": "St Patrick's Day",
+    "2027-03-26": "Good Friday",
+    "2027-03-29": "Easter Monday",
+    "2027-05-03": "Early May bank holiday",
+    "2027-05-31": "Spring bank holiday",
+    "2027-07-12": "Battle of the Boyne (Orangemen's Day)",
+    "2027-08-30": "Summer bank holiday",
+    "2027-12-27": "Christmas Day (substitute day)",
+    "2027-12-28": "Boxing Day (substitute day)",
+    "2028-01-03": "New Year's Day (substitute day)",
+    "2028-03-17": "St Patrick's Day",
+    "2028-04-14": "Good Friday",
+    "2028-04-17": "Easter Monday",
+    "2028-05-01": "Early May bank holiday",
+    "2028-05-29": "Spring bank holiday",
+    "2028-07-12": "Battle of the Boyne (Orangemen's Day)",
+    "2028-08-28": "Summer bank holiday",
+    "2028-12-25": "Christmas Day",
+    "2028-12-26": "Boxing Day",
+    "2029-01-01": "New Year's Day",
+    "2029-03-19": "St Patrick's Day (substitute day)",
+    "2029-03-30": "Good Friday",
+    "2029-04-02": "Easter Monday",
+    "2029-05-07": "Early May bank holiday",
+    "2029-05-28": "Spring bank holiday",
+    "2029-07-12": "Battle of the Boyne (Orangemen's Day)",
+    "2029-08-27": "Summer bank holiday",
+    "2029-12-25": "Christmas Day",
+    "2029-12-26": "Boxing Day",
+    "2030-01-01": "New Year's Day",
+    "2030-03-18": "St Patrick's Day (substitute day)",
+    "2030-04-19": "Good Friday",
+    "2030-04-22": "Easter Monday",
+    "2030-05-06": "Early May bank holiday",
+    "2030-05-27": "Spring bank holiday",
+    "2030-07-12": "Battle of the Boyne (Orangemen's Day)",
+    "2030-08-26": "Summer bank holiday",
+    "2030-12-25": "Christmas Day",
+    "2030-12-26": "Boxing Day"
+  }
+};
+
+const REGIONS = [
+  { value:"england-wales", label:"England & Wales" },
+  { value:"scotland", label:"Scotland" },
+  { value:"northern-ireland", label:"Northern Ireland" }
+];
+
+const SCOTTISH_AREAS = new Set(["AB","DD","DG","EH","FK","G","HS","IV","KA","KW","KY","ML","PA","PH","TD","ZE"]);
+
+// How far ahead "next exception" looks.
+const LOOKAHEAD_DAYS = 60;
+
+function addDays(date, n){
+  const d = new Date(date.getFullYear(), date.getMonth(), date.getDate());
+  d.setDate(d.getDate() + n);
+  return d;
+}
+
+export const HOLIDAYS = {
+  REGIONS,
+
+  // Region for a destination: explicit override, else from its postcode area.
+  regionFor(d){
+    if(REGIONS.some(r=>r.value === d?.holidayRegion)) return d.holidayRegion;
+    const pc = POSTCODES.extract(d?.address)[0] || "";
+    const area = (pc.match(/^[A-Z]+/) || [""])[0];
+    if(area === "BT") return "northern-ireland";
+    if(SCOTTISH_AREAS.has(area)) return "scotland";
+    return "england-wales";
+  },
+
+  regionLabel(region){
+    return REGIONS.find(r=>r.value === region)?.label || region;
+  },
+
+  // Bank holiday name on an ISO date ("" if none).
+  bankHolidayOn(region, iso){
+    return BANK_HOLIDAYS[region]?.[iso] || "";
+  },
+
+  // What applies on one ISO date, or null when the regular weekly hours do.
+  // { date, title, spans (null = not confirmed, [] = closed), label, source:"custom"|"bank" }
+  exceptionOn(d, iso){
+    const custom = (d?.hoursExceptions || []).find(x=>x.date === iso);
+    if(custom){
+      const spans = custom.closed ? [] : HOURS.parseDayHours(custom.hours);
+      return {
+        date: iso,
+        title: custom.note || "Special hours",
+        spans,
+        label: custom.closed ? "Closed" : (spans ? (custom.hours || "").trim() : "Hours vary"),
+        source: "custom"
+      };
+    }
+    const bank = HOLIDAYS.bankHolidayOn(HOLIDAYS.regionFor(d), iso);
+    if(!bank) return null;
+    const rule = String(d?.bankHolidayHours || "").trim();
+    if(rule === "normal") return null;
+    const spans = rule === "closed" ? [] : (rule ? HOURS.parseDayHours(rule) : null);
+    return {
+      date: iso,
+      title: bank,
+      spans,
+      label: rule === "closed" ? "Closed" : (spans ? rule : "Hours not confirmed"),
+      source: "bank"
+    };
+  },
+
+  // Open status for list/detail badges, with exceptions applied.
+  statusOf(d, now = new Date()){
+    return HOURS.status(HOURS.specFor(d), now, (iso)=> HOLIDAYS.exceptionOn(d, iso));
+  },
+
+  // Upcoming exceptions (today onwards), soonest first.
+  upcoming(d, {from = new Date(), days = LOOKAHEAD_DAYS, limit = 5} = {}){
+    const out = [];
+    for(let i=0; i<=days && out.length < limit; i++){
+      const ex = HOLIDAYS.exceptionOn(d, isoDate(addDays(from, i)));
+      if(ex) out.push(ex);
+    }
+    return out;
+  },
+
+  next(d, opts){
+    return HOLIDAYS.upcoming(d, {...opts, limit:1})[0] || null;
+  }
+};
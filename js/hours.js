@@ -0,0 +1,273 @@
+// hours.js
+// Structured weekly opening hours + "open now" evaluation.
+//
+// `hours` stays the human-readable string; `hoursSpec` is stored next to it:
+//   { source: "Mon 06:00–18:00; Sat Closed", days: { Mon: [["06:00","18:00"]], Sat: [] } }
+// A missing day means "unknown", [] means closed, ["00:00","24:00"] is 24h.
+// A span whose close is at/before its open (22:00–06:00) runs into the next day.
+
+import { isoDate } from "./utils.js";
+
+const DAYS = ["Mon","Tue","Wed","Thu","Fri","Sat","Sun"];
+const DAY_MIN = 1440;
+// Status looks this many days ahead for the next opening.
+const WINDOW_DAYS = 7;
+
+// "Closes in …" is shown instead of "Open now" inside this window.
+const CLOSING_SOON_MIN = 60;
+
+const DAY_ALIASES = {
+  mon:0, monday:0,
+  tue:1, tues:1, tuesday:1,
+  wed:2, weds:2, wednesday:2,
+  thu:3, thur:3, thurs:3, thursday:3,
+  fri:4, friday:4,
+  sat:5, saturday:5,
+  sun:6, sunday:6
+};
+const DAY_GROUPS = {
+  daily: [0,1,2,3,4,5,6],
+  "every day": [0,1,2,3,4,5,6],
+  weekdays: [0,1,2,3,4],
+  weekends: [5,6],
+  weekend: [5,6]
+};
+
+const TIME_RANGE_RE = /(\d{1,2})(?:[:.](\d{2}))?\s*(am|pm)?\s*-\s*(\d{1,2})(?:[:.](\d{2}))?\s*(am|pm)?/gi;
+const ALWAYS_RE = /^(open\s*)?(24\s*\/\s*7|24\s*-\s*7|24\s*hours?(\s*a\s*day)?|24\s*hrs?|24h)$/i;
+
+function pad2(n){ return String(n).padStart(2, "0"); }
+
+function toMinutes(hhmm){
+  const [h, m] = String(hhmm).split(":").map(Number);
+  return h * 60 + (m || 0);
+}
+
+function fromMinutes(min){
+  const m = ((min % DAY_MIN) + DAY_MIN) % DAY_MIN;
+  return `${pad2(Math.floor(m / 60))}:${pad2(m % 60)}`;
+}
+
+function clockTime(h, m, ampm){
+  let hour = Number(h);
+  const min = Number(m || 0);
+  if(ampm){
+    const pm = ampm.toLowerCase() === "pm";
+    if(hour === 12) hour = pm ? 12 : 0;
+    else if(pm) hour += 12;
+  }
+  if(hour > 24 || min > 59 || (hour === 24 && min)) return null;
+  return `${pad2(hour)}:${pad2(min)}`;
+}
+
+// "Mon–Fri", "Sat & Sun", "Weekdays", "Mon, Wed" -> [0..6] (or null if it isn't a day list)
+function parseDays(s){
+  const txt = s.toLowerCase().replace(/\s+/g, " ").trim();
+  if(!txt) return null;
+  if(DAY_GROUPS[txt]) return DAY_GROUPS[txt];
+  const out = new Set();
+  for(const part of txt.split(/\s*(?:,|&|\band\b|\/)\s*/)){
+    if(!part) continue;
+    const range = part.split(/\s*(?:-|\bto\b)\s*/);
+    if(range.length === 2 && range[0] in DAY_ALIASES && range[1] in DAY_ALIASES){
+      const a = DAY_ALIASES[range[0]];
+      const b = DAY_ALIASES[range[1]];
+      for(let i=a; ; i=(i+1)%7){ out.add(i); if(i===b) break; }
+    }else if(part in DAY_ALIASES){
+      out.add(DAY_ALIASES[part]);
+    }else if(DAY_GROUPS[part]){
+      DAY_GROUPS[part].forEach(i=>out.add(i));
+    }else{
+      return null;
+    }
+  }
+  return out.size ? [...out].sort() : null;
+}
+
+// Time part of a segment: "Closed", "24h", "06:00–18:00", "06:00-12:00, 13:00-18:00"
+function parseSpans(s){
+  const txt = s.trim();
+  if(/^closed$/i.test(txt)) return [];
+  if(/^(24\s*h(ou)?rs?|24h|open\s*24(\s*h(ou)?rs?)?|24\s*hours?)$/i.test(txt)) return [["00:00","24:00"]];
+  const spans = [];
+  for(const m of txt.matchAll(TIME_RANGE_RE)){
+    const open = clockTime(m[1], m[2], m[3] || m[6]);
+    let close = clockTime(m[4], m[5], m[6]);
+    if(!open || !close) return null;
+    // The admin grid writes 23:59 for "until midnight".
+    if(close === "23:59") close = "24:00";
+    if(open === "00:00" && close === "00:00") close = "24:00";
+    spans.push([open, close]);
+  }
+  return spans.length ? spans : null;
+}
+
+// Spans for each day of the window around `now` (yesterday .. a week ahead),
+// with dated overrides applied. null = unknown for that day.
+function windowDays(spec, now, dayOverride){
+  const out = [];
+  for(let off=-1; off<=WINDOW_DAYS; off++){
+    const date = new Date(now.getFullYear(), now.getMonth(), now.getDate() + off);
+    const ov = dayOverride ? dayOverride(isoDate(date)) : null;
+    out.push({
+      off,
+      day: DAYS[(date.getDay() + 6) % 7],
+      spans: ov ? ov.spans : (spec?.days?.[DAYS[(date.getDay() + 6) % 7]] ?? null),
+      override: ov || null
+    });
+  }
+  return out;
+}
+
+// Merged [start, end) minute intervals relative to today's midnight
+// (overnight spans extend into the next day).
+function intervalsOf(days){
+  const all = [];
+  for(const {off, spans} of days){
+    for(const [o, c] of (spans || [])){
+      const start = off * DAY_MIN + toMinutes(o);
+      let end = off * DAY_MIN + toMinutes(c);
+      if(end <= start) end += DAY_MIN;
+      all.push([start, end]);
+    }
+  }
+  all.sort((a,b)=>a[0]-b[0]);
+  const merged = [];
+  for(const iv of all){
+    const last = merged[merged.length - 1];
+    if(last && iv[0] <= last[1]) last[1] = Math.max(last[1], iv[1]);
+    else merged.push([...iv]);
+  }
+  return merged;
+}
+
+const is24 = (spans)=> spans?.length === 1 && spans[0][0] === "00:00" && spans[0][1] === "24:00";
+
+// Spec cache for records whose stored spec is missing or stale.
+const _specs = new WeakMap();
+
+export const HOURS = {
+  DAYS,
+
+  // Display string -> spec (null when it's empty/"Hours unknown"/unreadable).
+  parse(str){
+    const source = String(str || "").trim();
+    const txt = source
+      .replace(/[\u2010-\u2015\u2212]/g, "-")
+      .replace(/\s+/g, " ")
+      .trim();
+    if(!txt || /^hours unknown$/i.test(txt)) return null;
+    if(ALWAYS_RE.test(txt)) return { source, days: Object.fromEntries(DAYS.map(d=>[d, [["00:00","24:00"]]])) };
+
+    const days = {};
+    // Segments are split on ";" / new lines, or on "," when a new day list starts.
+    const segments = txt.split(/\s*(?:;|\n|,(?=\s*(?:mon|tue|wed|thu|fri|sat|sun|daily|weekdays|weekends?|every)))\s*/i);
+    for(const seg of segments){
+      if(!seg) continue;
+      const m = seg.match(/^([a-z][a-z ,&/-]*?)\s*:?\s*((?:closed|24|open|\d).*)$/i);
+      let dayIdx;
+      let rest;
+      if(m && parseDays(m[1])){
+        dayIdx = parseDays(m[1]);
+        rest = m[2];
+      }else if(/^\d/.test(seg)){
+        dayIdx = DAY_GROUPS.daily;
+        rest = seg;
+      }else{
+        return null;
+      }
+      const spans = parseSpans(rest);
+      if(!spans) return null;
+      for(const i of dayIdx) days[DAYS[i]] = spans.map(s=>[...s]);
+    }
+    return Object.keys(days).length ? { source, days } : null;
+  },
+
+  // Spec -> display string in the admin grid's format.
+  format(spec){
+    if(!spec?.days) return "Hours unknown";
+    if(DAYS.every(d=>is24(spec.days[d]))) return "24/7";
+    return DAYS.filter(d=>spec.days[d]).map(d=>{
+      const spans = spec.days[d];
+      if(!spans.length) return `${d} Closed`;
+      if(is24(spans)) return `${d} 24h`;
+      return `${d} ${spans.map(([o, c])=>`${o}–${c === "24:00" ? "00:00" : c}`).join(", ")}`;
+    }).join("; ");
+  },
+
+  // Record with `hoursSpec` refreshed from its `hours` string.
+  withSpec(d){
+    const spec = HOURS.parse(d?.hours);
+    const next = { ...d };
+    if(spec) next.hoursSpec = spec;
+    else delete next.hoursSpec;
+    return next;
+  },
+
+  // The record's spec, re-parsed when the stored one doesn't match `hours`.
+  specFor(d){
+    if(!d) return null;
+    const src = String(d.hours || "").trim();
+    if(d.hoursSpec?.days && d.hoursSpec.source === src) return d.hoursSpec;
+    if(_specs.has(d)) return _specs.get(d);
+    const spec = HOURS.parse(src);
+    _specs.set(d, spec);
+    return spec;
+  },
+
+  // { state: "open" | "closing" | "closed" | "unknown", label, minutes, override }
+  // `minutes` is the time until the next change (close or open), when known.
+  // `dayOverride(iso)` may return { spans, title } for dated exceptions (see holidays.js).
+  status(spec, now = new Date(), dayOverride = null){
+    const days = windowDays(spec, now, dayOverride);
+    const today = days[1];
+    const override = today.override;
+    if(!spec?.days && !days.some(x=>x.override)){
+      return { state:"unknown", label:"Hours unknown", minutes:null, override:null };
+    }
+    const ivs = intervalsOf(days);
+    const m = now.getHours() * 60 + now.getMinutes();
+    const cur = ivs.find(([s, e])=>s <= m && m < e);
+    if(cur){
+      const left = cur[1] - m;
+      // Open until a day whose hours we don't know (a weekday missing from the spec,
+      // an unconfirmed holiday) or past the window: there's no closing time to count down to.
+      const endOff = cur[1] / DAY_MIN;
+      const openEnded = cur[1] >= (WINDOW_DAYS + 1) * DAY_MIN || (Number.isInteger(endOff) && !days[endOff + 1].spans);
+      if(openEnded){
+        const always = (cur[0] <= -DAY_MIN && cur[1] >= (WINDOW_DAYS + 1) * DAY_MIN) || DAYS.every(d=>is24(spec?.days?.[d]));
+        return { state:"open", label: always ? "Open 24/7" : "Open now", minutes:null, override };
+      }
+      if(left <= CLOSING_SOON_MIN) return { state:"closing", label:`Closes in ${left} min`, minutes:left, override };
+      return { state:"open", label:"Open now", minutes:left, override };
+    }
+
+    if(!today.spans) return { state:"unknown", label:override ? `${override.title}: hours not confirmed` : "Hours unknown today", minutes:null, override };
+
+    const next = ivs.find(([s])=>s > m);
+    const closedAllDay = !!override && !override.spans?.length;
+    const closedLabel = closedAllDay ? `Closed for ${override.title}` : "Closed now";
+    if(!next) return { state:"closed", label:closedLabel, minutes:null, override };
+    // Don't promise a reopening time past a day whose hours we don't know.
+    const nextDay = Math.floor(next[0] / DAY_MIN);
+    if(days.some(x=>x.off > 0 && x.off <= nextDay && !x.spans)) return { state:"closed", label:closedLabel, minutes:null, override };
+    const at = fromMinutes(next[0]);
+    let label;
+    if(nextDay === 0) label = `Opens at ${at}`;
+    else if(nextDay === 1) label = `Opens tomorrow ${at}`;
+    else label = `Opens ${days[nextDay + 1].day} ${at}`;
+    if(closedAllDay) label = `Closed for ${override.title} • ${label.charAt(0).toLowerCase()}${label.slice(1)}`;
+    return { state:"closed", label, minutes:next[0] - m, override };
+  },
+
+  // Spans for a single day's hours text ("Closed", "24h", "08:00–14:00"), or null.
+  parseDayHours(str){
+    const txt = String(str || "").replace(/[\u2010-\u2015\u2212]/g, "-").replace(/\s+/g, " ").trim();
+    return txt ? parseSpans(txt) : null;
+  },
+
+  // CSS modifier for a status badge (see destinations.css).
+  badgeClass(state){
+    return { open:"hoursOpen", closing:"hoursClosing", closed:"hoursClosed" }[state] || "";
+  }
+};
@@ -1,12 +1,41 @@
 import { UI } from "./ui.js";
 import { BridgesStore } from "./bridgesStore.js";
-import { debounce, escapeHtml } from "./utils.js";
+import { debounce, escapeHtml, fmtDistance, haversineKm } from "./utils.js";
+import { VEHICLE } from "./vehicle.js";
+import { DB } from "./db.js";
+import { BRIDGE_IMPORT } from "./bridgeImport.js";
 
 let __bridgeMap = null;
 let __bridgeLayer = null;
 let __userLayer = null;
-let __bridges = [];
 let __selected = null; // bridge id
+let __onlyLow = false; // list/map only bridges too low (or tight) for the active vehicle
+let __watchId = null;
+let __locationError = null; // why the last position watch failed; cleared by the next fix
+
+// Map clustering: below CLUSTER_MAX_ZOOM bridges are bucketed into GRID_PX screen
+// cells. Only bridges inside the (padded) view are read from the tile index and
+// drawn, redone on every moveend, and layers that are still wanted stay put so
+// open popups survive a pan.
+const GRID_PX = 64;
+const CLUSTER_MAX_ZOOM = 15;
+const VIEW_PAD = 0.25;
+let __inView = [];         // stored bridges in the padded view (any filter)
+let __viewSeq = 0;         // drops view queries overtaken by a newer pan
+let __listSeq = 0;         // same for list refreshes
+const __drawn = new Map(); // layer key -> Leaflet layer on the map
+
+// Driving alerts: warn about bridges ahead that the active vehicle won't fit under.
+const ALERT_DISTANCES_M = [300, 500, 800, 1200, 2000];
+// Bridges within this many degrees either side of the direction of travel count as "ahead".
+const AHEAD_CONE_DEG = 40;
+// The same bridge isn't announced again within this long.
+const ALERT_COOLDOWN_MS = 10 * 60_000;
+// Without a GPS heading, travel direction comes from fixes at least this far apart.
+const MIN_TRACK_MOVE_M = 15;
+const __alerted = new Map(); // bridge id -> last alert time
+let __trackFrom = null;      // earlier fix used to derive the heading
+let __alertCheckBusy = false; // a store lookup is still running for the previous fix
 
 function hasLeaflet(){
   return typeof window !== "undefined" && typeof window.L !== "undefined";
@@ -16,43 +45,6 @@ function normalizeStr(s){
   return (s||"").toString().trim().toLowerCase();
 }
 
-function parseMaxheight(raw){
-  const s = (raw||"").toString().trim();
-  if(!s) return { raw:"", m:null, ft:null, inch:null };
-  // Common patterns:
-  // "4.2 m", "4.2m", "13'6"", "13 ft 6 in", "13-6", "13' 6"
-  let m = null, ft = null, inch = null;
-
-  const mMatch = s.match(/(\d+(?:\.\d+)?)\s*m\b/i);
-  if(mMatch){
-    m = parseFloat(mMatch[1]);
-  }
-
-  const ftInMatch = s.match(/(\d+)\s*(?:ft|')\s*(\d+)?\s*(?:in|\")?/i);
-  if(ftInMatch){
-    ft = parseInt(ftInMatch[1],10);
-    inch = ftInMatch[2] ? parseInt(ftInMatch[2],10) : 0;
-  } else {
-    // "13-6"
-    const dash = s.match(/^(\d+)\s*[-–]\s*(\d+)$/);
-    if(dash){
-      ft = parseInt(dash[1],10);
-      inch = parseInt(dash[2],10);
-    }
-  }
-
-  if(m==null && ft!=null){
-    m = ((ft*12 + (inch||0)) * 0.0254);
-  }
-  if(m!=null && ft==null){
-    const totalIn = m / 0.0254;
-    ft = Math.floor(totalIn/12);
-    inch = Math.round(totalIn - ft*12);
-  }
-
-  return { raw:s, m: (m!=null && isFinite(m)) ? Math.round(m*100)/100 : null, ft, inch };
-}
-
 function heightLabel(b){
   if(b?.height_m!=null) return `${b.height_m} m`;
   if(b?.height_ft!=null) return `${b.height_ft}'${String(b.height_in||0).padStart(2,"0")}"`;
@@ -60,10 +52,16 @@ function heightLabel(b){
   return "Height unknown";
 }
 
+// "low" / "tight" against the active vehicle profile ("" when fine or unknown).
+function vehicleClass(b, v = VEHICLE.active()){
+  const c = VEHICLE.bridgeCheck(b, v);
+  return c === "low" || c === "tight" ? c : "";
+}
+
 function bridgeIconHtml(b){
   const h = heightLabel(b);
   return `
-    <div class="bridge-marker">
+    <div class="bridge-marker ${vehicleClass(b)}">
       <div class="bridge-marker-top"></div>
       <div class="bridge-marker-label">${h}</div>
     </div>
@@ -101,6 +99,8 @@ function destroyMap(){
   }catch(_e){}
   __bridgeLayer = null;
   __userLayer = null;
+  __drawn.clear();
+  __inView = [];
 }
 
 function fitToUK(){
@@ -108,11 +108,13 @@ function fitToUK(){
   __bridgeMap.fitBounds([[49.8,-8.6],[60.9,1.9]]);
 }
 
+// Moves the "you are here" dot when there's a map, and feeds driving alerts
+// either way (they still work when the map can't load offline).
 function initUserLocation(){
-  if(!__bridgeMap || !__userLayer) return;
   if(!navigator.geolocation) return;
+  const hasMap = !!(__bridgeMap && __userLayer);
 
-  const userLocationIcon = L.divIcon({
+  const userLocationIcon = hasMap && L.divIcon({
     className: "",
     html: `
       <div class="user-location-marker">
@@ -130,7 +132,7 @@ function initUserLocation(){
   let follow = false;
 
   const btn = document.getElementById("bridgesCentreMe");
-  if(btn){
+  if(btn && hasMap){
     btn.onclick = async (e) => {
       e.preventDefault();
       e.stopPropagation();
@@ -148,10 +150,19 @@ function initUserLocation(){
     };
   }
 
-  navigator.geolocation.watchPosition((pos)=>{
+  if(__watchId != null) navigator.geolocation.clearWatch(__watchId);
+  // A restarted watch draws its own marker on the next fix.
+  if(hasMap) __userLayer.clearLayers();
+  __watchId = navigator.geolocation.watchPosition((pos)=>{
+    if(__locationError){
+      __locationError = null;
+      renderAlertControls(false);
+    }
     const lat = pos.coords.latitude;
     const lng = pos.coords.longitude;
     const heading = (pos.coords.heading != null && isFinite(pos.coords.heading)) ? pos.coords.heading : null;
+    checkBridgesAhead({lat,lng}, heading);
+    if(!hasMap) return;
 
     last = {lat,lng,heading};
     if(!marker){
@@ -167,37 +178,333 @@ function initUserLocation(){
     if(follow){
       __bridgeMap.panTo([lat,lng], { animate:true, duration:0.6 });
     }
-  }, ()=>{}, { enableHighAccuracy:true, maximumAge:4000, timeout:20000 });
+  }, (err)=>{
+    // Timeouts repeat while the watch keeps trying, so only the first failure is announced.
+    if(__locationError) return;
+    __locationError = err?.code === 1 ? "location permission denied" : "no location";
+    if(DB.getSettings().bridgeAlerts) UI.showToast(`Low bridge alerts not working: ${__locationError}`, "danger", 5000);
+    renderAlertControls(false);
+  }, { enableHighAccuracy:true, maximumAge:4000, timeout:20000 });
+}
+
+function bearingDeg(a, b){
+  const toRad = (deg) => (deg * Math.PI) / 180;
+  const y = Math.sin(toRad(b.lng - a.lng)) * Math.cos(toRad(b.lat));
+  const x = Math.cos(toRad(a.lat)) * Math.sin(toRad(b.lat)) - Math.sin(toRad(a.lat)) * Math.cos(toRad(b.lat)) * Math.cos(toRad(b.lng - a.lng));
+  return (Math.atan2(y, x) * 180 / Math.PI + 360) % 360;
+}
+
+function angleDiff(a, b){
+  const d = Math.abs(a - b) % 360;
+  return d > 180 ? 360 - d : d;
+}
+
+// Direction of travel: the GPS heading, else the bearing from an earlier fix (null until we've moved).
+function travelHeading(here, gpsHeading){
+  if(gpsHeading != null) return gpsHeading;
+  if(!__trackFrom){
+    __trackFrom = { ...here, heading:null };
+    return null;
+  }
+  if(haversineKm(__trackFrom, here) * 1000 >= MIN_TRACK_MOVE_M){
+    __trackFrom = { ...here, heading: bearingDeg(__trackFrom, here) };
+  }
+  return __trackFrom.heading;
+}
+
+// Bridges at or below the vehicle height within rangeM, nearest first. With no
+// heading yet every direction counts, so nothing close is missed.
+async function bridgesAhead(here, heading, v, rangeM){
+  const near = await BridgesStore.withinDistanceOfPolyline([here], rangeM);
+  return near
+    .filter(({bridge})=>VEHICLE.bridgeCheck(bridge, v) === "low")
+    .filter(({bridge})=>heading == null || angleDiff(bearingDeg(here, bridge), heading) <= AHEAD_CONE_DEG)
+    .map(({bridge, m})=>({ b: bridge, m }));
+}
+
+function alertDistanceLabel(m){
+  const units = DB.getSettings().units || "mi";
+  if(units === "km") return `${Math.max(50, Math.round(m / 50) * 50)} metres`;
+  return `${Math.max(50, Math.round(m * 1.0936 / 50) * 50)} yards`;
+}
+
+function spokenHeight(m, unit){
+  if(unit === "ftin"){
+    const {ft, inch} = VEHICLE.mToFtIn(m);
+    return `${ft} feet${inch ? ` ${inch} inches` : ""}`;
+  }
+  return `${m} metres`;
+}
+
+function speak(text){
+  try{
+    if(!("speechSynthesis" in window)) return;
+    window.speechSynthesis.cancel();
+    const u = new SpeechSynthesisUtterance(text);
+    u.lang = "en-GB";
+    window.speechSynthesis.speak(u);
+  }catch(_e){ /* no speech on this device */ }
+}
+
+function showBridgeAlert(b, m, v){
+  const old = document.getElementById("bridgeAlert");
+  if(old) old.remove();
+  const dist = alertDistanceLabel(m);
+  const el = document.createElement("div");
+  el.id = "bridgeAlert";
+  el.className = "bridgeAlert";
+  el.setAttribute("role", "alertdialog");
+  el.setAttribute("aria-label", "Low bridge ahead");
+  el.innerHTML = `
+    <div class="bridgeAlertBox">
+      <div class="bridgeAlertIcon">⚠</div>
+      <div class="bridgeAlertTitle">LOW BRIDGE AHEAD</div>
+      <div class="bridgeAlertHeight">${escapeHtml(VEHICLE.heightLabel(b.height_m, v.heightUnit))}</div>
+      <div class="bridgeAlertSub">in ${escapeHtml(dist)}${b.road ? ` • ${escapeHtml(b.road)}` : ""}</div>
+      <div class="bridgeAlertSub">${escapeHtml(b.name || "Low bridge")}</div>
+      <div class="bridgeAlertSub">${escapeHtml(v.name)} is ${escapeHtml(VEHICLE.heightLabel(v.height_m, v.heightUnit))}</div>
+      <button class="btn" type="button">Dismiss</button>
+    </div>
+  `;
+  // Anywhere on the screen dismisses: no hunting for a small button while driving.
+  el.addEventListener("click", ()=>el.remove());
+  document.body.appendChild(el);
+
+  speak(`Low bridge ahead in ${dist}. ${spokenHeight(b.height_m, v.heightUnit)}. Your vehicle is ${spokenHeight(v.height_m, v.heightUnit)}.`);
+  try{ if(navigator.vibrate) navigator.vibrate([500, 200, 500, 200, 500]); }catch(_e){ /* ignore */ }
+}
+
+async function checkBridgesAhead(here, gpsHeading){
+  const heading = travelHeading(here, gpsHeading);
+  const settings = DB.getSettings();
+  if(!settings.bridgeAlerts || __alertCheckBusy) return;
+  const v = VEHICLE.active();
+  if(!v?.height_m) return;
+  __alertCheckBusy = true;
+  try{
+    const ahead = await bridgesAhead(here, heading, v, Number(settings.bridgeAlertDistance) || 800);
+    const now = Date.now();
+    const next = ahead.find(({b})=>now - (__alerted.get(b.id) || 0) > ALERT_COOLDOWN_MS);
+    if(!next) return;
+    __alerted.set(next.b.id, now);
+    showBridgeAlert(next.b, next.m, v);
+  }catch(_e){
+    /* bridges unavailable; try again on the next fix */
+  }finally{
+    __alertCheckBusy = false;
+  }
+}
+
+// After a location failure each render restarts the position watch, unless the
+// failure itself is what's being shown (retry = false).
+function renderAlertControls(retry = true){
+  const host = document.getElementById("bridgesAlerts");
+  if(!host) return;
+  const settings = DB.getSettings();
+  const on = !!settings.bridgeAlerts;
+  if(retry && __locationError) initUserLocation();
+  const units = settings.units || "mi";
+  const dist = Number(settings.bridgeAlertDistance) || 800;
+  host.innerHTML = `
+    <div class="row" style="gap:.6rem; align-items:center; flex-wrap:wrap">
+      <button id="bridgesAlertBtn" class="btn ${on ? "btn-primary" : ""}" type="button">🔔 Driving alerts: ${on ? "On" : "Off"}</button>
+      <select class="input" id="bridgesAlertDist" style="width:auto" aria-label="Alert distance">
+        ${ALERT_DISTANCES_M.map(m=>`<option value="${m}" ${m===dist?"selected":""}>${escapeHtml(fmtDistance(m / 1000, units))} ahead</option>`).join("")}
+      </select>
+      ${on && __locationError ? `<span class="bridgeWarn low">Alerts not working: ${escapeHtml(__locationError)}</span>` : ""}
+      <span class="small muted">${on ? "Keep this page open: low bridges ahead are announced with sound and vibration." : "Warns by voice and vibration when a bridge ahead is too low for your vehicle."}</span>
+    </div>
+  `;
+  const btn = document.getElementById("bridgesAlertBtn");
+  if(btn) btn.addEventListener("click", (e)=>{
+    e.preventDefault();
+    const turnOn = !DB.getSettings().bridgeAlerts;
+    if(turnOn && !VEHICLE.active()?.height_m){
+      UI.showToast("Add a vehicle with its height in Settings first", "danger");
+      return;
+    }
+    if(turnOn && !navigator.geolocation){
+      UI.showToast("Location not available", "danger");
+      return;
+    }
+    DB.saveSettings({ ...DB.getSettings(), bridgeAlerts: turnOn });
+    // Speaking from the tap also unlocks speech for later alerts on mobile browsers.
+    speak(turnOn ? "Low bridge alerts on." : "Low bridge alerts off.");
+    renderAlertControls();
+  });
+  const sel = document.getElementById("bridgesAlertDist");
+  if(sel) sel.addEventListener("change", ()=>{
+    DB.saveSettings({ ...DB.getSettings(), bridgeAlertDistance: Number(sel.value) });
+  });
 }
 
 function clearBridgeLayer(){
   if(__bridgeLayer) __bridgeLayer.clearLayers();
+  __drawn.clear();
 }
 
-function renderBridgesOnMap(list){
-  if(!__bridgeMap || !__bridgeLayer) return;
-  clearBridgeLayer();
+function vehicleNote(b){
+  const v = VEHICLE.active();
+  const c = VEHICLE.bridgeCheck(b, v);
+  if(c === "low") return `<div class="bridgeWarn low" style="margin-top:.35rem">Too low for ${escapeHtml(v.name)} (${escapeHtml(VEHICLE.heightLabel(v.height_m, v.heightUnit))})</div>`;
+  if(c === "tight") return `<div class="bridgeWarn tight" style="margin-top:.35rem">Tight for ${escapeHtml(v.name)} (${escapeHtml(VEHICLE.heightLabel(v.height_m, v.heightUnit))})</div>`;
+  return "";
+}
+
+function bridgePopupHtml(b){
+  return `
+    <div style="min-width:220px">
+      <div style="font-weight:700;margin-bottom:.25rem">${escapeHtml(b.name||"Low bridge")}</div>
+      <div class="small muted">${escapeHtml(b.road||"")}</div>
+      <div style="margin-top:.35rem"><b>Max height:</b> ${escapeHtml(heightLabel(b))}</div>
+      ${b.maxheight_raw && b.height_m==null ? `<div class="small muted">Raw: ${escapeHtml(b.maxheight_raw)}</div>` : ""}
+      ${vehicleNote(b)}
+      <div class="small muted" style="margin-top:.35rem">Source: ${escapeHtml(b.source||"")}</div>
+    </div>
+  `;
+}
+
+function bridgeMarker(b){
+  return L.marker([b.lat,b.lng], { icon: makeBridgeIcon(b) }).bindPopup(bridgePopupHtml(b));
+}
+
+// Lowest bridge with a known height in a cluster (null if none have one).
+function lowestOf(list){
+  let best = null;
   for(const b of list){
-    if(typeof b.lat !== "number" || typeof b.lng !== "number") continue;
-    const m = L.marker([b.lat,b.lng], { icon: makeBridgeIcon(b) });
-    const html = `
-      <div style="min-width:220px">
-        <div style="font-weight:700;margin-bottom:.25rem">${escapeHtml(b.name||"Low bridge")}</div>
-        <div class="small muted">${escapeHtml(b.road||"")}</div>
-        <div style="margin-top:.35rem"><b>Max height:</b> ${escapeHtml(heightLabel(b))}</div>
-        ${b.maxheight_raw && b.height_m==null ? `<div class="small muted">Raw: ${escapeHtml(b.maxheight_raw)}</div>` : ""}
-        <div class="small muted" style="margin-top:.35rem">Source: ${escapeHtml(b.source||"")}</div>
+    if(b.height_m != null && (!best || b.height_m < best.height_m)) best = b;
+  }
+  return best;
+}
+
+function clusterMarker(cell){
+  const n = cell.items.length;
+  const size = n < 10 ? 40 : n < 100 ? 48 : 56;
+  const icon = L.divIcon({
+    className:"",
+    html: `
+      <div class="bridge-cluster ${cell.lowest ? vehicleClass(cell.lowest) : ""}" style="width:${size}px;height:${size}px">
+        <div class="bridge-cluster-h">${escapeHtml(cell.lowest ? heightLabel(cell.lowest) : "?")}</div>
+        <div class="bridge-cluster-n">${n}</div>
       </div>
-    `;
-    m.bindPopup(html);
-    __bridgeLayer.addLayer(m);
+    `,
+    iconSize:[size,size],
+    iconAnchor:[size/2,size/2]
+  });
+  const m = L.marker([cell.lat / n, cell.lng / n], { icon, title: `${n} bridges, lowest ${cell.lowest ? heightLabel(cell.lowest) : "unknown"}` });
+  m.on("click", ()=>{
+    if(!__bridgeMap) return;
+    const bounds = L.latLngBounds(cell.items.map(b=>[b.lat,b.lng]));
+    __bridgeMap.flyToBounds(bounds, { padding:[40,40], maxZoom: CLUSTER_MAX_ZOOM, duration:0.6 });
+  });
+  return m;
+}
+
+// Draws the filtered bridges in view: single markers, or grid clusters below CLUSTER_MAX_ZOOM.
+function drawVisibleBridges(){
+  if(!__bridgeMap || !__bridgeLayer) return;
+  const zoom = __bridgeMap.getZoom();
+  const q = searchQuery();
+  const v = VEHICLE.active();
+  const want = new Map(); // layer key -> () => layer
+  const cells = new Map();
+  for(const b of __inView){
+    if(typeof b.lat !== "number" || typeof b.lng !== "number") continue;
+    if(!passesFilter(b, q, v)) continue;
+    if(zoom >= CLUSTER_MAX_ZOOM){
+      want.set(`b:${b.id}`, ()=>bridgeMarker(b));
+      continue;
+    }
+    const p = __bridgeMap.project([b.lat,b.lng], zoom);
+    const key = `${Math.floor(p.x / GRID_PX)}:${Math.floor(p.y / GRID_PX)}`;
+    let cell = cells.get(key);
+    if(!cell){
+      cell = { key, items:[], lat:0, lng:0, lowest:null };
+      cells.set(key, cell);
+    }
+    cell.items.push(b);
+    cell.lat += b.lat;
+    cell.lng += b.lng;
   }
+  for(const cell of cells.values()){
+    if(cell.items.length === 1){
+      const b = cell.items[0];
+      want.set(`b:${b.id}`, ()=>bridgeMarker(b));
+      continue;
+    }
+    cell.lowest = lowestOf(cell.items);
+    want.set(`c:${zoom}:${cell.key}:${cell.items.length}:${cell.lowest ? cell.lowest.id : ""}`, ()=>clusterMarker(cell));
+  }
+
+  for(const [key, layer] of __drawn){
+    if(want.has(key)) continue;
+    __bridgeLayer.removeLayer(layer);
+    __drawn.delete(key);
+  }
+  for(const [key, make] of want){
+    if(__drawn.has(key)) continue;
+    const layer = make();
+    __bridgeLayer.addLayer(layer);
+    __drawn.set(key, layer);
+  }
+}
+
+// Re-reads the bridges around the view from the tile index, then redraws the map,
+// the list and the "too low" count. Runs on every moveend.
+async function loadView(){
+  if(!__bridgeMap) return refreshList();
+  const seq = ++__viewSeq;
+  let items = [];
+  try{
+    items = await BridgesStore.queryBBox(__bridgeMap.getBounds().pad(VIEW_PAD));
+  }catch(_e){ /* store unavailable: draw nothing */ }
+  if(seq !== __viewSeq || !__bridgeMap) return;
+  __inView = items;
+  drawVisibleBridges();
+  renderLowCount();
+  // A search result list doesn't depend on the view.
+  if(!searchQuery()) await refreshList();
+}
+
+function searchQuery(){
+  return normalizeStr(document.getElementById("bridgesSearch")?.value);
+}
+
+function passesFilter(b, q, v){
+  if(__onlyLow && !vehicleClass(b, v)) return false;
+  if(!q) return true;
+  return normalizeStr([b.name,b.road,b.maxheight_raw,b.height_m,b.height_ft,b.height_in].join(" ")).includes(q);
+}
+
+// The list follows the map view; a text search (which has no index) covers the
+// whole store, as does the list when there's no map.
+async function refreshList(){
+  const seq = ++__listSeq;
+  const q = searchQuery();
+  const v = VEHICLE.active();
+  const whole = !!q || !__bridgeMap;
+  let source = __inView;
+  if(whole){
+    try{ source = await BridgesStore.getAll(); }catch(_e){ source = []; }
+  }
+  if(seq !== __listSeq) return;
+  const list = source.filter(b=>passesFilter(b, q, v)).sort((a,b)=> (b.updatedAt||0)-(a.updatedAt||0));
+  renderList(list, whole ? "" : " in view");
+  if(!__bridgeMap) renderLowCount(source);
+}
+
+function renderLowCount(source = __inView){
+  const el = document.getElementById("bridgesLowCount");
+  const v = VEHICLE.active();
+  if(!el || !v?.height_m) return;
+  const low = source.filter(b=>VEHICLE.bridgeCheck(b, v)==="low").length;
+  el.textContent = `${low} stored bridge${low===1?"":"s"} too low${__bridgeMap ? " in view" : ""}`;
 }
 
-function renderList(list){
+function renderList(list, where = ""){
   const box = document.getElementById("bridgesList");
   const countEl = document.getElementById("bridgesCount");
-  if(countEl) countEl.textContent = `${list.length} bridge${list.length===1?"":"s"}`;
+  if(countEl) countEl.textContent = `${list.length} bridge${list.length===1?"":"s"}${where}`;
   if(!box) return;
   if(!list.length){
     box.innerHTML = `<div class="muted" style="padding:.75rem 0">No bridges found. Try searching or load from OSM.</div>`;
@@ -209,7 +516,7 @@ function renderList(list){
         <div class="bridge-row-title">${escapeHtml(b.name || "Low bridge")}</div>
         <div class="bridge-row-sub">${escapeHtml([b.road, heightLabel(b)].filter(Boolean).join(" • "))}</div>
       </div>
-      <div class="bridge-row-chip">${escapeHtml(heightLabel(b))}</div>
+      <div class="bridge-row-chip ${vehicleClass(b)}">${vehicleClass(b)==="low" ? "⚠ " : ""}${escapeHtml(heightLabel(b))}</div>
     </button>
   `).join("");
 
@@ -224,25 +531,54 @@ function renderList(list){
   });
 }
 
-function applyFilter(){
-  const q = normalizeStr(document.getElementById("bridgesSearch")?.value);
-  let list = __bridges.slice();
-  if(q){
-    list = list.filter(b=>{
-      const hay = normalizeStr([b.name,b.road,b.maxheight_raw,b.height_m,b.height_ft,b.height_in].join(" "));
-      return hay.includes(q);
-    });
+// Banner above the map: which vehicle the bridges are checked against, and how many are too low.
+function renderVehicleBanner(){
+  const host = document.getElementById("bridgesVehicle");
+  if(!host) return;
+  const v = VEHICLE.active();
+  if(!v?.height_m){
+    host.innerHTML = `<div class="small muted">Add a vehicle in Settings to flag bridges lower than your trailer.</div>`;
+    return;
   }
-  renderList(list);
-  renderBridgesOnMap(list);
+  const profiles = VEHICLE.profiles();
+  host.innerHTML = `
+    <div class="row" style="gap:.6rem; align-items:center; flex-wrap:wrap">
+      ${profiles.length > 1 ? `
+        <select class="input" id="bridgesVehicleSel" style="width:auto">
+          ${profiles.map(p=>`<option value="${escapeHtml(p.id)}" ${p.id===v.id?"selected":""}>${escapeHtml(p.name)}</option>`).join("")}
+        </select>
+      ` : `<b>${escapeHtml(v.name)}</b>`}
+      <span class="small">${escapeHtml(VEHICLE.heightLabel(v.height_m, v.heightUnit))} • <span class="bridgeWarn low" id="bridgesLowCount"></span></span>
+      <label class="small row" style="gap:.35rem; align-items:center; margin-left:auto">
+        <input type="checkbox" id="bridgesOnlyLow" ${__onlyLow ? "checked" : ""}> Only too low / tight
+      </label>
+    </div>
+  `;
+  const sel = document.getElementById("bridgesVehicleSel");
+  if(sel) sel.addEventListener("change", ()=>{
+    VEHICLE.setActive(sel.value);
+    renderVehicleBanner();
+    applyFilter();
+  });
+  const only = document.getElementById("bridgesOnlyLow");
+  if(only) only.addEventListener("change", ()=>{
+    __onlyLow = only.checked;
+    applyFilter();
+  });
+}
+
+// Filter or vehicle changes can restyle markers, so the map starts from an empty layer.
+function applyFilter(){
+  clearBridgeLayer();
+  drawVisibleBridges();
+  if(__bridgeMap) renderLowCount();
+  refreshList();
 }
 
-async function loadAllBridges(){
+async function loadBridges(){
   await ensureSeedLoaded();
-  __bridges = await BridgesStore.getAll();
-  // sort by updated desc
-  __bridges.sort((a,b)=> (b.updatedAt||0)-(a.updatedAt||0));
-  applyFilter();
+  renderVehicleBanner();
+  await loadView();
 }
 
 async function fetchOverpassByBounds(bounds){
@@ -275,7 +611,7 @@ function overpassToBridges(data){
     const tags = el.tags || {};
     const raw = tags.maxheight || "";
     if(!raw) continue;
-    const parsed = parseMaxheight(raw);
+    const parsed = BRIDGE_IMPORT.parseMaxheight(raw);
     const lat = (el.type==="node") ? el.lat : (el.center?.lat);
     const lng = (el.type==="node") ? el.lon : (el.center?.lon);
     if(typeof lat !== "number" || typeof lng !== "number") continue;
@@ -313,7 +649,7 @@ async function loadFromOsmInView(){
       return;
     }
     await BridgesStore.putMany(items);
-    await loadAllBridges();
+    await loadView();
     if(status) status.textContent = `Added/updated ${items.length} bridges from OSM.`;
   }catch(err){
     console.warn(err);
@@ -328,6 +664,8 @@ function initMap(){
 
   if(!hasLeaflet()){
     mapEl.innerHTML = '<div style="padding:1rem">Map unavailable offline.</div>';
+    initUserLocation();
+    renderAlertControls(false);
     return;
   }
 
@@ -340,7 +678,9 @@ function initMap(){
 
   __bridgeLayer = L.layerGroup().addTo(__bridgeMap);
   __userLayer = L.layerGroup().addTo(__bridgeMap);
+  __bridgeMap.on("moveend", loadView);
   initUserLocation();
+  renderAlertControls(false);
 
   const btnUK = document.getElementById("bridgesCentreUK");
   if(btnUK){
@@ -356,9 +696,20 @@ function initMap(){
 }
 
 export const BRIDGES = {
+  // Called by the router when this page is left: alerts only run while it's open,
+  // so GPS goes off and the map is let go.
+  leave(){
+    if(__watchId != null && navigator.geolocation) navigator.geolocation.clearWatch(__watchId);
+    __watchId = null;
+    __locationError = null;
+    __trackFrom = null;
+    document.getElementById("bridgeAlert")?.remove();
+    destroyMap();
+  },
+
   async render(){
     // UI
-    const html = UI.card(`
+    const html = UI.card({ body: `
       <div class="pageTitleRow">
         <div>
           <div class="h1">Low Bridges</div>
@@ -392,6 +743,8 @@ export const BRIDGES = {
 
         <div style="padding:.75rem 1rem">
           <div id="bridgesStatus" class="small muted">Ready.</div>
+          <div id="bridgesVehicle" style="margin-top:.5rem"></div>
+          <div id="bridgesAlerts" style="margin-top:.5rem"></div>
         </div>
       </div>
 
@@ -413,12 +766,12 @@ export const BRIDGES = {
           <div id="bridgesList" class="bridgesList" style="margin-top:1rem"></div>
         </div>
       </div>
-    `);
+    ` });
 
     // mount
     setTimeout(async ()=>{
       initMap();
-      await loadAllBridges();
+      await loadBridges();
 
       const s = document.getElementById("bridgesSearch");
       if(s){
@@ -1,4 +1,7 @@
 import { UI } from "./ui.js";
+import { VEHICLE } from "./vehicle.js";
+import { escapeHtml } from "./utils.js";
+import { BridgesStore } from "./bridgesStore.js";
 
 // LST permitted routes (seeded from the provided Route Plans & Risk Assessment sheets).
 //
@@ -518,6 +521,32 @@ function buildLegend(){
   `;
 }
 
+// Stored bridges this close to a drawn route line are checked against the active vehicle.
+const ROUTE_BRIDGE_M = 25;
+
+// Marks bridges along the drawn lines that are too low or tight for the active
+// vehicle (only the tiles under each line are read). Returns how many are too low.
+async function flagRouteBridges(lines){
+  const v = VEHICLE.active();
+  if(!v?.height_m || !lines.length) return 0;
+  const found = new Map();
+  for(const line of lines){
+    for(const {bridge} of await BridgesStore.withinDistanceOfPolyline(line, ROUTE_BRIDGE_M)){
+      const check = VEHICLE.bridgeCheck(bridge, v);
+      if(check === "low" || check === "tight") found.set(bridge.id, { bridge, check });
+    }
+  }
+  for(const {bridge, check} of found.values()){
+    L.circleMarker([bridge.lat, bridge.lng], { radius:8, color: check === "low" ? "#ff4d4d" : "#ffd84d", weight:3, fillOpacity:0.8 })
+      .bindPopup(`
+        <div style="font-weight:900">${escapeHtml(bridge.name || "Low bridge")}</div>
+        <div class="small" style="margin-top:.25rem">${escapeHtml(VEHICLE.heightLabel(bridge.height_m, v.heightUnit))} • ${check === "low" ? "too low" : "tight"} for ${escapeHtml(v.name)}</div>
+      `)
+      .addTo(__routeLayer);
+  }
+  return [...found.values()].filter(x=>x.check === "low").length;
+}
+
 async function drawRoutesOnMap({routeIds}){
   if(!__lstMap || !__routeLayer) return;
   if(__loading) return;
@@ -539,6 +568,7 @@ async function drawRoutesOnMap({routeIds}){
     setStatus("Building routes… (first load can take a moment)");
 
     const bounds = [];
+    const lines = []; // every drawn polyline, for the bridge check
 
     const toRad = (deg)=> (deg * Math.PI) / 180;
     const haversineKm = (a, b)=>{
@@ -662,6 +692,7 @@ async function drawRoutesOnMap({routeIds}){
               : [[a.lat, a.lng], [b.lat, b.lng]];
           }
           latlngs.forEach(ll => bounds.push(ll));
+          lines.push(latlngs);
 
           const line = L.polyline(latlngs, {
             color: riskColor(seg.risk),
@@ -703,6 +734,7 @@ async function drawRoutesOnMap({routeIds}){
             const coords = await osrmRoute(start, end);
             const latlngs = coords ? coords.map(c=>[c[1], c[0]]) : [[start.lat,start.lng],[end.lat,end.lng]];
             latlngs.forEach(ll => bounds.push(ll));
+            lines.push(latlngs);
             const line = L.polyline(latlngs, {
               color: '#9aa0a6',
               weight: 5,
@@ -721,7 +753,10 @@ async function drawRoutesOnMap({routeIds}){
 
     if(bounds.length){
       __lstMap.fitBounds(bounds, { padding:[18,18] });
-      setStatus("Ready.");
+      let low = 0;
+      try{ low = await flagRouteBridges(lines); }catch(_e){ /* bridge store unavailable */ }
+      const v = VEHICLE.active();
+      setStatus(low ? `Ready. ⚠ ${low} stored bridge${low===1?"":"s"} too low for ${v.name} on the selected routes.` : "Ready.");
     }else{
       setStatus("No segments could be drawn (check internet access for geocoding/routing). ");
     }
@@ -819,11 +854,22 @@ export const LST = {
       return allWithHay.filter(x=>x.hay.includes(qq)).map(x=>x.r);
     };
 
+    // Checked against the active vehicle profile (Settings → Vehicles).
+    const vehicle = VEHICLE.active();
+    const vehicleWarnings = VEHICLE.lstWarnings(vehicle);
+
     container.innerHTML = UI.card({
       title: "LST Routes",
       subtitle: "Permitted routes (from Route Plans & Risk Assessment sheets).",
       right: `<button class="btn btn-ghost" id="centreLstMapBtn">Centre</button>`,
       body: `
+        <div class="vehicleCheck ${vehicleWarnings.length ? "warn" : ""}">
+          ${vehicle
+            ? `<div class="small"><b>${escapeHtml(vehicle.name)}</b> • ${escapeHtml(VEHICLE.summary(vehicle))}</div>
+               ${vehicleWarnings.map(w=>`<div class="small" style="margin-top:.25rem">⚠ ${escapeHtml(w)}</div>`).join("")}`
+            : `<div class="small">No vehicle set up. Add one in Settings to check it against these LST plans.</div>`}
+        </div>
+
         <div class="card-soft" style="padding:1rem">
           <div style="display:flex; align-items:center; justify-content:space-between; gap:1rem">
             <div>
@@ -49,6 +49,25 @@ async function get(photoId){
   });
 }
 
+async function del(photoId){
+  const db = await openDb();
+  return new Promise((resolve, reject)=>{
+    const tx = db.transaction(STORE, "readwrite");
+    tx.objectStore(STORE).delete(photoId);
+    tx.oncomplete = ()=>resolve(true);
+    tx.onerror = ()=>reject(tx.error);
+  });
+}
+
+function blobToDataUrl(blob){
+  return new Promise((resolve, reject)=>{
+    const reader = new FileReader();
+    reader.onload = ()=>resolve(String(reader.result || ""));
+    reader.onerror = ()=>reject(reader.error);
+    reader.readAsDataURL(blob);
+  });
+}
+
 export const MediaStore = {
   isIdbUrl(url){
     return typeof url === "string" && url.startsWith("idb:");
@@ -74,6 +93,30 @@ export const MediaStore = {
     return objectUrl;
   },
 
+  async remove(url){
+    if(!MediaStore.isIdbUrl(url)) return;
+    const photoId = MediaStore.idFromUrl(url);
+    const cached = _urlCache.get(photoId);
+    if(cached){
+      URL.revokeObjectURL(cached);
+      _urlCache.delete(photoId);
+    }
+    await del(photoId);
+  },
+
+  // "idb:<photoId>" -> "data:…" so it can travel in a JSON backup ("" if missing).
+  async toDataUrl(url){
+    if(!MediaStore.isIdbUrl(url)) return "";
+    const blob = await get(MediaStore.idFromUrl(url));
+    return blob ? await blobToDataUrl(blob) : "";
+  },
+
+  // "data:…" from a backup -> new "idb:<photoId>".
+  async saveDataUrl(dataUrl){
+    const blob = await (await fetch(dataUrl)).blob();
+    return await MediaStore.saveFile(blob);
+  },
+
   // Replaces <img data-media="..."></img> with a resolved src.
   hydrate(root){
     const scope = root || document;
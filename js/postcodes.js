@@ -0,0 +1,194 @@
+// postcodes.js
+// Offline UK postcode helpers + bulk geocoding from a bundled centroid dataset.
+//
+// The bundled file (CONFIG.POSTCODE_CENTROIDS_URL) looks like:
+//   { "version": 1, "postcodes": { "CV9 2SQ": [52.58, -1.55] }, "outcodes": { "CV9": [52.58, -1.56] } }
+// As shipped it only has approximate outcode positions (see its "source"), so
+// outcode hits are always "ambiguous". Admins can top it up from a centroid CSV
+// (ONS NSPL / "ukpostcodes.csv" style); the imported subset is kept in
+// localStorage, overrides the bundled values, and no network is ever needed.
+
+import { CONFIG } from "./config.js";
+import { haversineKm, parseDelimited, safeJsonParse } from "./utils.js";
+
+const POSTCODE_RE = /\b([A-Z]{1,2}\d[A-Z\d]?)\s*(\d[A-Z]{2})\b/g;
+
+// Two candidate postcodes further apart than this make a record "ambiguous".
+const AMBIGUOUS_SPREAD_KM = 2;
+
+// Centroids are [lat, lon] pairs.
+function distanceKm(a, b){
+  return haversineKm({ lat:a[0], lng:a[1] }, { lat:b[0], lng:b[1] });
+}
+
+function isLatLon(v){
+  return Array.isArray(v) && Number.isFinite(v[0]) && Number.isFinite(v[1]);
+}
+
+function readLocalCentroids(){
+  const c = safeJsonParse(localStorage.getItem(CONFIG.STORAGE_KEYS.POSTCODE_CENTROIDS), null);
+  return (c && typeof c === "object") ? c : { postcodes:{}, outcodes:{} };
+}
+
+export const POSTCODES = {
+  // "cv92sq" / "CV9  2SQ" -> "CV9 2SQ" (or "" if it isn't a full UK postcode)
+  normalize(pc){
+    const s = String(pc || "").toUpperCase().replace(/\s+/g, "");
+    const m = s.match(/^([A-Z]{1,2}\d[A-Z\d]?)(\d[A-Z]{2})$/);
+    return m ? `${m[1]} ${m[2]}` : "";
+  },
+  outcode(pc){
+    const n = POSTCODES.normalize(pc);
+    return n ? n.split(" ")[0] : "";
+  },
+  isValid(pc){
+    return !!POSTCODES.normalize(pc);
+  },
+
+  // All distinct full postcodes found in a free-text address, in order of appearance.
+  extract(address){
+    const s = String(address || "").toUpperCase();
+    const out = [];
+    for(const m of s.matchAll(POSTCODE_RE)){
+      const pc = `${m[1]} ${m[2]}`;
+      if(!out.includes(pc)) out.push(pc);
+    }
+    return out;
+  },
+
+  // Bundled dataset merged with anything the admin imported on this device.
+  async loadCentroids(){
+    let bundled = { postcodes:{}, outcodes:{} };
+    try{
+      const res = await fetch(CONFIG.POSTCODE_CENTROIDS_URL, { cache:"no-store" });
+      if(res.ok) bundled = await res.json();
+    }catch(_e){ /* offline / missing file: fall back to local only */ }
+    const local = readLocalCentroids();
+    return {
+      postcodes: { ...(bundled.postcodes || {}), ...(local.postcodes || {}) },
+      outcodes: { ...(bundled.outcodes || {}), ...(local.outcodes || {}) }
+    };
+  },
+
+  localCentroidCount(){
+    const c = readLocalCentroids();
+    return Object.keys(c.postcodes || {}).length;
+  },
+
+  clearLocalCentroids(){
+    localStorage.removeItem(CONFIG.STORAGE_KEYS.POSTCODE_CENTROIDS);
+  },
+
+  // Parse a centroid CSV/TSV (needs postcode + latitude + longitude columns).
+  // Only postcodes in `wanted` are kept (the full UK file is far too big for
+  // localStorage); outcode centroids are averaged over every row.
+  importCentroidCsv(text, wanted){
+    const [header = [], ...lines] = parseDelimited(text);
+    const cols = header.map(h=>h.trim().toLowerCase());
+    const iPc = cols.findIndex(h=>["postcode","pcds","pcd","pcd2","post code"].includes(h));
+    const iLat = cols.findIndex(h=>["lat","latitude"].includes(h));
+    const iLon = cols.findIndex(h=>["lon","lng","long","longitude"].includes(h));
+    if(iPc < 0 || iLat < 0 || iLon < 0){
+      throw new Error("CSV needs postcode, latitude and longitude columns.");
+    }
+
+    const wantSet = new Set(Array.from(wanted || []));
+    const postcodes = {};
+    const sums = {};
+    let rows = 0;
+    for(const cells of lines){
+      const pc = POSTCODES.normalize(cells[iPc]);
+      const lat = Number(cells[iLat]);
+      const lon = Number(cells[iLon]);
+      // NSPL uses 99.999999 / 0 for terminated or unlocated postcodes.
+      if(!pc || !Number.isFinite(lat) || !Number.isFinite(lon) || lat > 90) continue;
+      rows++;
+      if(wantSet.has(pc)) postcodes[pc] = [lat, lon];
+      const oc = pc.split(" ")[0];
+      const s = sums[oc] || (sums[oc] = [0, 0, 0]);
+      s[0] += lat; s[1] += lon; s[2]++;
+    }
+    const outcodes = {};
+    for(const [oc, s] of Object.entries(sums)){
+      outcodes[oc] = [Math.round(s[0]/s[2]*1e5)/1e5, Math.round(s[1]/s[2]*1e5)/1e5];
+    }
+
+    const local = readLocalCentroids();
+    const merged = {
+      postcodes: { ...(local.postcodes || {}), ...postcodes },
+      outcodes: { ...(local.outcodes || {}), ...outcodes }
+    };
+    localStorage.setItem(CONFIG.STORAGE_KEYS.POSTCODE_CENTROIDS, JSON.stringify(merged));
+    return { rows, kept: Object.keys(postcodes).length, outcodes: Object.keys(outcodes).length };
+  },
+
+  // Match every destination against the centroid dataset.
+  // status: "matched"   - full postcode hit (unique location)
+  //         "ambiguous" - several postcodes in the address that disagree, or outcode-only fallback
+  //         "unmatched" - no postcode in the address, or not in the dataset
+  // Records that already have coordinates are skipped unless `overwrite` is set.
+  geocodeAll(destinations, centroids, {overwrite=false} = {}){
+    const results = [];
+    const counts = { matched:0, ambiguous:0, unmatched:0, skipped:0 };
+    const pcs = centroids?.postcodes || {};
+    const ocs = centroids?.outcodes || {};
+
+    for(const d of (destinations || [])){
+      if(!overwrite && Number.isFinite(d.lat) && Number.isFinite(d.lon)){
+        counts.skipped++;
+        continue;
+      }
+      const found = POSTCODES.extract(d.address);
+      const hits = found.filter(pc=>isLatLon(pcs[pc]));
+      let r;
+      if(hits.length){
+        const first = pcs[hits[0]];
+        const spread = hits.some(pc=>distanceKm(first, pcs[pc]) > AMBIGUOUS_SPREAD_KM);
+        r = {
+          id: d.id,
+          postcode: hits[0],
+          lat: first[0],
+          lon: first[1],
+          status: spread ? "ambiguous" : "matched",
+          reason: spread ? `Address has ${hits.length} postcodes in different places` : ""
+        };
+      }else{
+        const oc = found.map(pc=>pc.split(" ")[0]).find(x=>isLatLon(ocs[x]));
+        r = oc ? {
+          id: d.id,
+          postcode: found[0],
+          lat: ocs[oc][0],
+          lon: ocs[oc][1],
+          status: "ambiguous",
+          reason: `Only the ${oc} district's approximate position is known`
+        } : {
+          id: d.id,
+          postcode: found[0] || "",
+          lat: null,
+          lon: null,
+          status: "unmatched",
+          reason: found.length ? "Postcode not in dataset" : "No postcode in address"
+        };
+      }
+      counts[r.status]++;
+      results.push(r);
+    }
+    return { results, counts };
+  },
+
+  // Apply accepted results onto a destinations array (returns a new array + count).
+  applyResults(destinations, results, {includeAmbiguous=false} = {}){
+    const byId = new Map();
+    for(const r of (results || [])){
+      if(r.status === "matched" || (includeAmbiguous && r.status === "ambiguous")) byId.set(r.id, r);
+    }
+    let applied = 0;
+    const out = (destinations || []).map(d=>{
+      const r = byId.get(d.id);
+      if(!r) return d;
+      applied++;
+      return { ...d, lat: r.lat, lon: r.lon, coordsSource: `postcode:${r.postcode}` };
+    });
+    return { destinations: out, applied };
+  }
+};
@@ -0,0 +1,337 @@
+// qrcode.js
+// Minimal QR code generator (byte mode, versions 1–40), drawn onto a <canvas>.
+// Runs entirely on the device: share links must work in a yard with no signal.
+//
+// Follows ISO/IEC 18004: data + Reed-Solomon ECC interleaved into blocks,
+// function patterns, the lowest-penalty of the 8 masks, then format/version info.
+
+const ECC_LEVELS = {
+  // format: the 2 bits written into the format info for this level
+  L: { format: 1, index: 0 },
+  M: { format: 0, index: 1 }
+};
+
+// Per version (index 1..40): ECC codewords per block, and number of blocks, for L and M.
+const ECC_CODEWORDS_PER_BLOCK = [
+  [-1, 7,10,15,20,26,18,20,24,30,18,20,24,26,30,22,24,28,30,28,28,28,28,30,30,26,28,30,30,30,30,30,30,30,30,30,30,30,30,30,30],
+  [-1,10,16,26,18,24,16,18,22,22,26,30,22,22,24,24,28,28,26,26,26,26,28,28,28,28,28,28,28,28,28,28,28,28,28,28,28,28,28,28,28]
+];
+const NUM_ECC_BLOCKS = [
+  [-1,1,1,1,1,1,2,2,2,2,4,4,4,4,4,6,6,6,6,7,8,8,9,9,10,12,12,12,13,14,15,16,17,18,19,19,20,21,22,24,25],
+  [-1,1,1,1,2,2,4,4,4,5,5,5,8,9,9,10,10,11,13,14,16,17,17,18,20,21,23,25,26,28,29,31,33,35,37,38,40,43,45,47,49]
+];
+
+// Mask penalty weights.
+const PENALTY_N1 = 3;
+const PENALTY_N2 = 3;
+const PENALTY_N3 = 40;
+const PENALTY_N4 = 10;
+
+function numRawDataModules(ver){
+  let result = (16 * ver + 128) * ver + 64;
+  if(ver >= 2){
+    const numAlign = Math.floor(ver / 7) + 2;
+    result -= (25 * numAlign - 10) * numAlign - 55;
+    if(ver >= 7) result -= 36;
+  }
+  return result;
+}
+
+function numDataCodewords(ver, ecl){
+  const i = ECC_LEVELS[ecl].index;
+  return Math.floor(numRawDataModules(ver) / 8) - ECC_CODEWORDS_PER_BLOCK[i][ver] * NUM_ECC_BLOCKS[i][ver];
+}
+
+function alignmentPositions(ver){
+  if(ver === 1) return [];
+  const numAlign = Math.floor(ver / 7) + 2;
+  const size = ver * 4 + 17;
+  const step = ver === 32 ? 26 : Math.ceil((ver * 4 + 4) / (numAlign * 2 - 2)) * 2;
+  const out = [6];
+  for(let pos = size - 7; out.length < numAlign; pos -= step) out.splice(1, 0, pos);
+  return out;
+}
+
+// --- Reed-Solomon over GF(256), polynomial 0x11D ---
+
+function gfMul(x, y){
+  let z = 0;
+  for(let i = 7; i >= 0; i--){
+    z = (z << 1) ^ ((z >>> 7) * 0x11D);
+    z ^= ((y >>> i) & 1) * x;
+  }
+  return z;
+}
+
+function rsDivisor(degree){
+  const result = new Array(degree).fill(0);
+  result[degree - 1] = 1;
+  let root = 1;
+  for(let i = 0; i < degree; i++){
+    for(let j = 0; j < result.length; j++){
+      result[j] = gfMul(result[j], root);
+      if(j + 1 < result.length) result[j] ^= result[j + 1];
+    }
+    root = gfMul(root, 0x02);
+  }
+  return result;
+}
+
+function rsRemainder(data, divisor){
+  const result = divisor.map(()=>0);
+  for(const b of data){
+    const factor = b ^ result.shift();
+    result.push(0);
+    divisor.forEach((coef, i)=>{ result[i] ^= gfMul(coef, factor); });
+  }
+  return result;
+}
+
+// --- Encoding ---
+
+function utf8Bytes(text){
+  return Array.from(new TextEncoder().encode(String(text)));
+}
+
+function dataCodewords(bytes, ver, ecl){
+  const bits = [];
+  const push = (val, len)=>{ for(let i = len - 1; i >= 0; i--) bits.push((val >>> i) & 1); };
+  push(0b0100, 4);
+  push(bytes.length, ver <= 9 ? 8 : 16);
+  bytes.forEach(b=>push(b, 8));
+  const capacity = numDataCodewords(ver, ecl) * 8;
+  push(0, Math.min(4, capacity - bits.length));
+  push(0, (8 - bits.length % 8) % 8);
+  for(let pad = 0xEC; bits.length < capacity; pad ^= 0xEC ^ 0x11) push(pad, 8);
+  const out = [];
+  for(let i = 0; i < bits.length; i += 8){
+    out.push(bits.slice(i, i + 8).reduce((n, b)=>(n << 1) | b, 0));
+  }
+  return out;
+}
+
+function addEccAndInterleave(data, ver, ecl){
+  const i = ECC_LEVELS[ecl].index;
+  const numBlocks = NUM_ECC_BLOCKS[i][ver];
+  const blockEccLen = ECC_CODEWORDS_PER_BLOCK[i][ver];
+  const rawCodewords = Math.floor(numRawDataModules(ver) / 8);
+  const numShortBlocks = numBlocks - rawCodewords % numBlocks;
+  const shortBlockLen = Math.floor(rawCodewords / numBlocks);
+  const divisor = rsDivisor(blockEccLen);
+
+  const blocks = [];
+  for(let b = 0, k = 0; b < numBlocks; b++){
+    const dat = data.slice(k, k + shortBlockLen - blockEccLen + (b < numShortBlocks ? 0 : 1));
+    k += dat.length;
+    const ecc = rsRemainder(dat, divisor);
+    if(b < numShortBlocks) dat.push(0);
+    blocks.push(dat.concat(ecc));
+  }
+  const result = [];
+  for(let c = 0; c < blocks[0].length; c++){
+    blocks.forEach((block, b)=>{
+      // Skip the padding byte of short blocks.
+      if(c !== shortBlockLen - blockEccLen || b >= numShortBlocks) result.push(block[c]);
+    });
+  }
+  return result;
+}
+
+// --- Matrix ---
+
+function newMatrix(size){
+  return Array.from({length: size}, ()=>new Array(size).fill(false));
+}
+
+function drawFunctionPatterns(ver, modules, isFunction){
+  const size = modules.length;
+  const set = (x, y, dark)=>{ modules[y][x] = dark; isFunction[y][x] = true; };
+
+  for(let i = 0; i < size; i++){
+    set(6, i, i % 2 === 0);
+    set(i, 6, i % 2 === 0);
+  }
+  for(const [cx, cy] of [[3, 3], [size - 4, 3], [3, size - 4]]){
+    for(let dy = -4; dy <= 4; dy++){
+      for(let dx = -4; dx <= 4; dx++){
+        const x = cx + dx;
+        const y = cy + dy;
+        const dist = Math.max(Math.abs(dx), Math.abs(dy));
+        if(x >= 0 && x < size && y >= 0 && y < size) set(x, y, dist !== 2 && dist !== 4);
+      }
+    }
+  }
+  const align = alignmentPositions(ver);
+  const n = align.length;
+  for(let i = 0; i < n; i++){
+    for(let j = 0; j < n; j++){
+      if((i === 0 && j === 0) || (i === 0 && j === n - 1) || (i === n - 1 && j === 0)) continue;
+      for(let dy = -2; dy <= 2; dy++){
+        for(let dx = -2; dx <= 2; dx++){
+          set(align[i] + dx, align[j] + dy, Math.max(Math.abs(dx), Math.abs(dy)) !== 1);
+        }
+      }
+    }
+  }
+  // Reserve the format areas (real bits are drawn after masking).
+  drawFormatBits(modules, isFunction, "M", 0);
+
+  if(ver >= 7){
+    let rem = ver;
+    for(let i = 0; i < 12; i++) rem = (rem << 1) ^ ((rem >>> 11) * 0x1F25);
+    const bits = (ver << 12) | rem;
+    for(let i = 0; i < 18; i++){
+      const dark = ((bits >>> i) & 1) === 1;
+      const a = size - 11 + i % 3;
+      const b = Math.floor(i / 3);
+      set(a, b, dark);
+      set(b, a, dark);
+    }
+  }
+}
+
+function drawFormatBits(modules, isFunction, ecl, mask){
+  const size = modules.length;
+  const set = (x, y, dark)=>{ modules[y][x] = dark; isFunction[y][x] = true; };
+  const data = (ECC_LEVELS[ecl].format << 3) | mask;
+  let rem = data;
+  for(let i = 0; i < 10; i++) rem = (rem << 1) ^ ((rem >>> 9) * 0x537);
+  const bits = ((data << 10) | rem) ^ 0x5412;
+  const bit = (i)=> ((bits >>> i) & 1) === 1;
+
+  for(let i = 0; i <= 5; i++) set(8, i, bit(i));
+  set(8, 7, bit(6));
+  set(8, 8, bit(7));
+  set(7, 8, bit(8));
+  for(let i = 9; i < 15; i++) set(14 - i, 8, bit(i));
+
+  for(let i = 0; i < 8; i++) set(size - 1 - i, 8, bit(i));
+  for(let i = 8; i < 15; i++) set(8, size - 15 + i, bit(i));
+  set(8, size - 8, true);
+}
+
+function drawCodewords(codewords, modules, isFunction){
+  const size = modules.length;
+  let i = 0;
+  for(let right = size - 1; right >= 1; right -= 2){
+    if(right === 6) right = 5;
+    for(let vert = 0; vert < size; vert++){
+      for(let j = 0; j < 2; j++){
+        const x = right - j;
+        const upward = ((right + 1) & 2) === 0;
+        const y = upward ? size - 1 - vert : vert;
+        if(!isFunction[y][x] && i < codewords.length * 8){
+          modules[y][x] = ((codewords[i >>> 3] >>> (7 - (i & 7))) & 1) === 1;
+          i++;
+        }
+      }
+    }
+  }
+}
+
+const MASKS = [
+  (x, y)=> (x + y) % 2 === 0,
+  (x, y)=> y % 2 === 0,
+  (x, y)=> x % 3 === 0,
+  (x, y)=> (x + y) % 3 === 0,
+  (x, y)=> (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0,
+  (x, y)=> x * y % 2 + x * y % 3 === 0,
+  (x, y)=> (x * y % 2 + x * y % 3) % 2 === 0,
+  (x, y)=> ((x + y) % 2 + x * y % 3) % 2 === 0
+];
+
+function applyMask(modules, isFunction, mask){
+  const test = MASKS[mask];
+  for(let y = 0; y < modules.length; y++){
+    for(let x = 0; x < modules.length; x++){
+      if(!isFunction[y][x] && test(x, y)) modules[y][x] = !modules[y][x];
+    }
+  }
+}
+
+function penalty(modules){
+  const size = modules.length;
+  let score = 0;
+  const lines = [];
+  for(let i = 0; i < size; i++){
+    lines.push(modules[i]);
+    lines.push(modules.map(row=>row[i]));
+  }
+  const finderA = [1,0,1,1,1,0,1,0,0,0,0];
+  const finderB = [0,0,0,0,1,0,1,1,1,0,1];
+  for(const line of lines){
+    let run = 1;
+    for(let i = 1; i <= size; i++){
+      if(i < size && line[i] === line[i - 1]){
+        run++;
+      }else{
+        if(run >= 5) score += PENALTY_N1 + (run - 5);
+        run = 1;
+      }
+    }
+    for(let i = 0; i + 11 <= size; i++){
+      const hit = (pattern)=> pattern.every((v, k)=>line[i + k] === (v === 1));
+      if(hit(finderA) || hit(finderB)) score += PENALTY_N3;
+    }
+  }
+  let dark = 0;
+  for(let y = 0; y < size; y++){
+    for(let x = 0; x < size; x++){
+      if(modules[y][x]) dark++;
+      if(x < size - 1 && y < size - 1){
+        const c = modules[y][x];
+        if(c === modules[y][x + 1] && c === modules[y + 1][x] && c === modules[y + 1][x + 1]) score += PENALTY_N2;
+      }
+    }
+  }
+  const total = size * size;
+  score += (Math.ceil(Math.abs(dark * 20 - total * 10) / total) - 1) * PENALTY_N4;
+  return score;
+}
+
+export const QR = {
+  // { size, modules: boolean[][] (row-major, true = dark) }.
+  // Uses level M unless the text only fits at L; throws when it's too long for any version.
+  encode(text){
+    const bytes = utf8Bytes(text);
+    for(const ecl of ["M", "L"]){
+      for(let ver = 1; ver <= 40; ver++){
+        const needed = 4 + (ver <= 9 ? 8 : 16) + bytes.length * 8;
+        if(needed > numDataCodewords(ver, ecl) * 8) continue;
+
+        const size = ver * 4 + 17;
+        const base = newMatrix(size);
+        const isFunction = newMatrix(size);
+        drawFunctionPatterns(ver, base, isFunction);
+        drawCodewords(addEccAndInterleave(dataCodewords(bytes, ver, ecl), ver, ecl), base, isFunction);
+
+        let best = null;
+        for(let mask = 0; mask < 8; mask++){
+          const modules = base.map(row=>row.slice());
+          applyMask(modules, isFunction, mask);
+          drawFormatBits(modules, isFunction.map(row=>row.slice()), ecl, mask);
+          const score = penalty(modules);
+          if(!best || score < best.score) best = { score, modules };
+        }
+        return { size, version: ver, ecl, modules: best.modules };
+      }
+    }
+    throw new Error("Too much data for a QR code.");
+  },
+
+  // Draw onto a canvas, `scale` px per module with a `margin`-module quiet zone.
+  draw(canvas, qr, {scale = 6, margin = 4, dark = "#000", light = "#fff"} = {}){
+    const px = (qr.size + margin * 2) * scale;
+    canvas.width = px;
+    canvas.height = px;
+    const ctx = canvas.getContext("2d");
+    ctx.fillStyle = light;
+    ctx.fillRect(0, 0, px, px);
+    ctx.fillStyle = dark;
+    for(let y = 0; y < qr.size; y++){
+      for(let x = 0; x < qr.size; x++){
+        if(qr.modules[y][x]) ctx.fillRect((x + margin) * scale, (y + margin) * scale, scale, scale);
+      }
+    }
+  }
+};
@@ -0,0 +1,93 @@
+// quality.js
+// Completeness checks for the destinations dataset (admin data-quality tab).
+//
+// Each failed check costs its weight; a record that passes everything scores 100.
+
+import { POSTCODES } from "./postcodes.js";
+import { HOURS } from "./hours.js";
+
+const PLACEHOLDER_RE = /^assets\/images\/placeholders\//;
+
+const CHECKS = [
+  {
+    key: "coords",
+    label: "Missing coordinates",
+    weight: 25,
+    fails: (d)=> d.lat == null || d.lat === "" || d.lon == null || d.lon === ""
+      || !Number.isFinite(Number(d.lat)) || !Number.isFinite(Number(d.lon))
+  },
+  {
+    key: "hours",
+    label: "Hours unknown",
+    weight: 20,
+    fails: (d)=> !HOURS.specFor(d)
+  },
+  {
+    key: "gate",
+    label: "No gate info",
+    weight: 20,
+    fails: (d)=> !String(d.gateInfo || "").trim()
+  },
+  {
+    key: "photos",
+    label: "Placeholder photos only",
+    weight: 15,
+    fails: (d)=> !(d.photos || []).some(p=>p?.url && !PLACEHOLDER_RE.test(p.url))
+  },
+  {
+    key: "facilities",
+    label: "No facilities",
+    weight: 10,
+    fails: (d)=> !(d.facilities || []).length
+  },
+  {
+    key: "postcode",
+    label: "No valid postcode",
+    weight: 10,
+    fails: (d)=> !POSTCODES.extract(d.address).length
+  }
+];
+
+export const QUALITY = {
+  CHECKS,
+
+  // { score: 0..100, issues: [check key, …] }
+  assess(d){
+    const issues = [];
+    let score = 100;
+    for(const c of CHECKS){
+      if(c.fails(d)){
+        issues.push(c.key);
+        score -= c.weight;
+      }
+    }
+    return { score, issues };
+  },
+
+  // Every record assessed, plus totals per check and per destination category.
+  report(destinations){
+    const rows = (destinations || []).map(d=>({ d, ...QUALITY.assess(d) }));
+    const byCheck = Object.fromEntries(CHECKS.map(c=>[c.key, 0]));
+    const byCategory = new Map();
+    for(const r of rows){
+      r.issues.forEach(k=>{ byCheck[k]++; });
+      const cat = r.d.category || "Destination";
+      if(!byCategory.has(cat)) byCategory.set(cat, { category:cat, count:0, complete:0, scoreSum:0 });
+      const c = byCategory.get(cat);
+      c.count++;
+      c.scoreSum += r.score;
+      if(!r.issues.length) c.complete++;
+    }
+    const categories = [...byCategory.values()]
+      .map(({scoreSum, ...c})=>({ ...c, avgScore: Math.round(scoreSum / c.count) }))
+      .sort((a,b)=>b.count - a.count);
+    const avgScore = rows.length ? Math.round(rows.reduce((n, r)=>n + r.score, 0) / rows.length) : 0;
+    return {
+      rows,
+      byCheck,
+      categories,
+      avgScore,
+      complete: rows.filter(r=>!r.issues.length).length
+    };
+  }
+};
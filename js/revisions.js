@@ -0,0 +1,144 @@
+// revisions.js
+// Per-destination revision history (admin saves, approvals, deletes, merges, restores).
+//
+// Only field-level diffs are stored: { field: { from, to } }, with `from`/`to`
+// left out when the field didn't exist on that side. Any earlier version is
+// rebuilt by undoing the newer diffs on top of the current record.
+//
+// Stored under CONFIG.STORAGE_KEYS.REVISIONS as { [destId]: [revision, …] }, oldest first.
+
+import { DB } from "./db.js";
+import { AUTH } from "./auth.js";
+import { UI } from "./ui.js";
+
+// Per-destination cap; the oldest revisions are dropped first.
+const MAX_PER_DESTINATION = 40;
+
+// Derived/bookkeeping fields that aren't worth a history entry.
+const IGNORED_FIELDS = new Set(["hoursSpec","editedFields"]);
+
+const ACTION_LABELS = {
+  create: "Created",
+  save: "Edited",
+  approve: "Approved submission",
+  delete: "Deleted",
+  merge: "Merged duplicates",
+  restore: "Restored"
+};
+
+const blank = (v)=> v == null || v === "" || (Array.isArray(v) && !v.length);
+const same = (a, b)=> JSON.stringify(a) === JSON.stringify(b);
+
+// { field: {from, to} } between two versions of a record (either may be null).
+function diff(prev, next){
+  const out = {};
+  const keys = new Set([...Object.keys(prev || {}), ...Object.keys(next || {})]);
+  for(const k of keys){
+    if(IGNORED_FIELDS.has(k)) continue;
+    const a = prev ? prev[k] : undefined;
+    const b = next ? next[k] : undefined;
+    if(blank(a) && blank(b)) continue;
+    if(same(a, b)) continue;
+    const change = {};
+    if(a !== undefined) change.from = a;
+    if(b !== undefined) change.to = b;
+    out[k] = change;
+  }
+  return out;
+}
+
+// Undo one revision: the record as it was before `rev` (null = didn't exist).
+function undo(record, rev){
+  const out = { ...(record || {}) };
+  for(const [k, change] of Object.entries(rev.changes || {})){
+    if("from" in change) out[k] = change.from;
+    else delete out[k];
+  }
+  return ("id" in out) ? out : null;
+}
+
+// Returns false (after telling the user) when the history couldn't be written.
+function saveAll(all){
+  try{
+    DB.saveRevisions(all);
+    return true;
+  }catch(_e){
+    // Storage is full: keep the newest half of every history and try once more.
+    for(const id of Object.keys(all)){
+      all[id] = all[id].slice(-Math.max(1, Math.floor(all[id].length / 2)));
+    }
+    try{
+      DB.saveRevisions(all);
+      UI.showToast("Storage is nearly full: older revision history was trimmed.", "info", 5000);
+      return true;
+    }catch(_e2){
+      UI.showToast("Storage is full: revision history for this change was not saved.", "danger", 8000);
+      return false;
+    }
+  }
+}
+
+function makeRevision(action, prev, next, note){
+  const changes = diff(prev, next);
+  if(!Object.keys(changes).length) return null;
+  const rev = {
+    id: `rev-${Date.now().toString(36)}-${Math.random().toString(36).slice(2,7)}`,
+    at: Date.now(),
+    by: AUTH.currentAdmin() || "unknown",
+    action,
+    changes
+  };
+  if(note) rev.note = note;
+  return rev;
+}
+
+export const REVISIONS = {
+  ACTION_LABELS,
+  diff,
+
+  // Store a revision for prev -> next. Returns it, or null when nothing changed
+  // (or the history couldn't be saved).
+  record(destId, action, prev, next, {note = ""} = {}){
+    return REVISIONS.recordMany([{ destId, action, prev, next, note }])[0];
+  },
+
+  // Bulk version of record() for imports, merges and geocoding: one read and one
+  // write for the lot. entries: [{destId, action, prev, next, note}]. Returns the
+  // revisions in entry order (null where nothing changed, all null if not saved).
+  recordMany(entries){
+    const revs = entries.map(e=>makeRevision(e.action, e.prev, e.next, e.note));
+    if(!revs.some(Boolean)) return revs;
+    const all = DB.getRevisions();
+    entries.forEach((e, i)=>{
+      if(!revs[i]) return;
+      all[e.destId] = [...(all[e.destId] || []), revs[i]].slice(-MAX_PER_DESTINATION);
+    });
+    return saveAll(all) ? revs : revs.map(()=>null);
+  },
+
+  // Newest first.
+  list(destId){
+    return (DB.getRevisions()[destId] || []).slice().reverse();
+  },
+
+  // [{destId, rev}] across every destination, newest first.
+  recent(limit = 50){
+    const out = [];
+    for(const [destId, revs] of Object.entries(DB.getRevisions())){
+      for(const rev of revs) out.push({ destId, rev });
+    }
+    return out.sort((a,b)=>b.rev.at - a.rev.at).slice(0, limit);
+  },
+
+  // The record right after revision `revId` (or right before it with {before:true}),
+  // rebuilt from `current` (null when the destination is deleted now).
+  versionAt(destId, revId, current, {before = false} = {}){
+    const revs = DB.getRevisions()[destId] || [];
+    const idx = revs.findIndex(r=>r.id === revId);
+    if(idx < 0) return undefined;
+    let record = current ? { ...current } : null;
+    const stop = before ? idx : idx + 1;
+    for(let i = revs.length - 1; i >= stop; i--) record = undo(record, revs[i]);
+    return record;
+  }
+};
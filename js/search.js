@@ -0,0 +1,301 @@
+// search.js
+// Typo-tolerant, token-based destination matching with relevance scoring.
+//
+// Every query token has to match somewhere (AND), in any order, so
+// "Tesco Daventry" finds "Daventry (Tesco)" and "Daventy" still finds Daventry.
+// Name and postcode hits outrank address, category, tags and notes (the shared
+// notes and the driver's own private notes from driverNotes.js).
+// Structured `key:value` filters are parsed out first (see FILTER_KEYS).
+
+import { POSTCODES } from "./postcodes.js";
+import { HOLIDAYS } from "./holidays.js";
+import { BRANDS } from "./brands.js";
+import { DRIVER_NOTES } from "./driverNotes.js";
+import { FACILITIES } from "./facilities.js";
+
+const FIELD_WEIGHTS = {
+  name: 10,
+  postcode: 10,
+  address: 5,
+  category: 4,
+  tags: 3,
+  myNotes: 3,
+  notes: 2
+};
+const TOP_WEIGHT = Math.max(...Object.values(FIELD_WEIGHTS));
+
+// Per-record token cache. Records are replaced (not mutated) on save, so a
+// WeakMap keyed by the record object stays correct without manual invalidation.
+const _index = new WeakMap();
+
+function tokenize(s){
+  return String(s || "")
+    .toLowerCase()
+    .normalize("NFKD").replace(/[\u0300-\u036f]/g, "")
+    .split(/[^a-z0-9]+/)
+    .filter(Boolean);
+}
+
+// Optimal string alignment distance (Levenshtein + adjacent transpositions),
+// bailing out once the distance is known to exceed `max`.
+function editDistance(a, b, max){
+  if(Math.abs(a.length - b.length) > max) return max + 1;
+  let prev2 = null;
+  let prev = Array.from({length: b.length + 1}, (_, j)=>j);
+  for(let i=1; i<=a.length; i++){
+    const cur = [i];
+    let rowMin = i;
+    for(let j=1; j<=b.length; j++){
+      const cost = a[i-1] === b[j-1] ? 0 : 1;
+      let v = Math.min(prev[j] + 1, cur[j-1] + 1, prev[j-1] + cost);
+      if(prev2 && i>1 && j>1 && a[i-1] === b[j-2] && a[i-2] === b[j-1]){
+        v = Math.min(v, prev2[j-2] + 1);
+      }
+      cur[j] = v;
+      if(v < rowMin) rowMin = v;
+    }
+    if(rowMin > max) return max + 1;
+    prev2 = prev;
+    prev = cur;
+  }
+  return prev[b.length];
+}
+
+function maxEditsFor(token){
+  if(token.length >= 7) return 2;
+  if(token.length >= 4) return 1;
+  return 0;
+}
+
+// 0..1 quality of a single query token against a single field token.
+function tokenMatch(q, t){
+  if(q === t) return 1;
+  if(t.startsWith(q)) return q.length >= 2 ? 0.9 : 0.5;
+  if(q.length >= 3 && t.includes(q)) return 0.7;
+  const max = maxEditsFor(q);
+  if(!max) return 0;
+  // Cheap pre-filter: a typo in both of the first two letters is rare enough to skip.
+  if(q[0] !== t[0] && q[1] !== t[1]) return 0;
+  // Compare against the same-length prefix too, so half-typed words still fuzz.
+  const d = Math.min(
+    editDistance(q, t, max),
+    t.length > q.length ? editDistance(q, t.slice(0, q.length), max) : max + 1
+  );
+  return d <= max ? 0.75 - 0.15 * d : 0;
+}
+
+function indexFor(d){
+  let idx = _index.get(d);
+  if(idx){
+    refreshMyNotes(idx, d);
+    return idx;
+  }
+  const postcodes = POSTCODES.extract(d.address);
+  idx = {
+    name: tokenize(d.name),
+    postcode: postcodes.flatMap(pc=>[...tokenize(pc), pc.replace(/\s+/g, "").toLowerCase()]),
+    address: tokenize(d.address),
+    category: tokenize(d.category),
+    tags: tokenize((d.tags || []).join(" ")),
+    notes: tokenize(d.notes),
+    nameLower: String(d.name || "").toLowerCase(),
+    addressCompact: String(d.address || "").replace(/\s+/g, "").toUpperCase()
+  };
+  _index.set(d, idx);
+  refreshMyNotes(idx, d);
+  return idx;
+}
+
+// Private notes change without the record changing, so they're re-read by version.
+function refreshMyNotes(idx, d){
+  const v = DRIVER_NOTES.version();
+  if(idx.myNotesVersion === v) return;
+  idx.myNotes = tokenize(DRIVER_NOTES.textFor(d.id));
+  idx.myNotesVersion = v;
+}
+
+// Highest district number per postcode area among `destinations` ({ CV: 47 }),
+// cached per list. "CV92" can only be "CV9 2…" when no CV district goes that high.
+const _districts = new WeakMap();
+function maxDistricts(destinations){
+  let out = _districts.get(destinations);
+  if(out) return out;
+  out = new Map();
+  for(const d of destinations){
+    for(const pc of POSTCODES.extract(d.address)){
+      const [, area, num] = pc.match(/^([A-Z]+)(\d+)/);
+      out.set(area, Math.max(out.get(area) || 0, Number(num)));
+    }
+  }
+  _districts.set(destinations, out);
+  return out;
+}
+
+// Structured query keys (e.g. `cat:RDC brand:Aldi has:showers pc:CV9 open:now`).
+// Repeating cat/brand/pc widens the match (OR); repeating has narrows it (AND).
+const FILTER_KEYS = {
+  cat: {
+    label: "Category",
+    match: (d, v)=> String(d.category || "").toLowerCase() === v.toLowerCase()
+  },
+  brand: {
+    label: "Brand",
+    match: (d, v)=> BRANDS.matches(d, v)
+  },
+  has: {
+    label: "Has",
+    all: true,
+    // Group names and their spellings resolve like the facility chips
+    // (has:toilets finds "Restroom facilities"); anything else is a substring.
+    match: (d, v)=>{
+      const key = FACILITIES.keyFor(v);
+      if(key) return FACILITIES.keysOf(d).has(key);
+      const want = v.toLowerCase().replace(/[-_]+/g, " ");
+      return (d.facilities || []).some(f=>String(f).toLowerCase().includes(want));
+    }
+  },
+  pc: {
+    label: "Postcode",
+    // "CV1" and "CV11" are those outcodes only (not CV10–CV13 or CV1 1…) and "CV"
+    // that area only; a value reaching into the inward code ("CV9 2", "CV92S", or
+    // "CV92" where no CV92 district exists) is a prefix of the full postcode.
+    match: (d, v, ctx)=>{
+      const value = v.trim().toUpperCase();
+      const want = value.replace(/\s+/g, "");
+      if(!want) return false;
+      const [outPart, inPart = ""] = value.split(/\s+/);
+      const outcode = want.match(/^([A-Z]{1,2})(\d[A-Z\d]?)$/);
+      const isOutcode = !!outcode && !(/^\d\d$/.test(outcode[2]) && Number(outcode[2]) > (ctx?.maxDistricts.get(outcode[1]) ?? Infinity));
+      return POSTCODES.extract(d.address).some(pc=>{
+        const [out, inward] = pc.split(" ");
+        if(value.includes(" ")) return out === outPart && inward.startsWith(inPart);
+        if(/^[A-Z]{1,2}$/.test(want)) return out.replace(/\d.*$/, "") === want;
+        if(isOutcode) return out === want;
+        return want.length > out.length && (out + inward).startsWith(want);
+      });
+    }
+  },
+  open: {
+    label: "Open",
+    match: (d, v)=>{
+      if(v.toLowerCase() !== "now") return true;
+      const {state} = HOLIDAYS.statusOf(d);
+      return state === "open" || state === "closing";
+    }
+  }
+};
+
+// Split a raw query into text words and `key:value` filters (values may be "quoted").
+function parseQuery(raw){
+  const parts = [];
+  const re = /(\S+?):"([^"]*)"?|"([^"]*)"?|(\S+)/g;
+  const src = String(raw || "");
+  let m;
+  while((m = re.exec(src))){
+    if(m[1] !== undefined){
+      const key = m[1].toLowerCase();
+      if(FILTER_KEYS[key]) parts.push({type:"filter", key, value:m[2], raw:m[0]});
+      else parts.push({type:"text", raw:m[0], value:`${m[1]}:${m[2]}`});
+      continue;
+    }
+    if(m[3] !== undefined){ parts.push({type:"text", raw:m[0], value:m[3]}); continue; }
+    const word = m[4];
+    const kv = word.match(/^([a-z]+):(.*)$/i);
+    if(kv && FILTER_KEYS[kv[1].toLowerCase()]){
+      parts.push({type:"filter", key:kv[1].toLowerCase(), value:kv[2], raw:word});
+    }else{
+      // Unknown keys ("foo:bar", "06:00") fall back to free text.
+      parts.push({type:"text", raw:word, value:word});
+    }
+  }
+  return {
+    parts,
+    text: parts.filter(p=>p.type==="text").map(p=>p.value).join(" ").trim(),
+    filters: parts.filter(p=>p.type==="filter" && p.value)
+  };
+}
+
+export const SEARCH = {
+  tokenize,
+  editDistance,
+  parseQuery,
+
+  filterLabel(key){
+    return FILTER_KEYS[key]?.label || key;
+  },
+
+  // Keep only destinations passing every structured filter in `filters`.
+  applyFilters(destinations, filters){
+    if(!filters?.length) return destinations;
+    const byKey = new Map();
+    for(const f of filters){
+      if(!byKey.has(f.key)) byKey.set(f.key, []);
+      byKey.get(f.key).push(f.value);
+    }
+    const ctx = byKey.has("pc") ? { maxDistricts: maxDistricts(destinations) } : null;
+    return destinations.filter(d=>{
+      for(const [key, values] of byKey){
+        const def = FILTER_KEYS[key];
+        const ok = def.all ? values.every(v=>def.match(d, v, ctx)) : values.some(v=>def.match(d, v, ctx));
+        if(!ok) return false;
+      }
+      return true;
+    });
+  },
+
+  // Raw query with the part at `index` (from parseQuery().parts) removed.
+  removePart(raw, index){
+    return parseQuery(raw).parts.filter((_, i)=>i!==index).map(p=>p.raw).join(" ");
+  },
+
+  // heuristic: postcode-like if contains both letters and digits and length >= 5
+  looksLikePostcode(raw){
+    const s = String(raw || "").replace(/\s+/g, "").toUpperCase();
+    return s.length >= 5 && /[A-Z]/.test(s) && /\d/.test(s);
+  },
+
+  // Relevance of one destination for a raw query (0 = no match).
+  score(d, raw){
+    const q = String(raw || "").trim();
+    if(!q) return 0;
+    const idx = indexFor(d);
+    const qTokens = tokenize(q);
+    if(!qTokens.length) return 0;
+
+    let total = 0;
+    for(const qt of qTokens){
+      let best = 0;
+      fields: for(const [field, weight] of Object.entries(FIELD_WEIGHTS)){
+        if(weight <= best) continue;
+        for(const t of idx[field]){
+          const m = tokenMatch(qt, t) * weight;
+          if(m > best) best = m;
+          if(best >= TOP_WEIGHT) break fields;
+        }
+      }
+      if(!best) return 0;
+      total += best;
+    }
+
+    // Whole phrase in the name (e.g. "tesco dav") reads as intent.
+    if(qTokens.length > 1 && idx.nameLower.includes(q.toLowerCase())) total += 5;
+
+    // Postcode search without spaces ("cv92sq", "CV9 2S") against the address.
+    if(SEARCH.looksLikePostcode(q)){
+      const compact = q.replace(/\s+/g, "").toUpperCase();
+      if(idx.addressCompact.includes(compact)) total = Math.max(total, FIELD_WEIGHTS.postcode * qTokens.length) + 2;
+    }
+    return total;
+  },
+
+  // Destinations matching `raw`, best first (ties by name).
+  rank(destinations, raw){
+    const scored = [];
+    for(const d of destinations){
+      const s = SEARCH.score(d, raw);
+      if(s > 0) scored.push({d, s});
+    }
+    scored.sort((a,b)=> (b.s - a.s) || (a.d.name||"").localeCompare(b.d.name||""));
+    return scored.map(x=>x.d);
+  }
+};
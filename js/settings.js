@@ -1,6 +1,10 @@
 import { DB } from "./db.js";
 import { UI } from "./ui.js";
 import { AUTH } from "./auth.js";
+import { downloadFile, escapeHtml } from "./utils.js";
+import { EXPORT_DIALOG } from "./exportDialog.js";
+import { DRIVER_NOTES } from "./driverNotes.js";
+import { VEHICLE } from "./vehicle.js";
 
 const NAV_OPTIONS = [
   {value:"tomtom", label:"TomTom (preferred)"},
@@ -16,10 +20,161 @@ const THEME_OPTIONS = [
   {value:"light", label:"Light (coming soon)"}
 ];
 
+// Add/edit a vehicle profile. Resolves to the saved profile, or null when cancelled.
+function openVehicleDialog(profile){
+  const p = profile || { name:"", heightUnit:"m", lst:false, adr:"" };
+  const {ft, inch} = p.height_m ? VEHICLE.mToFtIn(p.height_m) : { ft:"", inch:"" };
+  return new Promise(resolve=>{
+    const overlay = document.createElement("div");
+    overlay.className = "modalOverlay";
+    overlay.innerHTML = `
+      <div class="modal" style="max-width: 480px">
+        <div class="modalHeader">
+          <div class="h2">${profile ? "Edit vehicle" : "New vehicle"}</div>
+          <div class="small" style="margin-top:.25rem">Running height is the highest point of the loaded vehicle.</div>
+        </div>
+        <div class="modalBody vehicleForm">
+          <label class="field"><span class="label">Name</span>
+            <input class="input" id="v_name" maxlength="40" placeholder="e.g. Curtainsider 4.95" value="${escapeHtml(p.name || "")}">
+          </label>
+          <div class="field"><span class="label">Running height</span>
+            <div class="row2">
+              <select class="input" id="v_heightUnit">
+                <option value="m" ${p.heightUnit!=="ftin"?"selected":""}>Metres</option>
+                <option value="ftin" ${p.heightUnit==="ftin"?"selected":""}>Feet / inches</option>
+              </select>
+              <input class="input" id="v_height_m" inputmode="decimal" placeholder="4.95" value="${p.height_m ?? ""}">
+            </div>
+            <div class="row2" id="v_ftinRow">
+              <input class="input" id="v_ft" inputmode="numeric" placeholder="ft" value="${ft}">
+              <input class="input" id="v_in" inputmode="numeric" placeholder="in" value="${inch}">
+            </div>
+          </div>
+          <div class="row2">
+            <label class="field"><span class="label">Gross weight (t)</span>
+              <input class="input" id="v_weight" inputmode="decimal" placeholder="44" value="${p.weight_t ?? ""}">
+            </label>
+            <label class="field"><span class="label">Overall length (m)</span>
+              <input class="input" id="v_length" inputmode="decimal" placeholder="16.5" value="${p.length_m ?? ""}">
+            </label>
+          </div>
+          <div class="row2">
+            <label class="field"><span class="label">Width (m)</span>
+              <input class="input" id="v_width" inputmode="decimal" placeholder="2.55" value="${p.width_m ?? ""}">
+            </label>
+            <label class="field"><span class="label">ADR class</span>
+              <select class="input" id="v_adr">
+                ${VEHICLE.ADR_CLASSES.map(c=>`<option value="${c.value}" ${String(p.adr||"")===c.value?"selected":""}>${escapeHtml(c.label)}</option>`).join("")}
+              </select>
+            </label>
+          </div>
+          <label class="checkRow"><input type="checkbox" id="v_lst" ${p.lst?"checked":""}> <span>Longer semi-trailer (LST)</span></label>
+        </div>
+        <div class="modalFooter">
+          <button class="btn btn-ghost" id="v_cancel">Cancel</button>
+          <button class="btn btn-primary" id="v_save">Save</button>
+        </div>
+      </div>
+    `;
+    document.body.appendChild(overlay);
+    document.body.classList.add("modal-open");
+
+    const unitSel = overlay.querySelector("#v_heightUnit");
+    const mInput = overlay.querySelector("#v_height_m");
+    const ftinRow = overlay.querySelector("#v_ftinRow");
+    const syncUnit = ()=>{
+      const ftin = unitSel.value === "ftin";
+      mInput.style.display = ftin ? "none" : "";
+      ftinRow.style.display = ftin ? "" : "none";
+    };
+    unitSel.addEventListener("change", syncUnit);
+    syncUnit();
+
+    const close = (val)=>{ overlay.remove(); document.body.classList.remove("modal-open"); resolve(val); };
+    overlay.addEventListener("click", (e)=>{ if(e.target===overlay) close(null); });
+    overlay.querySelector("#v_cancel").addEventListener("click", ()=>close(null));
+    overlay.querySelector("#v_save").addEventListener("click", ()=>{
+      const val = (id)=> overlay.querySelector(id).value.trim();
+      const name = val("#v_name");
+      const heightUnit = unitSel.value;
+      const height_m = heightUnit === "ftin" ? VEHICLE.ftInToM(val("#v_ft"), val("#v_in")) : Number(val("#v_height_m")) || null;
+      if(!name){
+        UI.showToast("Give the vehicle a name.", "danger");
+        return;
+      }
+      if(!height_m || height_m < 2 || height_m > 6){
+        UI.showToast("Running height should be between 2 m and 6 m (6'7\" – 19'8\").", "danger");
+        return;
+      }
+      close(VEHICLE.save({
+        id: p.id,
+        name,
+        height_m,
+        heightUnit,
+        weight_t: val("#v_weight"),
+        length_m: val("#v_length"),
+        width_m: val("#v_width"),
+        adr: val("#v_adr"),
+        lst: overlay.querySelector("#v_lst").checked
+      }));
+    });
+  });
+}
+
+function renderVehicles(container){
+  const host = container.querySelector("#vehicleList");
+  if(!host) return;
+  const list = VEHICLE.profiles();
+  const active = VEHICLE.active();
+  host.innerHTML = list.map(p=>`
+    <label class="vehicleItem ${p.id===active?.id ? "active" : ""}">
+      <input type="radio" name="activeVehicle" value="${escapeHtml(p.id)}" ${p.id===active?.id ? "checked" : ""}>
+      <div style="flex:1; min-width:0">
+        <div style="font-weight:900">${escapeHtml(p.name)}</div>
+        <div class="small">${escapeHtml(VEHICLE.summary(p))}</div>
+      </div>
+      <button class="btn btn-ghost" data-vehicle-edit="${escapeHtml(p.id)}" type="button">Edit</button>
+      <button class="btn btn-ghost" data-vehicle-delete="${escapeHtml(p.id)}" type="button">Delete</button>
+    </label>
+  `).join("") || `<div class="small" style="opacity:.85">No vehicle yet. Add one so low bridges and routes can be checked against it.</div>`;
+
+  host.querySelectorAll("input[name=activeVehicle]").forEach(r=>{
+    r.addEventListener("change", ()=>{
+      VEHICLE.setActive(r.value);
+      renderVehicles(container);
+      UI.showToast(`Using ${escapeHtml(VEHICLE.active()?.name || "vehicle")}.`, "ok");
+    });
+  });
+  host.querySelectorAll("[data-vehicle-edit]").forEach(btn=>{
+    btn.addEventListener("click", async (e)=>{
+      e.preventDefault();
+      const p = list.find(x=>x.id===btn.dataset.vehicleEdit);
+      if(p && await openVehicleDialog(p)) renderVehicles(container);
+    });
+  });
+  host.querySelectorAll("[data-vehicle-delete]").forEach(btn=>{
+    btn.addEventListener("click", async (e)=>{
+      e.preventDefault();
+      const p = list.find(x=>x.id===btn.dataset.vehicleDelete);
+      if(!p) return;
+      const ok = await UI.confirm({
+        title: `Delete ${escapeHtml(p.name)}?`,
+        body: `<div class="small">The vehicle profile is removed from this device.</div>`,
+        okText: "Delete",
+        cancelText: "Cancel"
+      });
+      if(!ok) return;
+      VEHICLE.remove(p.id);
+      renderVehicles(container);
+    });
+  });
+}
+
 export const SETTINGS = {
   render(container){
     const s = DB.getSettings() || { navApp:"tomtom", units:"mi", theme:"dark" };
     const isAdmin = AUTH.isAdmin();
+    const lastMerge = DB.getLastSeedMerge();
 
     container.innerHTML = `
       <div style="padding:1rem">
@@ -42,6 +197,27 @@ export const SETTINGS = {
               </div>
             </div>
 
+            <div class="settingRow">
+              <div class="kv">
+                <div class="k">Distance units</div>
+                <div class="v">Used for "Near me" distances and route lengths.</div>
+              </div>
+              <div class="actions">
+                <select class="input" id="units" style="max-width:180px">
+                  ${UNIT_OPTIONS.map(o=>`<option value="${o.value}" ${s.units===o.value?"selected":""}>${o.label}</option>`).join("")}
+                </select>
+              </div>
+            </div>
+
+            <div class="settingRow">
+              <div class="kv">
+                <div class="k">Vehicles</div>
+                <div class="v">Height, weight and size used to check low bridges, LST routes and destinations. Keep one per trailer; the selected one is used.</div>
+              </div>
+              <button class="btn btn-ghost" id="addVehicleBtn" type="button">+ Vehicle</button>
+            </div>
+            <div class="vehicleList" id="vehicleList"></div>
+
             ${isAdmin ? `
             <div class="settingRow">
               <div class="kv">
@@ -74,6 +250,35 @@ export const SETTINGS = {
               </div>
             </div>
 
+            <div class="settingRow">
+              <div class="kv">
+                <div class="k">My notes</div>
+                <div class="v">Back up or restore your private site notes and their photos.</div>
+              </div>
+              <div style="display:flex; gap:.5rem; flex-wrap:wrap; justify-content:flex-end">
+                <button class="btn btn-ghost" id="notesExportBtn">Export</button>
+                <button class="btn btn-ghost" id="notesImportBtn">Import</button>
+              </div>
+            </div>
+
+            <div class="settingRow">
+              <div class="kv">
+                <div class="k">Map files</div>
+                <div class="v">Export destinations or favourites as GeoJSON, KML or GPX.</div>
+              </div>
+              <button class="btn btn-ghost" id="geoExportBtn">Export</button>
+            </div>
+
+            <div class="settingRow">
+              <div class="kv">
+                <div class="k">Destination data</div>
+                <div class="v">${lastMerge
+                  ? `Seed v${escapeHtml(String(DB.getSeedVersion()))} • last update ${new Date(lastMerge.at).toLocaleDateString()}: ${lastMerge.added} new, ${lastMerge.updated} changed`
+                  : `Seed v${escapeHtml(String(DB.getSeedVersion()))} • no updates merged yet`}</div>
+              </div>
+              ${lastMerge ? `<button class="btn btn-ghost" id="seedMergeBtn">Details</button>` : ``}
+            </div>
+
             <div class="settingRow">
               <div class="kv">
                 <div class="k">About</div>
@@ -91,6 +296,12 @@ export const SETTINGS = {
     `;
 
 
+    renderVehicles(container);
+    const addVehicleBtn = container.querySelector("#addVehicleBtn");
+    if(addVehicleBtn) addVehicleBtn.addEventListener("click", async ()=>{
+      if(await openVehicleDialog(null)) renderVehicles(container);
+    });
+
     // Driver mode toggle
     const driverT = container.querySelector("#driverModeToggle");
     if(driverT){
@@ -133,15 +344,36 @@ export const SETTINGS = {
 
     const _el1 = container.querySelector("#saveBtn");
     if(_el1) _el1.addEventListener("click", ()=>{
-      const newS = {
-        navApp: navApp.value,
-        units: units.value,
-        theme: theme.value
-      };
+      // Merge so toggles saved elsewhere (driver mode, biometrics) aren't wiped.
+      const newS = { ...(DB.getSettings() || {}) };
+      if(navApp) newS.navApp = navApp.value;
+      if(units) newS.units = units.value;
+      if(theme) newS.theme = theme.value;
       DB.saveSettings(newS);
       UI.showToast("Settings saved", "ok");
     });
 
+    const seedMergeBtn = container.querySelector("#seedMergeBtn");
+    if(seedMergeBtn) seedMergeBtn.addEventListener("click", ()=>{
+      const m = lastMerge;
+      const list = (names, total)=> names.length
+        ? `<ul style="margin:.35rem 0 0 1rem; list-style:disc">${names.map(n=>`<li>${escapeHtml(n)}</li>`).join("")}</ul>${total > names.length ? `<div style="margin-top:.25rem">…and ${total - names.length} more</div>` : ""}`
+        : `<div>None</div>`;
+      UI.modal({
+        title: "Destination data update",
+        body: `<div class="small">
+          Merged seed v${escapeHtml(String(m.fromVersion || 0))} → v${escapeHtml(String(m.toVersion))} on ${new Date(m.at).toLocaleString()}.
+          Your favourites and admin-edited fields were kept (${m.keptEdits} field${m.keptEdits===1?"":"s"}).
+          <div style="margin-top:.75rem; font-weight:900">New (${m.added})</div>
+          ${list(m.addedNames || [], m.added)}
+          <div style="margin-top:.75rem; font-weight:900">Changed (${m.updated})</div>
+          ${list(m.updatedNames || [], m.updated)}
+        </div>`,
+        okText: "Close",
+        variant: "alert"
+      });
+    });
+
     const _el2 = container.querySelector("#aboutBtn");
     if(_el2) _el2.addEventListener("click", ()=>{
       UI.modal({
@@ -157,28 +389,79 @@ export const SETTINGS = {
     });
 
     const exportBtn = container.querySelector("#exportBtn");
-    if(exportBtn) exportBtn.addEventListener("click", ()=>{
+    if(exportBtn) exportBtn.addEventListener("click", async ()=>{
       const payload = {
         exportedAt: Date.now(),
         destinations: DB.getDestinations() || [],
         submissions: DB.getSubmissions() || [],
-        settings: DB.getSettings()
+        settings: DB.getSettings(),
+        // Private notes travel with their photos inlined (they're only on this device).
+        driverNotes: await DRIVER_NOTES.exportAll()
       };
-      const blob = new Blob([JSON.stringify(payload, null, 2)], {type:"application/json"});
-      const url = URL.createObjectURL(blob);
-      const a = document.createElement("a");
-      a.href = url;
-      a.download = "hgv-destinations-pro-backup.json";
-      a.click();
-      URL.revokeObjectURL(url);
+      downloadFile("hgv-destinations-pro-backup.json", JSON.stringify(payload, null, 2), "application/json");
       UI.showToast("Exported backup file.", "ok");
     });
 
+    // Private notes only; a full backup file (which also has `driverNotes`) imports here too.
+    const notesExportBtn = container.querySelector("#notesExportBtn");
+    if(notesExportBtn) notesExportBtn.addEventListener("click", async ()=>{
+      const driverNotes = await DRIVER_NOTES.exportAll();
+      const count = Object.values(driverNotes.notes).reduce((n, list)=>n + list.length, 0);
+      if(!count){
+        UI.showToast("No notes to export yet.", "info");
+        return;
+      }
+      downloadFile("hgv-my-notes.json", JSON.stringify({ exportedAt: Date.now(), driverNotes }, null, 2), "application/json");
+      UI.showToast(`Exported ${count} note${count===1?"":"s"}.`, "ok");
+    });
+
+    const notesImportBtn = container.querySelector("#notesImportBtn");
+    if(notesImportBtn) notesImportBtn.addEventListener("click", async ()=>{
+      const ok = await UI.confirm({
+        title: "Import notes?",
+        body: `<div class="small">This replaces the private notes on this device with the ones in the file.</div>`,
+        okText: "Continue",
+        cancelText: "Cancel"
+      });
+      if(!ok) return;
+
+      const input = document.createElement("input");
+      input.type = "file";
+      input.accept = "application/json";
+      input.onchange = async ()=>{
+        const file = input.files?.[0];
+        if(!file) return;
+        try{
+          const data = JSON.parse(await file.text());
+          if(!data.driverNotes) throw new Error("No notes in file");
+          const count = await DRIVER_NOTES.importAll(data.driverNotes);
+          UI.showToast(`Imported ${count} note${count===1?"":"s"}.`, "ok");
+        }catch(_e){
+          UI.showToast("Import failed (no notes in that file).", "danger");
+        }
+      };
+      input.click();
+    });
+
+    const geoExportBtn = container.querySelector("#geoExportBtn");
+    if(geoExportBtn) geoExportBtn.addEventListener("click", ()=>{
+      const all = DB.getDestinations() || [];
+      const byIds = (ids)=>ids.map(id=>all.find(d=>d.id===id)).filter(Boolean);
+      const favLists = DB.getFavouriteLists().lists;
+      EXPORT_DIALOG.open({
+        scopes: [
+          { key:"all", label:"All destinations", title:"HGV destinations", list: ()=>DB.getDestinations() || [] },
+          { key:"favourites", label:"All favourites", title:"HGV favourites", list: ()=>byIds(DB.getFavourites()) },
+          ...(favLists.length > 1 ? favLists.map(l=>({ key:`list:${l.id}`, label:l.name, title:`HGV ${l.name}`, list: ()=>byIds(l.ids) })) : [])
+        ]
+      });
+    });
+
     const _el3 = container.querySelector("#importBtn");
     if(_el3) _el3.addEventListener("click", async ()=>{
       const ok = await UI.confirm({
         title: "Import backup?",
-        body: `<div class="small">This will replace your local destinations/submissions/settings with the backup file.</div>`,
+        body: `<div class="small">This will replace your local destinations/submissions/settings (and your private notes, if the backup has them) with the backup file.</div>`,
         okText: "Continue",
         cancelText: "Cancel"
       });
@@ -196,6 +479,7 @@ export const SETTINGS = {
           if(data.destinations) DB.saveDestinations(data.destinations);
           if(data.submissions) DB.saveSubmissions(data.submissions);
           if(data.settings) DB.saveSettings(data.settings);
+          if(data.driverNotes) await DRIVER_NOTES.importAll(data.driverNotes);
           UI.showToast("Imported successfully. Reloading…", "ok", 1800);
           setTimeout(()=>location.reload(), 900);
         }catch(e){
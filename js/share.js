@@ -0,0 +1,131 @@
+// share.js
+// Share a destination as a link + locally drawn QR code.
+//
+// Links open the #destination/<id> route. They also carry a compact copy of the
+// site (name, address, coords, gate info) in "?s=", so a phone whose data
+// doesn't have that id (older seed, admin-added site) can still show it.
+
+import { QR } from "./qrcode.js";
+import { UI } from "./ui.js";
+import { escapeHtml } from "./utils.js";
+
+// Keeps the QR code small enough to scan off a phone screen.
+const MAX_LEN = { n: 120, a: 200, g: 400 };
+
+function toBase64Url(text){
+  const bytes = new TextEncoder().encode(text);
+  let bin = "";
+  bytes.forEach(b=>{ bin += String.fromCharCode(b); });
+  return btoa(bin).replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, "");
+}
+
+function fromBase64Url(s){
+  const b64 = String(s).replace(/-/g, "+").replace(/_/g, "/");
+  const bin = atob(b64 + "===".slice((b64.length + 3) % 4));
+  return new TextDecoder().decode(Uint8Array.from(bin, c=>c.charCodeAt(0)));
+}
+
+function clip(s, max){
+  const t = String(s || "").trim();
+  return t.length > max ? `${t.slice(0, max - 1)}…` : t;
+}
+
+export const SHARE = {
+  // Compact payload string for "?s=".
+  encode(d){
+    const p = { n: clip(d.name, MAX_LEN.n), a: clip(d.address, MAX_LEN.a) };
+    const lat = Number(d.lat);
+    const lon = Number(d.lon);
+    if(d.lat != null && d.lat !== "" && Number.isFinite(lat) && Number.isFinite(lon)){
+      p.la = Math.round(lat * 1e5) / 1e5;
+      p.lo = Math.round(lon * 1e5) / 1e5;
+    }
+    if(d.gateInfo) p.g = clip(d.gateInfo, MAX_LEN.g);
+    return toBase64Url(JSON.stringify(p));
+  },
+
+  // Payload -> read-only destination-like object (null when unreadable).
+  decode(s){
+    if(!s) return null;
+    try{
+      const p = JSON.parse(fromBase64Url(s));
+      if(!p || typeof p.n !== "string") return null;
+      return {
+        name: p.n,
+        address: typeof p.a === "string" ? p.a : "",
+        lat: Number.isFinite(p.la) ? p.la : null,
+        lon: Number.isFinite(p.lo) ? p.lo : null,
+        gateInfo: typeof p.g === "string" ? p.g : ""
+      };
+    }catch(_e){
+      return null;
+    }
+  },
+
+  urlFor(d){
+    const base = `${location.origin}${location.pathname}`;
+    return `${base}#destination/${encodeURIComponent(d.id)}?s=${SHARE.encode(d)}`;
+  },
+
+  // Share dialog: QR code, the link, copy and (where supported) the system share sheet.
+  open(d){
+    const url = SHARE.urlFor(d);
+    const overlay = document.createElement("div");
+    overlay.className = "modalOverlay";
+    overlay.innerHTML = `
+      <div class="modal" style="max-width: 420px">
+        <div class="modalHeader">
+          <div class="h2">Share ${escapeHtml(d.name || "destination")}</div>
+          <div class="small" style="margin-top:.25rem">Scan with another phone's camera, or send the link.</div>
+        </div>
+        <div class="modalBody" style="display:grid; gap:.8rem; justify-items:center">
+          <canvas class="shareQr" aria-label="QR code for this destination"></canvas>
+          <input class="input" id="shareUrl" readonly value="${escapeHtml(url)}" style="width:100%">
+        </div>
+        <div class="modalFooter">
+          <button class="btn btn-ghost" id="shareClose">Close</button>
+          ${navigator.share ? `<button class="btn btn-ghost" id="shareNative">Share…</button>` : ""}
+          <button class="btn btn-primary" id="shareCopy">Copy link</button>
+        </div>
+      </div>
+    `;
+    document.body.appendChild(overlay);
+    document.body.classList.add("modal-open");
+
+    try{
+      QR.draw(overlay.querySelector(".shareQr"), QR.encode(url), { scale: 5 });
+    }catch(_e){
+      overlay.querySelector(".shareQr").replaceWith(Object.assign(document.createElement("div"), {
+        className: "small",
+        textContent: "This link is too long for a QR code. Copy it instead."
+      }));
+    }
+
+    const urlEl = overlay.querySelector("#shareUrl");
+    urlEl.addEventListener("focus", ()=>urlEl.select());
+
+    const close = ()=>{ overlay.remove(); document.body.classList.remove("modal-open"); };
+    overlay.addEventListener("click", (e)=>{ if(e.target===overlay) close(); });
+    overlay.querySelector("#shareClose").addEventListener("click", close);
+
+    overlay.querySelector("#shareCopy").addEventListener("click", async ()=>{
+      try{
+        await navigator.clipboard.writeText(url);
+        UI.showToast("Link copied.", "ok");
+      }catch(_e){
+        urlEl.focus();
+        urlEl.select();
+        UI.showToast("Select the link and copy it.", "info");
+      }
+    });
+
+    const nativeBtn = overlay.querySelector("#shareNative");
+    if(nativeBtn){
+      nativeBtn.addEventListener("click", async ()=>{
+        try{
+          await navigator.share({ title: d.name || "Destination", text: d.address || "", url });
+        }catch(_e){ /* cancelled */ }
+      });
+    }
+  }
+};
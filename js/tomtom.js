@@ -0,0 +1,88 @@
+// tomtom.js
+// TomTom device files: .ov2 POI lists (binary) and .itn itineraries (text).
+//
+// .ov2 is a run of "simple POI" records, all little-endian:
+//   type (1 byte, 2) | record length (int32, incl. header) | lon*1e5 (int32) | lat*1e5 (int32) | name, NUL-terminated
+// .itn is one stop per line: "lon*1e5|lat*1e5|description|flag|"
+//   flag 4 = departure, 2 = final destination, 0 = waypoint.
+// Both use single-byte (Windows-1252 / Latin-1) text.
+
+// Older units refuse itineraries with more stops than this.
+const ITN_MAX_STOPS = 48;
+const OV2_NAME_MAX = 255;
+
+// Text -> Latin-1 bytes; typographic punctuation is flattened, anything else non-Latin-1 becomes "?".
+function latin1(s){
+  const flat = String(s || "")
+    .replace(/[\u2010-\u2015\u2212]/g, "-")
+    .replace(/[\u2018\u2019]/g, "'")
+    .replace(/[\u201C\u201D]/g, '"')
+    .replace(/\u2026/g, "...")
+    .replace(/\s+/g, " ")
+    .trim();
+  const out = new Uint8Array(flat.length);
+  for(let i=0;i<flat.length;i++){
+    const c = flat.charCodeAt(i);
+    out[i] = c < 256 ? c : 63;
+  }
+  return out;
+}
+
+function coord(v){
+  return Math.round(Number(v) * 100000);
+}
+
+function poiName(d){
+  const pc = String(d.address || "").match(/[A-Z]{1,2}\d[A-Z\d]?\s*\d[A-Z]{2}\s*$/i);
+  return pc && !String(d.name || "").includes(pc[0].trim()) ? `${d.name} (${pc[0].trim().toUpperCase()})` : (d.name || "");
+}
+
+// [{d, pos}] -> Uint8Array
+function toOV2(list){
+  const names = list.map(({d})=>latin1(poiName(d)).slice(0, OV2_NAME_MAX));
+  const total = names.reduce((n, name)=>n + 13 + name.length + 1, 0);
+  const buf = new Uint8Array(total);
+  const view = new DataView(buf.buffer);
+  let o = 0;
+  list.forEach(({pos}, i)=>{
+    const name = names[i];
+    const len = 13 + name.length + 1;
+    view.setUint8(o, 2);
+    view.setInt32(o + 1, len, true);
+    view.setInt32(o + 5, coord(pos.lng), true);
+    view.setInt32(o + 9, coord(pos.lat), true);
+    buf.set(name, o + 13);
+    buf[o + len - 1] = 0;
+    o += len;
+  });
+  return buf;
+}
+
+// [{d, pos}] in driving order -> Uint8Array (Latin-1 text, CRLF lines)
+function toITN(list){
+  const lines = list.map(({d, pos}, i)=>{
+    const flag = i === 0 ? 4 : (i === list.length - 1 ? 2 : 0);
+    const desc = poiName(d).replace(/\|/g, "/");
+    return `${coord(pos.lng)}|${coord(pos.lat)}|${desc}|${flag}|`;
+  });
+  return latin1Lines(lines);
+}
+
+function latin1Lines(lines){
+  const parts = lines.map(l=>latin1(l));
+  const out = new Uint8Array(parts.reduce((n, p)=>n + p.length + 2, 0));
+  let o = 0;
+  for(const p of parts){
+    out.set(p, o);
+    o += p.length;
+    out[o++] = 13;
+    out[o++] = 10;
+  }
+  return out;
+}
+
+export const TOMTOM = {
+  ITN_MAX_STOPS,
+  toOV2,
+  toITN
+};
@@ -13,6 +13,90 @@ export function fmtDistanceKm(km){
   if(km == null || Number.isNaN(km)) return "";
   return km < 1 ? `${Math.round(km*1000)} m` : `${km.toFixed(1)} km`;
 }
+// Distance in the user's units setting ("mi" | "km").
+export function fmtDistance(km, units="mi"){
+  if(km == null || Number.isNaN(km)) return "";
+  if(units === "km") return fmtDistanceKm(km);
+  const mi = km / 1.609344;
+  return mi < 0.1 ? `${Math.round(mi*1760)} yd` : `${mi < 10 ? mi.toFixed(1) : Math.round(mi)} mi`;
+}
+export function haversineKm(a, b){
+  const toRad = (deg) => (deg * Math.PI) / 180;
+  const dLat = toRad(b.lat - a.lat);
+  const dLng = toRad(b.lng - a.lng);
+  const s1 = Math.sin(dLat/2);
+  const s2 = Math.sin(dLng/2);
+  const h = s1*s1 + Math.cos(toRad(a.lat))*Math.cos(toRad(b.lat))*s2*s2;
+  return 2 * 6371 * Math.asin(Math.sqrt(h));
+}
+// Local calendar date as "YYYY-MM-DD".
+export function isoDate(date = new Date()){
+  const m = String(date.getMonth() + 1).padStart(2, "0");
+  const d = String(date.getDate()).padStart(2, "0");
+  return `${date.getFullYear()}-${m}-${d}`;
+}
+// Elapsed milliseconds as "40s ago" / "5m ago" / "3h ago" / "2d ago".
+export function formatAgo(ms){
+  const s=Math.floor(ms/1000); if(s<60) return `${s}s ago`;
+  const m=Math.floor(s/60); if(m<60) return `${m}m ago`;
+  const h=Math.floor(m/60); if(h<48) return `${h}h ago`;
+  const d=Math.floor(h/24); return `${d}d ago`;
+}
 export function escapeHtml(s=""){
   return s.replace(/[&<>"']/g, c=>({ "&":"&amp;","<":"&lt;",">":"&gt;",'"':"&quot;","'":"&#39;" }[c]));
 }
+// CSV/TSV text -> array of rows (quoted cells may contain delimiters, "" and new lines).
+// The delimiter is guessed from the first line when not given (tab, semicolon or comma).
+// Blank lines are dropped, so each row carries `row.line`: the 1-based source line it starts on.
+export function parseDelimited(text, delim){
+  const src = String(text || "").replace(/^\uFEFF/, "");
+  if(!delim){
+    const first = src.split(/\r?\n/, 1)[0] || "";
+    const count = (ch)=> first.split(ch).length - 1;
+    delim = count("\t") ? "\t" : (count(";") > count(",") ? ";" : ",");
+  }
+  const rows = [];
+  let row = [];
+  let cur = "";
+  let quoted = false;
+  let line = 1;
+  row.line = line;
+  for(let i=0;i<src.length;i++){
+    const ch = src[i];
+    if(quoted){
+      if(ch === '"' && src[i+1] === '"'){ cur += '"'; i++; }
+      else if(ch === '"') quoted = false;
+      else{
+        cur += ch;
+        if(ch === "\n" || (ch === "\r" && src[i+1] !== "\n")) line++;
+      }
+    }else if(ch === '"'){
+      quoted = true;
+    }else if(ch === delim){
+      row.push(cur); cur = "";
+    }else if(ch === "\n" || ch === "\r"){
+      if(ch === "\r" && src[i+1] === "\n") i++;
+      row.push(cur); cur = "";
+      if(row.some(c=>c.trim())) rows.push(row);
+      row = [];
+      row.line = ++line;
+    }else{
+      cur += ch;
+    }
+  }
+  row.push(cur);
+  if(row.some(c=>c.trim())) rows.push(row);
+  return rows;
+}
+// Save `data` (string, Blob or ArrayBuffer/typed array) as a file download.
+export function downloadFile(filename, data, mime="application/octet-stream"){
+  const blob = data instanceof Blob ? data : new Blob([data], {type: mime});
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  setTimeout(()=>URL.revokeObjectURL(url), 1000);
+}
@@ -0,0 +1,149 @@
+// vehicle.js
+// Vehicle profiles (running height, weight, length, width, LST, ADR class) and
+// the checks other pages run against the active one.
+//
+// Profiles live in settings (DB.getSettings().vehicles, with `activeVehicle`
+// holding the selected id), so drivers can keep one per trailer and swap.
+// Heights are stored in metres; `heightUnit` only picks how they're shown.
+
+import { DB } from "./db.js";
+
+// Bridges less than this much above the vehicle are flagged as tight.
+const TIGHT_MARGIN_M = 0.15;
+// Longest LST combination (tractor + 15.65 m trailer) allowed under the 2023 rules.
+// Profiles store overall length, so this is compared against that, not the trailer.
+const LST_MAX_LENGTH_M = 18.55;
+
+const ADR_CLASSES = [
+  { value:"", label:"None" },
+  { value:"1", label:"1 Explosives" },
+  { value:"2", label:"2 Gases" },
+  { value:"3", label:"3 Flammable liquids" },
+  { value:"4", label:"4 Flammable solids" },
+  { value:"5", label:"5 Oxidisers / organic peroxides" },
+  { value:"6", label:"6 Toxic / infectious" },
+  { value:"7", label:"7 Radioactive" },
+  { value:"8", label:"8 Corrosives" },
+  { value:"9", label:"9 Miscellaneous" }
+];
+
+function num(v){
+  const n = Number(v);
+  return Number.isFinite(n) && n > 0 ? n : null;
+}
+
+function normalize(p){
+  return {
+    id: String(p.id || ""),
+    name: String(p.name || "Vehicle").trim().slice(0, 40) || "Vehicle",
+    height_m: num(p.height_m),
+    heightUnit: p.heightUnit === "ftin" ? "ftin" : "m",
+    weight_t: num(p.weight_t),
+    length_m: num(p.length_m),
+    width_m: num(p.width_m),
+    lst: !!p.lst,
+    adr: ADR_CLASSES.some(c=>c.value === String(p.adr || "")) ? String(p.adr || "") : ""
+  };
+}
+
+function profileId(){
+  return `veh-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`;
+}
+
+function saveAll(vehicles, activeVehicle){
+  DB.saveSettings({ ...DB.getSettings(), vehicles, activeVehicle });
+}
+
+export const VEHICLE = {
+  ADR_CLASSES,
+  LST_MAX_LENGTH_M,
+
+  profiles(){
+    const v = DB.getSettings().vehicles;
+    return (Array.isArray(v) ? v : []).filter(p=>p && p.id).map(normalize);
+  },
+
+  // The selected profile (or the first one), null when none are set up.
+  active(){
+    const list = VEHICLE.profiles();
+    const id = DB.getSettings().activeVehicle;
+    return list.find(p=>p.id===id) || list[0] || null;
+  },
+
+  setActive(id){
+    const list = VEHICLE.profiles();
+    if(!list.some(p=>p.id===id)) return;
+    saveAll(list, id);
+  },
+
+  // Create (no id) or update a profile. Returns the stored profile.
+  save(profile){
+    const list = VEHICLE.profiles();
+    const p = normalize({ ...profile, id: profile.id || profileId() });
+    const idx = list.findIndex(x=>x.id===p.id);
+    if(idx >= 0) list[idx] = p;
+    else list.push(p);
+    const activeId = VEHICLE.active()?.id || p.id;
+    saveAll(list, activeId);
+    return p;
+  },
+
+  remove(id){
+    const list = VEHICLE.profiles().filter(p=>p.id!==id);
+    const cur = DB.getSettings().activeVehicle;
+    saveAll(list, cur === id ? (list[0]?.id || "") : cur);
+  },
+
+  ftInToM(ft, inch){
+    const total = (Number(ft) || 0) * 12 + (Number(inch) || 0);
+    return total > 0 ? Math.round(total * 0.0254 * 1000) / 1000 : null;
+  },
+
+  mToFtIn(m){
+    const total = Math.round(Number(m) / 0.0254);
+    return { ft: Math.floor(total / 12), inch: total % 12 };
+  },
+
+  // "4.95 m" or "16'3"" in the profile's chosen unit (defaults to metres).
+  heightLabel(m, unit = "m"){
+    if(!Number.isFinite(m)) return "—";
+    if(unit === "ftin"){
+      const {ft, inch} = VEHICLE.mToFtIn(m);
+      return `${ft}'${inch}"`;
+    }
+    return `${m.toFixed(2)} m`;
+  },
+
+  // One-line summary: "4.95 m • 44 t • 16.5 m long • LST • ADR 3".
+  summary(p){
+    if(!p) return "";
+    return [
+      p.height_m ? VEHICLE.heightLabel(p.height_m, p.heightUnit) : "",
+      p.weight_t ? `${p.weight_t} t` : "",
+      p.length_m ? `${p.length_m} m long` : "",
+      p.width_m ? `${p.width_m} m wide` : "",
+      p.lst ? "LST" : "",
+      p.adr ? `ADR ${p.adr}` : ""
+    ].filter(Boolean).join(" • ");
+  },
+
+  // Bridge vs vehicle height: "low" (at or below the vehicle: it won't fit),
+  // "tight", "ok" or "unknown".
+  bridgeCheck(bridge, p = VEHICLE.active()){
+    const h = Number(bridge?.height_m);
+    if(!p?.height_m || bridge?.height_m == null || !Number.isFinite(h)) return "unknown";
+    if(h <= p.height_m) return "low";
+    if(h < p.height_m + TIGHT_MARGIN_M) return "tight";
+    return "ok";
+  },
+
+  // Warnings for driving an LST route with this profile (empty = fine).
+  lstWarnings(p = VEHICLE.active()){
+    if(!p) return [];
+    const out = [];
+    if(!p.lst) out.push(`${p.name} isn't set up as a longer semi-trailer. These route plans only apply to LSTs.`);
+    if(p.lst && p.length_m && p.length_m > LST_MAX_LENGTH_M) out.push(`${p.name} is ${p.length_m} m long, over the ${LST_MAX_LENGTH_M} m LST combination maximum.`);
+    if(p.adr) out.push(`ADR class ${p.adr} load: check tunnel and route restrictions before using these plans.`);
+    return out;
+  }
+};
@@ -0,0 +1,141 @@
+// visits.js
+// Driver-logged visits (arrived → tipping started → departed) and the wait /
+// tip times they add up to.
+//
+//   wait = arrival → tip start      tip = tip start → departure
+//
+// Stats are rolling: only the most recent ROLLING_WINDOW timed spans count,
+// overall and per time-of-day slot (by arrival time, SLOT_HOURS wide), so a
+// site that changed its booking system catches up quickly.
+//
+// Stored under CONFIG.STORAGE_KEYS.VISITS as { [destId]: [visit, …] }, oldest first:
+//   { id, arrivedAt, tipStartAt?, departedAt? } (ms timestamps)
+
+import { DB } from "./db.js";
+
+const MAX_PER_DESTINATION = 100;
+const ROLLING_WINDOW = 30;
+const SLOT_HOURS = 2;
+// Longer than this is a forgotten "Departed" tap, not a real wait.
+const MAX_SPAN_MS = 12 * 3600_000;
+
+function visitId(){
+  return `visit-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`;
+}
+
+function listFor(all, destId){
+  return Array.isArray(all[destId]) ? all[destId] : [];
+}
+
+function span(from, to){
+  if(!Number.isFinite(from) || !Number.isFinite(to)) return null;
+  const ms = to - from;
+  return ms >= 0 && ms <= MAX_SPAN_MS ? ms / 60000 : null;
+}
+
+function summarise(mins){
+  if(!mins.length) return null;
+  const sorted = mins.slice().sort((a,b)=>a-b);
+  const mid = Math.floor(sorted.length / 2);
+  return {
+    count: mins.length,
+    avg: mins.reduce((a,b)=>a+b, 0) / mins.length,
+    median: sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2
+  };
+}
+
+function slotOf(ms){
+  return Math.floor(new Date(ms).getHours() / SLOT_HOURS) * SLOT_HOURS;
+}
+
+function slotLabel(hour){
+  return `${String(hour).padStart(2, "0")}:00`;
+}
+
+// { wait, tip } summaries over the newest ROLLING_WINDOW visits that have each span.
+function statsOf(visits){
+  const newest = visits.slice().reverse();
+  const waits = newest.map(v=>span(v.arrivedAt, v.tipStartAt)).filter(m=>m != null).slice(0, ROLLING_WINDOW);
+  const tips = newest.map(v=>span(v.tipStartAt, v.departedAt)).filter(m=>m != null).slice(0, ROLLING_WINDOW);
+  return { wait: summarise(waits), tip: summarise(tips) };
+}
+
+export const VISITS = {
+  ROLLING_WINDOW,
+  SLOT_HOURS,
+
+  // All visits for a destination, newest first.
+  list(destId){
+    return listFor(DB.getVisits(), destId).slice().reverse();
+  },
+
+  // The visit still in progress (no departure yet), if any.
+  open(destId){
+    return VISITS.list(destId).find(v=>!v.departedAt) || null;
+  },
+
+  arrive(destId, at = Date.now()){
+    const all = DB.getVisits();
+    const visit = { id: visitId(), arrivedAt: at };
+    all[destId] = [...listFor(all, destId), visit].slice(-MAX_PER_DESTINATION);
+    DB.saveVisits(all);
+    return visit;
+  },
+
+  // field: "arrivedAt" | "tipStartAt" | "departedAt"
+  set(destId, id, field, at = Date.now()){
+    const all = DB.getVisits();
+    const v = listFor(all, destId).find(x=>x.id===id);
+    if(!v || !["arrivedAt","tipStartAt","departedAt"].includes(field)) return;
+    v[field] = at;
+    DB.saveVisits(all);
+  },
+
+  // "HH:MM" typed for `field` -> timestamp on the arrival day. Tip start and
+  // departure roll over to the next day when they'd otherwise be before arrival.
+  timeOn(visit, hhmm, field){
+    const m = String(hhmm || "").match(/^(\d{1,2}):(\d{2})$/);
+    if(!m) return null;
+    const d = new Date(visit.arrivedAt);
+    d.setHours(Number(m[1]), Number(m[2]), 0, 0);
+    const t = d.getTime();
+    return field !== "arrivedAt" && t < visit.arrivedAt ? t + 86400_000 : t;
+  },
+
+  remove(destId, id){
+    const all = DB.getVisits();
+    all[destId] = listFor(all, destId).filter(v=>v.id!==id);
+    if(!all[destId].length) delete all[destId];
+    DB.saveVisits(all);
+  },
+
+  // {
+  //   visits: visits that reached tip start, wait: {count, avg, median} | null, tip: … | null,
+  //   slots: [{ hour, label, wait, tip }] (only slots with data, by hour)
+  // }
+  stats(destId){
+    const visits = listFor(DB.getVisits(), destId).filter(v=>v.departedAt || v.tipStartAt);
+    const bySlot = new Map();
+    for(const v of visits){
+      const hour = slotOf(v.arrivedAt);
+      if(!bySlot.has(hour)) bySlot.set(hour, []);
+      bySlot.get(hour).push(v);
+    }
+    const slots = [...bySlot.entries()]
+      .sort((a,b)=>a[0]-b[0])
+      .map(([hour, list])=>({ hour, label: slotLabel(hour), ...statsOf(list) }))
+      .filter(s=>s.wait || s.tip);
+    return { visits: visits.length, ...statsOf(visits), slots };
+  },
+
+  // Slot hour a time falls into (to highlight "now").
+  slotOf,
+
+  // Minutes -> "~45 min" / "~1 h 20 min" (rounded to 5 min).
+  fmtMinutes(mins){
+    const m = Math.max(5, Math.round(mins / 5) * 5);
+    if(m < 60) return `~${m} min`;
+    const h = Math.floor(m / 60);
+    return `~${h} h${m % 60 ? ` ${m % 60} min` : ""}`;
+  }
+};